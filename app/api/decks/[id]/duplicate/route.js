@@ -0,0 +1,27 @@
+import { getDeckStore, isDeckOwner } from "../../../../../utils/deckStore";
+import { notFound, unauthorized } from "../../../../../utils/deckRoutes";
+
+export const runtime = "nodejs";
+
+// Saves a copy of a deck under a new id, titled "<title> (copy)"
+export async function POST(req, { params }) {
+  try {
+    if (!isDeckOwner(req)) return unauthorized();
+
+    const store = getDeckStore();
+    const original = await store.get(params.id);
+    if (!original) return notFound(params.id);
+
+    const deck = await store.create({ ...original, title: `${original.title} (copy)` });
+    return new Response(
+      JSON.stringify({ deck }),
+      { status: 201, headers: { "Content-Type": "application/json" } }
+    );
+  } catch (error) {
+    console.error("Error duplicating deck:", error);
+    return new Response(
+      JSON.stringify({ error: "Server error: " + error.message }),
+      { status: 500, headers: { "Content-Type": "application/json" } }
+    );
+  }
+}
@@ -0,0 +1,81 @@
+import { getDeckStore, readDeckInput, isDeckOwner } from "../../../../utils/deckStore";
+import { notFound, unauthorized } from "../../../../utils/deckRoutes";
+
+export const runtime = "nodejs";
+
+// Returns a saved deck with its slides and images
+export async function GET(req, { params }) {
+  try {
+    if (!isDeckOwner(req)) return unauthorized();
+
+    const deck = await getDeckStore().get(params.id);
+    if (!deck) return notFound(params.id);
+
+    return new Response(
+      JSON.stringify({ deck }),
+      { status: 200, headers: { "Content-Type": "application/json" } }
+    );
+  } catch (error) {
+    console.error("Error loading deck:", error);
+    return new Response(
+      JSON.stringify({ error: "Server error: " + error.message }),
+      { status: 500, headers: { "Content-Type": "application/json" } }
+    );
+  }
+}
+
+// Updates a saved deck. Body: any of { title, slides, images, model, topic }; fields left out are kept
+export async function PUT(req, { params }) {
+  try {
+    if (!isDeckOwner(req)) return unauthorized();
+
+    const store = getDeckStore();
+    const current = await store.get(params.id);
+    if (!current) return notFound(params.id);
+
+    const data = await req.json().catch(() => null);
+    try {
+      readDeckInput(data, current);
+    } catch (error) {
+      return new Response(
+        JSON.stringify({ error: error.message }),
+        { status: 400, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    const deck = await store.update(params.id, data);
+    if (!deck) return notFound(params.id);
+
+    return new Response(
+      JSON.stringify({ deck }),
+      { status: 200, headers: { "Content-Type": "application/json" } }
+    );
+  } catch (error) {
+    console.error("Error updating deck:", error);
+    return new Response(
+      JSON.stringify({ error: "Server error: " + error.message }),
+      { status: 500, headers: { "Content-Type": "application/json" } }
+    );
+  }
+}
+
+// Deletes a saved deck
+export async function DELETE(req, { params }) {
+  try {
+    if (!isDeckOwner(req)) return unauthorized();
+
+    const deleted = await getDeckStore().delete(params.id);
+    if (!deleted) return notFound(params.id);
+
+    return new Response(
+      JSON.stringify({ deleted: true }),
+      { status: 200, headers: { "Content-Type": "application/json" } }
+    );
+  } catch (error) {
+    console.error("Error deleting deck:", error);
+    return new Response(
+      JSON.stringify({ error: "Server error: " + error.message }),
+      { status: 500, headers: { "Content-Type": "application/json" } }
+    );
+  }
+}
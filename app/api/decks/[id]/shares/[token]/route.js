@@ -0,0 +1,32 @@
+import { getDeckStore, isDeckOwner } from "../../../../../../utils/deckStore";
+import { unauthorized } from "../../../../../../utils/deckRoutes";
+
+export const runtime = "nodejs";
+
+// Revokes a share link; the read-only page stops working at once
+export async function DELETE(req, { params }) {
+  try {
+    if (!isDeckOwner(req)) return unauthorized();
+
+    const store = getDeckStore();
+    const share = await store.getShare(params.token);
+    if (!share || share.deckId !== params.id) {
+      return new Response(
+        JSON.stringify({ error: "Share link not found" }),
+        { status: 404, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    await store.deleteShare(params.token);
+    return new Response(
+      JSON.stringify({ deleted: true }),
+      { status: 200, headers: { "Content-Type": "application/json" } }
+    );
+  } catch (error) {
+    console.error("Error revoking share link:", error);
+    return new Response(
+      JSON.stringify({ error: "Server error: " + error.message }),
+      { status: 500, headers: { "Content-Type": "application/json" } }
+    );
+  }
+}
@@ -0,0 +1,64 @@
+import { getDeckStore, isShareExpired, readShareExpiry, isDeckOwner } from "../../../../../utils/deckStore";
+import { notFound, unauthorized } from "../../../../../utils/deckRoutes";
+
+export const runtime = "nodejs";
+
+// Adds the read-only page's path and whether the link still works
+function describeShare(share) {
+  return { ...share, path: `/deck/${share.token}`, expired: isShareExpired(share) };
+}
+
+// Lists a deck's share links, oldest first, including expired ones
+export async function GET(req, { params }) {
+  try {
+    if (!isDeckOwner(req)) return unauthorized();
+
+    const store = getDeckStore();
+    if (!(await store.get(params.id))) return notFound(params.id);
+
+    const shares = await store.listShares(params.id);
+    return new Response(
+      JSON.stringify({ shares: shares.map(describeShare) }),
+      { status: 200, headers: { "Content-Type": "application/json" } }
+    );
+  } catch (error) {
+    console.error("Error listing share links:", error);
+    return new Response(
+      JSON.stringify({ error: "Server error: " + error.message }),
+      { status: 500, headers: { "Content-Type": "application/json" } }
+    );
+  }
+}
+
+// Creates a share link. Body: { expiresInDays } (optional, 1-365; the link never expires without it)
+export async function POST(req, { params }) {
+  try {
+    if (!isDeckOwner(req)) return unauthorized();
+
+    const data = await req.json().catch(() => ({}));
+
+    let expiresAt;
+    try {
+      expiresAt = readShareExpiry(data?.expiresInDays);
+    } catch (error) {
+      return new Response(
+        JSON.stringify({ error: error.message }),
+        { status: 400, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    const share = await getDeckStore().createShare(params.id, { expiresAt });
+    if (!share) return notFound(params.id);
+
+    return new Response(
+      JSON.stringify({ share: describeShare(share) }),
+      { status: 201, headers: { "Content-Type": "application/json" } }
+    );
+  } catch (error) {
+    console.error("Error creating share link:", error);
+    return new Response(
+      JSON.stringify({ error: "Server error: " + error.message }),
+      { status: 500, headers: { "Content-Type": "application/json" } }
+    );
+  }
+}
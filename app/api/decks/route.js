@@ -0,0 +1,54 @@
+import { getDeckStore, readDeckInput, isDeckOwner } from "../../../utils/deckStore";
+import { unauthorized } from "../../../utils/deckRoutes";
+
+// Saved decks live on disk, which needs Node.js APIs
+export const runtime = "nodejs";
+
+// Lists saved decks, newest first, without their slides and images
+export async function GET(req) {
+  try {
+    if (!isDeckOwner(req)) return unauthorized();
+
+    const decks = await getDeckStore().list();
+    return new Response(
+      JSON.stringify({ decks }),
+      { status: 200, headers: { "Content-Type": "application/json" } }
+    );
+  } catch (error) {
+    console.error("Error listing decks:", error);
+    return new Response(
+      JSON.stringify({ error: "Server error: " + error.message }),
+      { status: 500, headers: { "Content-Type": "application/json" } }
+    );
+  }
+}
+
+// Saves a new deck. Body: { title, slides, images, model, topic }; slides are required
+export async function POST(req) {
+  try {
+    if (!isDeckOwner(req)) return unauthorized();
+
+    const data = await req.json().catch(() => null);
+
+    try {
+      readDeckInput(data);
+    } catch (error) {
+      return new Response(
+        JSON.stringify({ error: error.message }),
+        { status: 400, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    const deck = await getDeckStore().create(data);
+    return new Response(
+      JSON.stringify({ deck }),
+      { status: 201, headers: { "Content-Type": "application/json" } }
+    );
+  } catch (error) {
+    console.error("Error saving deck:", error);
+    return new Response(
+      JSON.stringify({ error: "Server error: " + error.message }),
+      { status: 500, headers: { "Content-Type": "application/json" } }
+    );
+  }
+}
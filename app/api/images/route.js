@@ -0,0 +1,44 @@
+import { fetchRemoteImage } from "../../../utils/remoteImage";
+
+// Connects with Node's http client so every address can be checked
+export const runtime = "nodejs";
+
+// Downloads an image from a public URL for the "Add image from URL" field. Body: { url }.
+// Responds with { image }, a base64 data URL the browser keeps like an uploaded file. URLs that are not
+// http(s), reach a private, loopback or link-local address, redirect too often, or do not return an image
+// within the size and time limits are refused with a 400 (see utils/remoteImage.js).
+export async function POST(req) {
+  try {
+    const data = await req.json().catch(() => null);
+    const url = typeof data?.url === "string" ? data.url.trim() : "";
+
+    if (!url) {
+      return new Response(
+        JSON.stringify({ error: "No image URL provided" }),
+        { status: 400, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    let image;
+    try {
+      image = await fetchRemoteImage(url);
+    } catch (error) {
+      console.error(`Error fetching image from ${url}:`, error.message);
+      return new Response(
+        JSON.stringify({ error: error.message }),
+        { status: 400, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    return new Response(
+      JSON.stringify({ image }),
+      { status: 200, headers: { "Content-Type": "application/json" } }
+    );
+  } catch (error) {
+    console.error("Server error:", error);
+    return new Response(
+      JSON.stringify({ error: "Server error: " + error.message }),
+      { status: 500, headers: { "Content-Type": "application/json" } }
+    );
+  }
+}
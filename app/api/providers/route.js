@@ -0,0 +1,11 @@
+import { listProviders } from "../../../utils/providers";
+
+export const runtime = "edge";
+
+// Lists the registered vision providers for the model dropdown
+export async function GET() {
+  return new Response(
+    JSON.stringify({ providers: listProviders() }),
+    { status: 200, headers: { "Content-Type": "application/json" } }
+  );
+}
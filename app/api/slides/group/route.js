@@ -0,0 +1,164 @@
+import { getProvider } from "../../../../utils/providers";
+import { resolveProviderChains, runCachedProviderChain } from "../../../../utils/providers/chain";
+import { summarizeSlide } from "../../../../utils/providers/slideOutput";
+import { tagImage, MAX_TAGS } from "../../../../utils/providers/tags";
+import {
+  getGroupingKeywords,
+  findSimilarGroups,
+  findGroupableSlides,
+  buildGroupSummaryInput,
+} from "../../../../utils/providers/grouping";
+import { mapWithConcurrency } from "../../../../utils/concurrency";
+import { hashContent } from "../../../../utils/cache";
+import { extractBase64FromDataUrl } from "../../../../utils/imageData";
+import { createImagePreparer } from "../../../../utils/imageNormalize";
+
+// Shares the analysis cache with /api/slides, which can live on disk
+export const runtime = "nodejs";
+
+// Images tagged at once; each provider also caps its own calls
+const TAG_CONCURRENCY = 4;
+const MAX_SHARED_KEYWORDS = 5;
+
+// Suggests slides to merge because their images show the same thing. Body:
+//   slides  - the deck's slides; image slides showing a single image are compared
+//   images  - the deck's images as data URLs, matched to slides by imageIndex; only needed for slides without tags
+//   model   - provider to use (default "openai"), with optional `fallbacks` as in /api/slides
+// Slides are compared by their tags. Slides without tags have their image tagged with the tag chain, and
+// images that cannot be tagged are compared by the words of their caption and explanation instead.
+// Responds with { groups: [{ slideIndexes, keywords, slide }], failedProviders }: the positions of the
+// slides to merge, the keywords they share, and the combined slide, which shows every image in a grid.
+// Nothing is changed on the server; the client decides which suggestions to apply.
+export async function POST(req) {
+  try {
+    const data = await req.json();
+    const slides = data?.slides;
+    const images = Array.isArray(data?.images) ? data.images : [];
+
+    if (!Array.isArray(slides) || slides.some(slide => !slide || typeof slide !== "object")) {
+      return new Response(
+        JSON.stringify({ error: "No slides provided" }),
+        { status: 400, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    const model = data.model || "openai";
+    if (!getProvider(model)) {
+      return new Response(
+        JSON.stringify({ error: `Unknown model: ${model}` }),
+        { status: 400, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    let chains;
+    try {
+      chains = resolveProviderChains(model, data.fallbacks);
+    } catch (error) {
+      return new Response(
+        JSON.stringify({ error: error.message }),
+        { status: 400, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    const failedProviders = [];
+    const candidates = findGroupableSlides(slides);
+    const tagLists = await mapWithConcurrency(candidates, TAG_CONCURRENCY, async (position) => {
+      const slide = slides[position];
+      return Array.isArray(slide.tags) && slide.tags.length > 0
+        ? slide.tags
+        : tagSlideImage(images[slide.imageIndex], chains.tag, failedProviders);
+    });
+    const keywordLists = candidates.map((position, i) => getGroupingKeywords(slides[position], tagLists[i]));
+
+    const groups = [];
+    for (const members of findSimilarGroups(keywordLists)) {
+      const slideIndexes = members.map(i => candidates[i]);
+      try {
+        const tags = [...new Set(members.flatMap(i => tagLists[i] || []))].slice(0, MAX_TAGS);
+        const slide = await summarizeGroup(slideIndexes.map(i => slides[i]), tags, chains.summarize, failedProviders);
+        groups.push({ slideIndexes, keywords: findSharedKeywords(members.map(i => keywordLists[i])), slide });
+      } catch (error) {
+        console.error("Error summarizing image group:", error);
+      }
+    }
+
+    return new Response(
+      JSON.stringify({ groups, failedProviders }),
+      { status: 200, headers: { "Content-Type": "application/json" } }
+    );
+
+  } catch (error) {
+    console.error("Server error:", error);
+    return new Response(
+      JSON.stringify({ error: "Server error: " + error.message }),
+      { status: 500, headers: { "Content-Type": "application/json" } }
+    );
+  }
+}
+
+// Tags an image with the tag chain, or returns null when it has no image or no provider could tag it
+async function tagSlideImage(image, chain, failedProviders) {
+  if (typeof image !== "string" || !image.startsWith("data:")) return null;
+  const prepareImage = createImagePreparer(image);
+
+  try {
+    const { result } = await runCachedProviderChain(
+      "tag",
+      chain,
+      hashContent(extractBase64FromDataUrl(image).data),
+      async (provider) => tagImage(provider, await prepareImage(provider)),
+      failedProviders
+    );
+    return result;
+  } catch (error) {
+    console.error("Error tagging image, comparing its description instead:", error.message);
+    return null;
+  }
+}
+
+// Summarizes grouped slides into one slide that shows all of their images.
+// The combined slide keeps the first slide's transition and describe, analyze and tag providers, and gets the tags
+// of all of its members.
+async function summarizeGroup(members, tags, chain, failedProviders) {
+  const { explanation, message, caption, instruction } = buildGroupSummaryInput(members);
+  const summary = await runCachedProviderChain(
+    "summarize",
+    chain,
+    hashContent(JSON.stringify([explanation, message, caption, instruction])),
+    (provider) => summarizeSlide(provider, explanation, message, caption, instruction),
+    failedProviders
+  );
+
+  const imageIndexes = members.map(slide => slide.imageIndex);
+  return {
+    ...summary.result,
+    imageIndex: imageIndexes[0],
+    imageIndexes,
+    layout: "grid",
+    tags,
+    ...(members[0].transition ? { transition: members[0].transition } : {}),
+    fullExplanation: explanation,
+    originalMessage: message,
+    originalCaption: caption,
+    providers: {
+      describe: members[0].providers?.describe ?? null,
+      analyze: members[0].providers?.analyze ?? null,
+      summarize: summary.provider,
+      tag: members[0].providers?.tag ?? null
+    },
+    failedProviders
+  };
+}
+
+// Helper function to list the keywords most of a group's images share, most common first
+function findSharedKeywords(keywordLists) {
+  const counts = new Map();
+  for (const keyword of keywordLists.flat()) {
+    counts.set(keyword, (counts.get(keyword) || 0) + 1);
+  }
+  return [...counts.entries()]
+    .filter(([, count]) => count > 1)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_SHARED_KEYWORDS)
+    .map(([keyword]) => keyword);
+}
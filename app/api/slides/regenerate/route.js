@@ -0,0 +1,159 @@
+import { getProvider } from "../../../../utils/providers";
+import { resolveProviderChains, runCachedProviderChain } from "../../../../utils/providers/chain";
+import { summarizeSlide } from "../../../../utils/providers/slideOutput";
+import { NARRATIVE_KINDS } from "../../../../utils/deck";
+import { hashContent } from "../../../../utils/cache";
+import { extractBase64FromDataUrl } from "../../../../utils/imageData";
+import { createImagePreparer } from "../../../../utils/imageNormalize";
+import { timeStage, cleanInput } from "../../../../utils/slidePipeline";
+
+// Shares the analysis cache with /api/slides, which can live on disk
+export const runtime = "nodejs";
+
+const MAX_INSTRUCTION_LENGTH = 500;
+
+// Regenerates one slide. Body:
+//   slide        - the slide as returned by /api/slides (its fullExplanation, message and caption are reused)
+//   model        - provider to use (default "openai"), with optional `fallbacks` as in /api/slides
+//   instruction  - optional free-text change, e.g. "make it more technical"
+//   reanalyze    - analyze the image again instead of reusing fullExplanation; error slides always are
+//   image        - the slide's image as a data URL, needed only to analyze it again
+// Fresh results are always requested; they replace what is cached for the same input.
+export async function POST(req) {
+  try {
+    const data = await req.json();
+    const slide = data?.slide;
+
+    if (!slide || typeof slide !== "object" || Array.isArray(slide)) {
+      return new Response(
+        JSON.stringify({ error: "No slide provided" }),
+        { status: 400, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    if (NARRATIVE_KINDS.includes(slide.kind) || slide.kind === "custom") {
+      return new Response(
+        JSON.stringify({ error: "Only slides generated from an image can be regenerated" }),
+        { status: 400, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    const model = data.model || "openai";
+    if (!getProvider(model)) {
+      return new Response(
+        JSON.stringify({ error: `Unknown model: ${model}` }),
+        { status: 400, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    let chains;
+    try {
+      chains = resolveProviderChains(model, data.fallbacks);
+    } catch (error) {
+      return new Response(
+        JSON.stringify({ error: error.message }),
+        { status: 400, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    // An error slide's fullExplanation holds the error details, so it is never summarized again
+    const reanalyze = Boolean(data.reanalyze) || Boolean(slide.error) || !slide.fullExplanation;
+    const image = typeof data.image === "string" && data.image.startsWith("data:") ? data.image : null;
+    if (reanalyze && !image) {
+      return new Response(
+        JSON.stringify({ error: "The slide's image is needed to analyze it again" }),
+        { status: 400, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    const instruction = cleanInput(data.instruction).slice(0, MAX_INSTRUCTION_LENGTH);
+    const result = await regenerateSlide(slide, { chains, instruction, image: reanalyze ? image : null });
+
+    if (result.error) {
+      return new Response(
+        JSON.stringify({ error: `Could not regenerate the slide: ${result.error}`, failedProviders: result.failedProviders }),
+        { status: 500, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    return new Response(
+      JSON.stringify({ slide: result.slide }),
+      { status: 200, headers: { "Content-Type": "application/json" } }
+    );
+
+  } catch (error) {
+    console.error("Server error:", error);
+    return new Response(
+      JSON.stringify({ error: "Server error: " + error.message }),
+      { status: 500, headers: { "Content-Type": "application/json" } }
+    );
+  }
+}
+
+// Summarizes the slide again, first analyzing its image again when one is given.
+// The slide keeps its images, layout, tags, transition and the providers of the stages that were not rerun.
+async function regenerateSlide(slide, { chains, instruction, image }) {
+  const failedProviders = [];
+  const startedAt = Date.now();
+  const stages = {};
+  const message = cleanInput(slide.originalMessage);
+  const caption = cleanInput(slide.originalCaption);
+
+  try {
+    let explanation = slide.fullExplanation;
+    let analyzedBy = slide.providers?.analyze ?? null;
+
+    if (image) {
+      const prepareImage = createImagePreparer(image);
+      const analysis = await timeStage(stages, "analyze", () =>
+        runCachedProviderChain(
+          "analyze",
+          chains.analyze,
+          hashContent(extractBase64FromDataUrl(image).data),
+          async (provider) => provider.analyze(await prepareImage(provider)),
+          failedProviders,
+          { bypassCache: true }
+        )
+      );
+      explanation = analysis.result;
+      analyzedBy = analysis.provider;
+    }
+
+    const summary = await timeStage(stages, "summarize", () =>
+      runCachedProviderChain(
+        "summarize",
+        chains.summarize,
+        hashContent(JSON.stringify(instruction ? [explanation, message, caption, instruction] : [explanation, message, caption])),
+        (provider) => summarizeSlide(provider, explanation, message, caption, instruction),
+        failedProviders,
+        { bypassCache: true }
+      )
+    );
+
+    return {
+      slide: {
+        ...summary.result,
+        imageIndex: Number.isInteger(slide.imageIndex) ? slide.imageIndex : null,
+        ...(Array.isArray(slide.imageIndexes) ? { imageIndexes: slide.imageIndexes } : {}),
+        ...(slide.layout ? { layout: slide.layout } : {}),
+        ...(Array.isArray(slide.tags) ? { tags: slide.tags } : {}),
+        ...(slide.transition ? { transition: slide.transition } : {}),
+        fullExplanation: explanation,
+        originalMessage: message,
+        originalCaption: caption,
+        providers: {
+          describe: slide.providers?.describe ?? null,
+          analyze: analyzedBy,
+          summarize: summary.provider,
+          ...(slide.providers?.tag !== undefined ? { tag: slide.providers.tag } : {})
+        },
+        failedProviders,
+        instruction,
+        timing: { totalMs: Date.now() - startedAt, stages }
+      }
+    };
+  } catch (error) {
+    console.error("Error regenerating slide:", error);
+    return { error: error.message, failedProviders };
+  }
+}
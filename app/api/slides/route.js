@@ -1,14 +1,23 @@
-import { Configuration, OpenAIApi } from "openai-edge";
-import { OpenAIStream } from "ai";
-import geminiUtils from "../../../utils/gemini"; // Import geminiUtils
-import { analyzeImageWithClaude, summarizeWithClaude } from "../../../utils/anthropic";
+import { getProvider } from "../../../utils/providers";
+import { resolveProviderChains, runCachedProviderChain } from "../../../utils/providers/chain";
+import { summarizeSlide } from "../../../utils/providers/slideOutput";
+import { tagImage } from "../../../utils/providers/tags";
+import { buildDeckOutline, narrateDeck } from "../../../utils/providers/narrative";
+import { composeDeck } from "../../../utils/deck";
+import { mapWithConcurrency, parseLimit } from "../../../utils/concurrency";
+import { hashContent } from "../../../utils/cache";
+import { extractBase64FromDataUrl } from "../../../utils/imageData";
+import { createImagePreparer } from "../../../utils/imageNormalize";
+import { timeStage, cleanInput } from "../../../utils/slidePipeline";
+import { fetchRemoteImage } from "../../../utils/remoteImage";
 
-export const runtime = "edge";
+// The analysis cache can live on disk, which needs Node.js APIs
+export const runtime = "nodejs";
 
-const config = new Configuration({
-  apiKey: process.env.OPENAI_API_KEY || "",
-});
-const openai = new OpenAIApi(config);
+// Images processed at once; each provider also caps its own calls (see utils/providers/limits.js)
+const DEFAULT_CONCURRENCY = 4;
+const MAX_CONCURRENCY = 16;
+const MAX_TOPIC_LENGTH = 200;
 
 export async function POST(req) {
   try {
@@ -24,97 +33,62 @@ export async function POST(req) {
     const images = data.images;
     const model = data.model || "openai";
     
-    const slides = [];
+    if (!getProvider(model)) {
+      return new Response(
+        JSON.stringify({ error: `Unknown model: ${model}` }),
+        { status: 400, headers: { "Content-Type": "application/json" } }
+      );
+    }
     
-    for (let i = 0; i < images.length; i++) {
-      const image_url = images[i];
-      
-      try {
-        // Generate a base message and caption using the AI model
-        let base64Image = image_url;
-        if (image_url.startsWith('data:')) {
-          // It's already a base64 string
-          base64Image = image_url;
-        } else {
-          // Convert URL to base64
-          const imageResponse = await fetch(image_url);
-          const blob = await imageResponse.blob();
-          base64Image = await blobToBase64(blob);
-        }
-        
-        // Generate a contextual message and caption for each image
-        const contextInfo = await generateImageContext(base64Image, model);
-        const message = contextInfo.message;
-        const caption = contextInfo.caption;
-        const description = contextInfo.description;
-        
-        console.log(`Generated message: ${message.substring(0, 50)}...`);
-        console.log(`Generated caption: ${caption.substring(0, 50)}...`);
-        
-        // Step 1: Analyze the image to get full explanation
-        let explanation = "";
-        let summary = "";
-        let title = "";
-        let content = "";
-        
-        if (model === "openai") {
-          const result = await processImageWithOpenAI(base64Image, message, caption);
-          explanation = result.fullExplanation;
-          summary = result.content;
-          title = result.title;
-        } else if (model === "gemini") {
-          const result = await processImageWithGemini(base64Image, message, caption);
-          explanation = result.fullExplanation;
-          summary = result.content;
-          title = result.title;
-        } else if (model === "anthropic") {
-          explanation = await analyzeImageWithClaude(base64Image);
-        }
-        
-        if (!explanation) {
-          throw new Error(`Failed to analyze image with ${model}`);
-        }
-        
-        // Step 2: Summarize explanation into slide content if not already done
-        if (model === "anthropic") {
-          summary = await summarizeWithClaude(explanation, message, caption);
-        }
-        
-        if (!summary) {
-          throw new Error(`Failed to summarize explanation with ${model}`);
-        }
-        
-        // Extract title and content from summary
-        if (!title) {
-          title = extractTitle(summary);
-          content = extractContent(summary);
-        } else {
-          content = summary;
-        }
-        
-        // Add to slides array
-        slides.push({
-          title,
-          content,
-          fullExplanation: explanation,
-          originalMessage: message,
-          originalCaption: caption
-        });
-        
-      } catch (error) {
-        console.error(`Error processing image ${i}:`, error);
-        slides.push({
-          title: "Error Processing Image",
-          content: `There was an error processing this image: ${error.message}`,
-          fullExplanation: `Error details: ${error.stack || error.message}`,
-          originalMessage: "",
-          originalCaption: ""
-        });
-      }
+    // Ordered providers to try for each stage, starting with the selected model
+    let chains;
+    try {
+      chains = resolveProviderChains(model, data.fallbacks);
+    } catch (error) {
+      return new Response(
+        JSON.stringify({ error: error.message }),
+        { status: 400, headers: { "Content-Type": "application/json" } }
+      );
+    }
+    
+    // User-supplied context for each image, matched by index; blank entries are generated
+    const inputs = images.map((_, i) => ({
+      message: Array.isArray(data.messages) ? data.messages[i] : "",
+      caption: Array.isArray(data.captions) ? data.captions[i] : ""
+    }));
+    
+    const concurrency = Math.min(
+      parseLimit(data.concurrency, parseLimit(process.env.SLIDES_CONCURRENCY, DEFAULT_CONCURRENCY)),
+      MAX_CONCURRENCY
+    );
+    
+    // bypassCache skips cached analyses (fresh results still refresh the cache)
+    const options = { chains, bypassCache: Boolean(data.bypassCache) };
+    
+    // narrative adds a title slide, agenda, transitions and a conclusion once every image has a slide
+    const narrative = data.narrative ? { topic: cleanInput(data.topic).slice(0, MAX_TOPIC_LENGTH) } : null;
+    
+    // Streaming mode sends progress events and each slide as soon as it is ready
+    if (data.stream) {
+      return streamSlides(images, inputs, options, concurrency, narrative);
+    }
+    
+    const startedAt = Date.now();
+    const slides = await mapWithConcurrency(images, concurrency, (image, i) => processImage(image, inputs[i], i, options));
+    const timing = summarizeTiming(slides, startedAt, concurrency);
+    
+    if (!narrative) {
+      return new Response(
+        JSON.stringify({ slides, timing }),
+        { status: 200, headers: { "Content-Type": "application/json" } }
+      );
     }
     
+    const narrated = await narrateSlides(slides, narrative.topic, options);
+    timing.narrativeMs = narrated.timeMs;
+    
     return new Response(
-      JSON.stringify({ slides }),
+      JSON.stringify({ slides: narrated.slides, narrative: narrated.narrative, narrativeError: narrated.error, timing }),
       { status: 200, headers: { "Content-Type": "application/json" } }
     );
     
@@ -127,331 +101,268 @@ export async function POST(req) {
   }
 }
 
-// Helper function to generate image context (message and caption)
-async function generateImageContext(base64Image, model) {
-  console.log("Generating context for image...");
+// Streams slide generation as newline-delimited JSON events:
+//   { type: "start", total, concurrency }
+//   { type: "progress", index, stage }  stage is "describing", "analyzing", "summarizing" or "failed"
+//   { type: "slide", index, slide }     slides arrive in completion order; index is the input position
+//   { type: "progress", stage: "narrating" }             when a narrative was requested, once every slide is sent
+//   { type: "narrative", narrative, slides } or { type: "narrative", error }  slides is the whole composed deck
+//   { type: "done", timing }
+function streamSlides(images, inputs, options, concurrency, narrative) {
+  const encoder = new TextEncoder();
   
-  try {
-    // Get a brief description of the image to use for context
-    let description = "";
-    
-    if (model === "openai") {
-      description = await quickDescribeWithOpenAI(base64Image);
-    } else if (model === "gemini") {
-      description = await quickDescribeWithGemini(base64Image);
-    } else if (model === "anthropic") {
-      description = await quickDescribeWithClaude(base64Image);
+  const stream = new ReadableStream({
+    async start(controller) {
+      const send = (event) => controller.enqueue(encoder.encode(JSON.stringify(event) + "\n"));
+      
+      try {
+        send({ type: "start", total: images.length, concurrency });
+        
+        const startedAt = Date.now();
+        const slides = await mapWithConcurrency(images, concurrency, async (image, i) => {
+          const slide = await processImage(image, inputs[i], i, options, (stage) => send({ type: "progress", index: i, stage }));
+          send({ type: "slide", index: i, slide });
+          return slide;
+        });
+        const timing = summarizeTiming(slides, startedAt, concurrency);
+        
+        if (narrative) {
+          send({ type: "progress", stage: "narrating" });
+          const narrated = await narrateSlides(slides, narrative.topic, options);
+          timing.narrativeMs = narrated.timeMs;
+          send(narrated.error
+            ? { type: "narrative", error: narrated.error }
+            : { type: "narrative", narrative: narrated.narrative, slides: narrated.slides });
+        }
+        
+        send({ type: "done", timing });
+      } catch (error) {
+        console.error("Error streaming slides:", error);
+        send({ type: "error", error: "Server error: " + error.message });
+      } finally {
+        controller.close();
+      }
     }
-    
-    // Generate a more interesting message and caption based on the description
-    const message = `Let's explore the details and significance of this ${description.split(' ').slice(0, 5).join(' ')}...`;
-    const caption = description.split('.')[0] + '.';
-    
-    return { 
-      message, 
-      caption,
-      description 
-    };
-  } catch (error) {
-    console.error("Error generating context:", error);
-    // Return default values if something goes wrong
-    return { 
-      message: "Let's explore the details and significance of this interesting image...", 
-      caption: "An interesting visual",
-      description: "interesting visual content" 
-    };
-  }
+  });
+  
+  return new Response(stream, {
+    status: 200,
+    headers: {
+      "Content-Type": "application/x-ndjson",
+      "Cache-Control": "no-cache",
+    }
+  });
 }
 
-// Quick image description functions for each model
-async function quickDescribeWithOpenAI(base64Image) {
+// Turns a single image into a slide, or an error slide if processing fails.
+// Each stage reuses a cached result or walks its provider chain; the slide records which provider produced each stage.
+async function processImage(image_url, input, index, { chains, bypassCache }, onProgress = () => {}) {
+  const failedProviders = [];
+  const startedAt = Date.now();
+  const stages = {};
+  
   try {
-    const openai = new OpenAIApi(
-      new Configuration({ apiKey: process.env.OPENAI_API_KEY })
-    );
+    // Generate a base message and caption using the AI model
+    let base64Image = image_url;
+    if (!image_url.startsWith('data:')) {
+      // Anything else must be a public http(s) URL; see utils/remoteImage.js for what is refused
+      base64Image = await fetchRemoteImage(image_url);
+    }
     
-    const response = await openai.createChatCompletion({
-      model: "gpt-4-vision-preview",
-      messages: [
-        {
-          role: "user",
-          content: [
-            { type: "text", text: "Describe this image in a detailed sentence. Focus on what makes it interesting or noteworthy." },
-            { type: "image_url", image_url: { url: base64Image } }
-          ]
-        }
-      ],
-      max_tokens: 150
-    });
+    // Cached results are keyed by the image content, not its URL or file name
+    const imageHash = hashContent(extractBase64FromDataUrl(base64Image).data);
+    // Each provider gets the image rotated upright, scaled to its limits and in a format it reads
+    const prepareImage = createImagePreparer(base64Image);
+    const cached = { describe: null, analyze: false, tag: null, summarize: false };
     
-    const stream = OpenAIStream(response);
-    const reader = stream.getReader();
-    let result = "";
+    // Prefer the user's message and caption, generating context only for blank fields
+    let message = cleanInput(input.message);
+    let caption = cleanInput(input.caption);
     
-    while (true) {
-      const { done, value } = await reader.read();
-      if (done) break;
-      result += new TextDecoder().decode(value);
-    }
+    let describedBy = null;
     
-    return result.trim() || "interesting image";
-  } catch (error) {
-    console.error("Error in quickDescribeWithOpenAI:", error);
-    return "interesting image";
-  }
-}
-
-async function quickDescribeWithGemini(base64Image) {
-  try {
-    const description = await geminiUtils.quickAnalyzeImageWithGemini(base64Image);
-    return description.trim() || "interesting image";
-  } catch (error) {
-    console.error("Error in quickDescribeWithGemini:", error);
-    return "interesting image";
-  }
-}
-
-async function quickDescribeWithClaude(base64Image) {
-  // Simplified version of Claude image description
-  return "interesting image"; // Placeholder for Claude implementation
-}
-
-// Helper function for OpenAI image explanation
-async function explainWithOpenAI(image_url) {
-  try {
-    const response = await openai.createChatCompletion({
-      model: "gpt-4o",
-      messages: [
-        {
-          role: "user",
-          content: [
-            { type: "text", text: "Provide a detailed explanation of what's in this image. Describe the objects, context, and any notable elements." },
-            {
-              type: "image_url",
-              image_url: {
-                url: image_url,
-              },
-            },
-          ],
-        },
-      ],
-      max_tokens: 1000,
-    });
-
-    const data = await response.json();
-    console.log("OpenAI Explanation API response:", JSON.stringify(data));
-
-    if (data.error) {
-      console.error("OpenAI API error:", data.error);
-      return "No explanation generated";
+    if (!message || !caption) {
+      onProgress("describing");
+      const contextInfo = await timeStage(stages, "describe", () => generateImageContext(prepareImage, imageHash, chains.describe, failedProviders, bypassCache));
+      message = message || contextInfo.message;
+      caption = caption || contextInfo.caption;
+      describedBy = contextInfo.provider;
+      cached.describe = contextInfo.cached;
     }
-
-    return data.choices[0]?.message?.content || "No explanation generated";
-  } catch (error) {
-    console.error("Error explaining with OpenAI:", error);
-    return "Error generating explanation";
-  }
-}
-
-// Helper function for OpenAI summarization
-async function summarizeWithOpenAI(explanation, message, caption) {
-  try {
-    const openai = new OpenAIApi(
-      new Configuration({ apiKey: process.env.OPENAI_API_KEY })
-    );
     
-    const content = `
-Image Explanation: ${explanation}
-Context: ${message}
-Caption: ${caption}
-
-Create a slide based on this image analysis. Format as follows:
-# Title That Captures Main Theme
-
-Then create 3-5 bullet points or short paragraphs that highlight the key aspects of the image. Be informative, engaging and educational. Include interesting facts or observations where possible.
-
-The content should be comprehensive enough to stand on its own even if someone couldn't see the image.
-`;
+    console.log(`Generated message: ${message.substring(0, 50)}...`);
+    console.log(`Generated caption: ${caption.substring(0, 50)}...`);
     
-    const response = await openai.createChatCompletion({
-      model: "gpt-4-turbo",
-      messages: [
-        { role: "system", content: "You are an expert at creating engaging presentation slides from image analyses." },
-        { role: "user", content }
-      ],
-      max_tokens: 500,
-    });
+    // Step 1: Analyze the image to get full explanation, tagging it at the same time
+    onProgress("analyzing");
+    const tagStages = {};
+    const tagFailures = [];
+    const [analysis, tagging] = await Promise.all([
+      timeStage(stages, "analyze", () =>
+        runCachedProviderChain("analyze", chains.analyze, imageHash, async (provider) => provider.analyze(await prepareImage(provider)), failedProviders, { bypassCache })
+      ),
+      timeStage(tagStages, "tag", () => generateImageTags(prepareImage, imageHash, chains.tag, tagFailures, bypassCache)),
+    ]);
+    // Tag results are recorded after the analysis, so a slide's stages and failures always list in the same order
+    stages.tag = tagStages.tag;
+    failedProviders.push(...tagFailures);
+    cached.analyze = analysis.cached;
+    cached.tag = tagging.cached;
+    const explanation = analysis.result;
+    console.log(`Generated explanation with ${analysis.provider}:`, explanation.substring(0, 100) + "...");
     
-    const stream = OpenAIStream(response);
-    const reader = stream.getReader();
-    let result = "";
+    // Step 2: Summarize explanation into slide content
+    onProgress("summarizing");
+    const summary = await timeStage(stages, "summarize", () =>
+      runCachedProviderChain(
+        "summarize",
+        chains.summarize,
+        hashContent(JSON.stringify([explanation, message, caption])),
+        (provider) => summarizeSlide(provider, explanation, message, caption),
+        failedProviders,
+        { bypassCache }
+      )
+    );
+    cached.summarize = summary.cached;
+    console.log(`Received slide from ${summary.provider}:`, summary.result.title);
     
-    while (true) {
-      const { done, value } = await reader.read();
-      if (done) break;
-      result += new TextDecoder().decode(value);
-    }
+    return {
+      ...summary.result,
+      imageIndex: index,
+      tags: tagging.tags,
+      fullExplanation: explanation,
+      originalMessage: message,
+      originalCaption: caption,
+      providers: {
+        describe: describedBy,
+        analyze: analysis.provider,
+        summarize: summary.provider,
+        tag: tagging.provider
+      },
+      failedProviders,
+      cached,
+      timing: { totalMs: Date.now() - startedAt, stages }
+    };
     
-    return result;
   } catch (error) {
-    console.error("Error summarizing with OpenAI:", error);
-    // Return a more user-friendly error message
-    return `# Analysis of the Image\n\nThis image appears to show ${caption || "interesting content"}.\n\n- The image contains details that would be analyzed further with a working connection to OpenAI.\n- Unfortunately, there was an error connecting to the AI service.\n- Try again or select a different AI model.\n\nError details: ${error.message}`;
+    console.error(`Error processing image ${index}:`, error);
+    onProgress("failed");
+    return {
+      error: true,
+      imageIndex: index,
+      title: "Error Processing Image",
+      subtitle: "",
+      bullets: [`There was an error processing this image: ${error.message}`],
+      notes: "",
+      keyTerms: [],
+      fullExplanation: `Error details: ${error.stack || error.message}`,
+      originalMessage: cleanInput(input.message),
+      originalCaption: cleanInput(input.caption),
+      providers: null,
+      failedProviders,
+      timing: { totalMs: Date.now() - startedAt, stages }
+    };
   }
 }
 
-// Helper function for Gemini summarization
-async function summarizeWithGemini(explanation, message, caption) {
+// Writes the deck narrative with the narrate chain and wraps the slides in it.
+// A failed narrative is reported but never fails the request: the image slides are returned unchanged.
+async function narrateSlides(slides, topic, { chains, bypassCache }) {
+  const startedAt = Date.now();
+  const outline = buildDeckOutline(slides);
+  const failedProviders = [];
+  
+  if (outline.count === 0) {
+    return { slides, narrative: null, error: "No slides were generated to build a narrative from", timeMs: 0 };
+  }
+  
   try {
-    // Using the Gemini model to generate a summary
-    const googleAI = initGoogleAI();
-    
-    const model = googleAI.getGenerativeModel({ 
-      model: "gemini-2.0-flash",
-      systemInstruction: "You are an expert at creating engaging presentation slides from image analyses.",
-      generationConfig: {
-        temperature: 0.4,
-        topP: 0.8,
-        maxOutputTokens: 800,
-      }
-    });
-    
-    const prompt = `
-Image Explanation: ${explanation}
-Context: ${message}
-Caption: ${caption}
-
-Create a slide based on this image analysis. Format as follows:
-# Title That Captures Main Theme
-
-Then create 3-5 bullet points or short paragraphs that highlight the key aspects of the image. Be informative, engaging and educational. Include interesting facts or observations where possible.
-
-The content should be comprehensive enough to stand on its own even if someone couldn't see the image.
-`;
-    
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const summary = response.text();
-    
-    // If summary is too short, it might be an error or low-quality response
-    if (summary.length < 50) {
-      console.log("Gemini returned a very short summary, might be low quality:", summary);
-      return `# Analysis of the Image\n\nThis image appears to show ${caption || "interesting content"}.\n\n- The image contains elements that would be explained in more detail with proper AI analysis.\n- Unfortunately, the AI generated a limited response.\n- The image appears to be a ${caption || "visual that requires further analysis"}.\n\nTry selecting a different AI model for better results.`;
-    }
+    const { result, provider, cached } = await runCachedProviderChain(
+      "narrate",
+      chains.narrate,
+      hashContent(JSON.stringify([outline.text, topic])),
+      (candidate) => narrateDeck(candidate, outline, topic),
+      failedProviders,
+      { bypassCache }
+    );
+    const narrative = { ...result, topic, provider, failedProviders, cached };
+    console.log(`Wrote deck narrative with ${provider}:`, narrative.title);
     
-    return summary;
+    return { slides: composeDeck(slides, narrative), narrative, error: undefined, timeMs: Date.now() - startedAt };
   } catch (error) {
-    console.error("Error summarizing with Gemini:", error);
-    return `# Analysis of the Image\n\nThis image appears to show ${caption || "interesting content"}.\n\n- The image contains elements that would be analyzed with a working connection to Gemini.\n- Unfortunately, there was an error connecting to the AI service.\n- Try again or select a different AI model.\n\nError details: ${error.message}`;
+    console.error("Error writing deck narrative:", error);
+    return { slides, narrative: null, error: `Could not write the deck narrative: ${error.message}`, timeMs: Date.now() - startedAt };
   }
 }
 
-// Helper function to parse summary into title and content
-function parseSummary(summary) {
-  const titleMatch = summary.match(/^#\s*(.+)$/m);
-  const title = titleMatch ? titleMatch[1].trim() : "Untitled Slide";
+// Helper function to summarize deck timing; sequentialMs is roughly what one-at-a-time processing would take
+function summarizeTiming(slides, startedAt, concurrency) {
+  const totalMs = Date.now() - startedAt;
+  const sequentialMs = slides.reduce((sum, slide) => sum + slide.timing.totalMs, 0);
   
-  // Remove the title from the content and clean up
-  const content = summary
-    .replace(/^#\s*.+$/m, '')
-    .trim();
-
-  return { title, content };
+  return {
+    totalMs,
+    sequentialMs,
+    speedup: totalMs > 0 ? Math.round((sequentialMs / totalMs) * 100) / 100 : 1,
+    concurrency
+  };
 }
 
-// Helper function for Gemini image explanation and summarization with fallback to OpenAI
-async function processImageWithGemini(base64Image, message, caption) {
-  console.log("Using AI model: gemini");
+// Helper function to generate image context (message and caption) with the describe chain
+async function generateImageContext(prepareImage, imageHash, chain, failedProviders, bypassCache) {
+  console.log("Generating context for image...");
   
   try {
-    // Generate explanation with Gemini
-    const explanation = await geminiUtils.analyzeImageWithGemini(base64Image);
-    console.log("Generated explanation with gemini:", explanation.substring(0, 100) + "...");
-
-    // Check if there was an error with Gemini
-    if (explanation.startsWith("Error analyzing image with Gemini:")) {
-      console.log("Falling back to OpenAI due to Gemini error");
-      return processImageWithOpenAI(base64Image, message, caption);
-    }
-    
-    // Generate summary with Gemini
-    console.log("Sending text to Gemini for summarization...");
-    const summary = await summarizeWithGemini(explanation, message, caption);
-    console.log("Received summary from Gemini:", summary.substring(0, 100) + "...");
+    // Get a brief description of the image to use for context
+    const { result, provider, cached } = await runCachedProviderChain(
+      "describe",
+      chain,
+      imageHash,
+      async (candidate) => candidate.describe(await prepareImage(candidate)),
+      failedProviders,
+      { bypassCache }
+    );
+    const description = result.trim();
     
-    // Check if there was an error with summarization
-    if (summary.startsWith("Error summarizing with Gemini:")) {
-      // Try to summarize with OpenAI instead
-      console.log("Falling back to OpenAI for summarization");
-      const openAiSummary = await summarizeWithOpenAI(explanation, message, caption);
-      return {
-        title: extractTitle(openAiSummary),
-        content: extractContent(openAiSummary),
-        fullExplanation: explanation,
-        originalMessage: message,
-        originalCaption: caption
-      };
-    }
+    // Generate a more interesting message and caption based on the description
+    const message = `Let's explore the details and significance of this ${description.split(' ').slice(0, 5).join(' ')}...`;
+    const caption = description.split('.')[0] + '.';
     
-    return {
-      title: extractTitle(summary),
-      content: extractContent(summary),
-      fullExplanation: explanation,
-      originalMessage: message,
-      originalCaption: caption
+    return { 
+      message, 
+      caption,
+      description,
+      provider,
+      cached
     };
   } catch (error) {
-    console.error("Error in Gemini processing:", error);
-    console.log("Falling back to OpenAI due to exception");
-    return processImageWithOpenAI(base64Image, message, caption);
+    console.error("Error generating context:", error);
+    // Return default values if something goes wrong
+    return { 
+      message: "Let's explore the details and significance of this interesting image...", 
+      caption: "An interesting visual",
+      description: "interesting visual content",
+      provider: null,
+      cached: false
+    };
   }
 }
 
-// Helper function to extract title from summary
-function extractTitle(summary) {
-  const titleMatch = summary.match(/^#\s*(.+)$/m);
-  return titleMatch ? titleMatch[1].trim() : "Untitled Slide";
-}
-
-// Helper function to extract content from summary
-function extractContent(summary) {
-  return summary
-    .replace(/^#\s*.+$/m, '')
-    .trim();
-}
-
-// Helper function to process image with OpenAI
-async function processImageWithOpenAI(base64Image, message, caption) {
-  console.log("Using AI model: openai");
-  
+// Helper function to tag an image with the tag chain. Tags are optional: if no provider can tag the image,
+// the slide simply has none.
+async function generateImageTags(prepareImage, imageHash, chain, failedProviders, bypassCache) {
   try {
-    // Generate explanation with OpenAI
-    const explanation = await explainWithOpenAI(base64Image);
-    console.log("Generated explanation with openai:", explanation.substring(0, 100) + "...");
-
-    // Generate summary with OpenAI
-    const summary = await summarizeWithOpenAI(explanation, message, caption);
-    console.log("Received summary from OpenAI:", summary.substring(0, 100) + "...");
-    
-    return {
-      title: extractTitle(summary),
-      content: extractContent(summary),
-      fullExplanation: explanation,
-      originalMessage: message,
-      originalCaption: caption
-    };
+    const { result, provider, cached } = await runCachedProviderChain(
+      "tag",
+      chain,
+      imageHash,
+      async (candidate) => tagImage(candidate, await prepareImage(candidate)),
+      failedProviders,
+      { bypassCache }
+    );
+    return { tags: result, provider, cached };
   } catch (error) {
-    console.error("Error in OpenAI processing:", error);
-    throw error;
+    console.error("Error tagging image:", error.message);
+    return { tags: [], provider: null, cached: false };
   }
 }
-
-// Helper function to convert blob to base64
-async function blobToBase64(blob) {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.onload = () => resolve(reader.result);
-    reader.onerror = reject;
-    reader.readAsDataURL(blob);
-  });
-}
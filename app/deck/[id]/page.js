@@ -0,0 +1,40 @@
+import { notFound } from 'next/navigation';
+import DeckViewer from '../../../components/DeckViewer';
+import { getSharedDeck } from '../../../utils/deckStore';
+import { resolveTheme } from '../../../utils/theme';
+
+// Share links can be revoked or expire at any moment, so the page is never cached
+export const dynamic = 'force-dynamic';
+
+// Shared pages are not meant to be found through search engines
+export async function generateMetadata({ params }) {
+  const shared = await getSharedDeck(params.id);
+  return {
+    title: shared && !shared.expired ? shared.deck.title : 'Shared deck',
+    robots: { index: false, follow: false },
+  };
+}
+
+// Read-only view of a saved deck, opened with a share link: /deck/<share token>
+export default async function SharedDeckPage({ params }) {
+  const shared = await getSharedDeck(params.id);
+  if (!shared) notFound();
+
+  if (shared.expired) {
+    return (
+      <main className="flex min-h-screen flex-col items-center justify-center p-8 bg-gradient-to-b from-blue-100 to-white">
+        <h1 className="text-2xl font-bold mb-2">This link has expired</h1>
+        <p className="text-gray-600">
+          It stopped working on {new Date(shared.share.expiresAt).toUTCString()}. Ask the person who shared the deck for a new link.
+        </p>
+      </main>
+    );
+  }
+
+  const { title, slides, images, theme } = shared.deck;
+  return (
+    <main className="flex min-h-screen flex-col items-center justify-between p-8 bg-gradient-to-b from-blue-100 to-white">
+      <DeckViewer title={title} slides={slides} images={images} theme={resolveTheme(theme)} />
+    </main>
+  );
+}
@@ -1,7 +1,78 @@
 "use client";
 
-import { useState } from 'react';
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import Image from 'next/image';
+import SlideView from '../components/SlideView';
+import {
+  NARRATIVE_KINDS,
+  SLIDE_LAYOUTS,
+  getSlideImage,
+  getSlideImages,
+  slideMatchesTag,
+  collectDeckTags,
+  getSlideImageIndexes,
+  getSlideLayout,
+  setSlideImages,
+  createBlankSlide,
+  moveSlide,
+  insertSlide,
+  removeSlide,
+  groupSlides,
+  ungroupSlides,
+  editSlide,
+  tidySlide,
+} from '../utils/deck';
+import { createPresenterSession, openPresenterChannel } from '../utils/presenterChannel';
+import { DEFAULT_THEME_ID, THEMES, getBulletMarker, readBrandKit, resolveTheme } from '../utils/theme';
+
+const progressLabels = {
+  queued: 'Waiting',
+  describing: 'Describing image',
+  analyzing: 'Analyzing',
+  summarizing: 'Summarizing',
+  done: 'Done',
+  failed: 'Failed'
+};
+
+// Brand kit colors, with the part of the slide each one styles
+const brandPalette = [
+  { key: 'primary', label: 'Primary (bullets, key terms)', themeColor: 'accent' },
+  { key: 'secondary', label: 'Secondary (titles)', themeColor: 'title' },
+  { key: 'background', label: 'Background', themeColor: 'background' },
+  { key: 'text', label: 'Text', themeColor: 'text' },
+];
+
+// Reads a file as a data URL
+function readFileAsDataUrl(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = reject;
+    reader.readAsDataURL(file);
+  });
+}
+
+// Reads a newline-delimited JSON response, calling onEvent for each event as it arrives
+async function readNdjson(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      if (line.trim()) onEvent(JSON.parse(line));
+    }
+  }
+
+  if (buffer.trim()) onEvent(JSON.parse(buffer));
+}
 
 export default function Home() {
   const [isLoading, setIsLoading] = useState(false);
@@ -13,12 +84,118 @@ export default function Home() {
   const [uploadedImages, setUploadedImages] = useState([]);
   const [imageBase64s, setImageBase64s] = useState([]);
   const [isAnalyzing, setIsAnalyzing] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+  const [imageProgress, setImageProgress] = useState([]);
+  const [imageMessages, setImageMessages] = useState([]);
+  const [imageCaptions, setImageCaptions] = useState([]);
+  const [imageUrl, setImageUrl] = useState('');
+  const [isFetchingImage, setIsFetchingImage] = useState(false);
 
-  const models = [
-    { id: "openai", name: "OpenAI GPT-4 Vision" },
-    { id: "gemini", name: "Gemini 2.0 Flash" },
-    { id: "anthropic", name: "Anthropic Claude" }
-  ];
+  const [models, setModels] = useState([]);
+  const [fallbackModels, setFallbackModels] = useState([]);
+  const [bypassCache, setBypassCache] = useState(false);
+  const [addNarrative, setAddNarrative] = useState(true);
+  const [deckTopic, setDeckTopic] = useState('');
+  const [isEditing, setIsEditing] = useState(false);
+  const [draggedSlide, setDraggedSlide] = useState(null);
+  const [regenerateInstruction, setRegenerateInstruction] = useState('');
+  const [regenerateModel, setRegenerateModel] = useState('');
+  const [reanalyzeImage, setReanalyzeImage] = useState(false);
+  const [regeneratingSlide, setRegeneratingSlide] = useState(null);
+  const [groupSuggestions, setGroupSuggestions] = useState([]);
+  const [tagQuery, setTagQuery] = useState('');
+  const [isGrouping, setIsGrouping] = useState(false);
+  const [savedDecks, setSavedDecks] = useState([]);
+  // The deck owner secret is kept in this browser only; the server checks it when DECKS_OWNER_SECRET is set
+  const [ownerSecret, setOwnerSecret] = useState(() => (typeof window === 'undefined' ? '' : localStorage.getItem('deckOwnerSecret') || ''));
+  const [ownerSecretInput, setOwnerSecretInput] = useState('');
+  const [needsOwnerSecret, setNeedsOwnerSecret] = useState(false);
+  const [deckId, setDeckId] = useState(null);
+  const [deckTitle, setDeckTitle] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [shares, setShares] = useState([]);
+  const [shareExpiryDays, setShareExpiryDays] = useState('');
+  const [themeSettings, setThemeSettings] = useState({ id: DEFAULT_THEME_ID, brandKit: null });
+  const [isPresenting, setIsPresenting] = useState(false);
+  const [presenterSession, setPresenterSession] = useState(null);
+  const presentationRef = useRef(null);
+  const presenterChannelRef = useRef(null);
+  const slideTheme = resolveTheme(themeSettings);
+
+  // The presenter channel reads the latest deck through this ref, so it stays open while slides change
+  const presenterDeckRef = useRef(null);
+  presenterDeckRef.current = {
+    title: deckTitle || slides[0]?.title || 'Slide deck',
+    slides: slides.map(tidySlide),
+    images: imageBase64s,
+    theme: slideTheme,
+    index: currentSlide,
+  };
+
+  // The model list comes from the server's provider registry
+  useEffect(() => {
+    fetch('/api/providers')
+      .then(response => response.json())
+      .then(data => setModels(data.providers || []))
+      .catch(err => {
+        console.error('Error loading providers:', err);
+        setError('Could not load the list of AI models');
+      });
+  }, []);
+
+  const fetchDecks = useCallback((path = '', options = {}) => fetch(`/api/decks${path}`, {
+    ...options,
+    headers: { ...options.headers, ...(ownerSecret ? { Authorization: `Bearer ${ownerSecret}` } : {}) },
+  }), [ownerSecret]);
+
+  const loadSavedDecks = useCallback(async () => {
+    try {
+      const response = await fetchDecks();
+      const data = await response.json();
+      setNeedsOwnerSecret(response.status === 401);
+      if (response.status === 401) {
+        setSavedDecks([]);
+        return;
+      }
+      if (!response.ok) throw new Error(data.error || 'Failed to load saved decks');
+      setSavedDecks(data.decks || []);
+    } catch (err) {
+      console.error('Error loading saved decks:', err);
+      setError('Could not load your saved decks');
+    }
+  }, [fetchDecks]);
+
+  useEffect(() => {
+    loadSavedDecks();
+  }, [loadSavedDecks]);
+
+  const unlockDecks = (e) => {
+    e.preventDefault();
+    localStorage.setItem('deckOwnerSecret', ownerSecretInput);
+    setOwnerSecret(ownerSecretInput);
+    setOwnerSecretInput('');
+  };
+
+  const loadShares = useCallback(async (id) => {
+    try {
+      const response = await fetchDecks(`/${id}/shares`);
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to load share links');
+      setShares(data.shares || []);
+    } catch (err) {
+      console.error('Error loading share links:', err);
+      setShares([]);
+    }
+  }, [fetchDecks]);
+
+  // Share links belong to a saved deck, so they are listed whenever another deck is opened or saved
+  useEffect(() => {
+    if (deckId) {
+      loadShares(deckId);
+    } else {
+      setShares([]);
+    }
+  }, [deckId, loadShares]);
 
   const handleImageUpload = async (e) => {
     const files = Array.from(e.target.files);
@@ -27,6 +204,79 @@ export default function Home() {
     // Store uploaded image files
     setUploadedImages(files);
     setImageBase64s([]); // Reset base64 images
+    setImageMessages(files.map(() => ''));
+    setImageCaptions(files.map(() => ''));
+  };
+
+  // The server downloads the image, refusing private addresses and anything that is not an image, and the result
+  // joins the uploaded files so it is previewed, captioned and saved like one
+  const addImageFromUrl = async (e) => {
+    e.preventDefault();
+    const url = imageUrl.trim();
+    if (!url) return;
+
+    setIsFetchingImage(true);
+    setError(null);
+    try {
+      const response = await fetch('/api/images', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ url }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to fetch the image');
+      }
+
+      const blob = await (await fetch(data.image)).blob();
+      const name = new URL(url).pathname.split('/').pop() || 'image';
+      const file = new File([blob], name, { type: blob.type });
+
+      setUploadedImages(prev => [...prev, file]);
+      setImageMessages(prev => [...prev, '']);
+      setImageCaptions(prev => [...prev, '']);
+      setImageUrl('');
+      setApiCallLogs(prev => [...prev, `Added image from ${url}`]);
+    } catch (err) {
+      console.error('Error adding image from URL:', err);
+      setError(err.message || 'An error occurred while fetching the image');
+    } finally {
+      setIsFetchingImage(false);
+    }
+  };
+
+  const updateAt = (setter, index, value) => {
+    setter(prev => prev.map((item, i) => i === index ? value : item));
+  };
+
+  const handleMarkdownImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // Allow importing the same file again after edits
+    if (!file) return;
+
+    setError(null);
+    try {
+      const { marpToDeck } = await import('../utils/marp');
+      const deck = marpToDeck(await file.text());
+
+      if (deck.slides.length === 0) {
+        throw new Error('No slides found in the imported file');
+      }
+
+      setUploadedImages([]);
+      setImageBase64s(deck.images);
+      setSlides(deck.slides);
+      setCurrentSlide(0);
+      setIsEditing(false);
+      setDeckId(null);
+      setDeckTitle('');
+      setGroupSuggestions([]);
+      setTagQuery('');
+      setApiCallLogs(prev => [...prev, `Imported ${deck.slides.length} slides from ${file.name}`]);
+    } catch (err) {
+      console.error('Error importing markdown:', err);
+      setError(err.message || 'An error occurred while importing the deck');
+    }
   };
 
   const generateSlides = async () => {
@@ -36,25 +286,23 @@ export default function Home() {
     setError(null);
     setSlides([]);
     setApiCallLogs([]);
+    setCurrentSlide(0);
+    setIsEditing(false);
+    setDeckId(null);
+    setDeckTitle('');
+    setGroupSuggestions([]);
+    setTagQuery('');
     setIsAnalyzing(true);
 
     try {
-      const base64Images = await Promise.all(
-        uploadedImages.map(file => {
-          return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = () => resolve(reader.result);
-            reader.onerror = reject;
-            reader.readAsDataURL(file);
-          });
-        })
-      );
+      const base64Images = await Promise.all(uploadedImages.map(readFileAsDataUrl));
 
       // Store base64 images for display in slides
       setImageBase64s(base64Images);
 
       // Add log entry
       setApiCallLogs(prev => [...prev, `Processing ${base64Images.length} images with ${selectedModel}...`]);
+      setImageProgress(base64Images.map(() => 'queued'));
 
       const response = await fetch('/api/slides', {
         method: 'POST',
@@ -63,25 +311,57 @@ export default function Home() {
         },
         body: JSON.stringify({ 
           images: base64Images,
-          model: selectedModel
+          messages: imageMessages,
+          captions: imageCaptions,
+          model: selectedModel,
+          // Without a choice here the server's configured fallbacks apply
+          fallbacks: fallbackModels.length > 0 ? fallbackModels.filter(id => id !== selectedModel) : undefined,
+          bypassCache,
+          narrative: addNarrative,
+          topic: deckTopic,
+          stream: true
         }),
       });
 
-      const data = await response.json();
-      
-      // Add log entry about API response
-      setApiCallLogs(prev => [...prev, `API Response received: ${JSON.stringify(data).substring(0, 100)}...`]);
-
       if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
         throw new Error(data.error || 'Failed to generate slides');
       }
 
-      if (!data.slides || !Array.isArray(data.slides) || data.slides.length === 0) {
+      let slideCount = 0;
+
+      await readNdjson(response, (event) => {
+        if (event.type === 'progress' && event.stage === 'narrating') {
+          setApiCallLogs(prev => [...prev, 'Writing the title, agenda and conclusion...']);
+        } else if (event.type === 'progress') {
+          setImageProgress(prev => prev.map((stage, i) => i === event.index ? event.stage : stage));
+        } else if (event.type === 'slide') {
+          slideCount++;
+          setSlides(prev => {
+            const next = [...prev];
+            next[event.index] = event.slide;
+            return next;
+          });
+          setImageProgress(prev => prev.map((stage, i) => i === event.index && stage !== 'failed' ? 'done' : stage));
+          const fromCache = event.slide.cached?.analyze && event.slide.cached?.summarize ? ' (from cache)' : '';
+          setApiCallLogs(prev => [...prev, `Slide ${event.index + 1} ready: ${event.slide.title}${fromCache}`]);
+        } else if (event.type === 'narrative' && event.error) {
+          setApiCallLogs(prev => [...prev, event.error]);
+        } else if (event.type === 'narrative') {
+          // The composed deck replaces the image slides: title and agenda first, conclusion last
+          setSlides(event.slides);
+          setApiCallLogs(prev => [...prev, `Added title, agenda and conclusion slides with ${event.narrative.provider}: ${event.narrative.title}`]);
+        } else if (event.type === 'done' && event.timing) {
+          const { totalMs, speedup, concurrency } = event.timing;
+          setApiCallLogs(prev => [...prev, `Finished in ${(totalMs / 1000).toFixed(1)}s with ${concurrency} images at a time (${speedup}x faster than one by one)`]);
+        } else if (event.type === 'error') {
+          throw new Error(event.error);
+        }
+      });
+
+      if (slideCount === 0) {
         throw new Error('No slides were generated from the API');
       }
-
-      setSlides(data.slides);
-      setCurrentSlide(0);
     } catch (err) {
       console.error('Error generating slides:', err);
       setError(err.message || 'An error occurred while generating slides');
@@ -92,37 +372,518 @@ export default function Home() {
     }
   };
 
+  // While a tag filter is set, Previous and Next skip the slides without a matching tag, as do the keys while presenting
+  const matchingSlides = useMemo(
+    () => slides.map((slide, index) => index).filter(index => slideMatchesTag(slides[index], tagQuery)),
+    [slides, tagQuery]
+  );
+  const nextMatchingSlide = matchingSlides.find(index => index > currentSlide);
+  const prevMatchingSlide = matchingSlides.filter(index => index < currentSlide).pop();
+  const deckTags = collectDeckTags(slides);
+
   const goToNextSlide = () => {
-    if (currentSlide < slides.length - 1) {
-      setCurrentSlide(currentSlide + 1);
+    if (nextMatchingSlide !== undefined) {
+      setCurrentSlide(nextMatchingSlide);
     }
   };
 
   const goToPrevSlide = () => {
-    if (currentSlide > 0) {
-      setCurrentSlide(currentSlide - 1);
+    if (prevMatchingSlide !== undefined) {
+      setCurrentSlide(prevMatchingSlide);
     }
   };
 
-  // Safely access slide properties with default values
-  const getCurrentSlideTitle = () => {
-    if (!slides || !slides[currentSlide]) return "No title available";
-    return slides[currentSlide].title || "Untitled Slide";
+  // Jumps to the next slide with a matching tag, starting over from the first one after the last
+  const jumpToTaggedSlide = () => {
+    const target = nextMatchingSlide ?? matchingSlides[0];
+    if (target !== undefined) {
+      setCurrentSlide(target);
+    }
+  };
+
+  const updateCurrentSlide = (changes) => {
+    setSlides(prev => prev.map((slide, i) => i === currentSlide ? editSlide(slide, changes) : slide));
+  };
+
+  // Adds or removes one of the deck's images on the current slide, for the image grid layout
+  const toggleSlideImage = (imageIndex) => {
+    const indexes = getSlideImageIndexes(slides[currentSlide]);
+    const next = indexes.includes(imageIndex) ? indexes.filter(index => index !== imageIndex) : [...indexes, imageIndex];
+    setSlides(prev => prev.map((slide, i) => i === currentSlide ? editSlide(setSlideImages(slide, next), {}) : slide));
+  };
+
+  const updateBullet = (index, value) => {
+    updateCurrentSlide({ bullets: getCurrentSlideBullets().map((bullet, i) => i === index ? value : bullet) });
+  };
+
+  const addBullet = () => updateCurrentSlide({ bullets: [...getCurrentSlideBullets(), ''] });
+
+  const removeBullet = (index) => {
+    updateCurrentSlide({ bullets: getCurrentSlideBullets().filter((_, i) => i !== index) });
+  };
+
+  // Slides carry their imageIndex, so reordering, inserting and deleting never mix up images
+  const reorderSlide = (from, to) => {
+    if (to < 0 || to >= slides.length || from === to) return;
+    setSlides(prev => moveSlide(prev, from, to));
+    setCurrentSlide(to);
+  };
+
+  const insertBlankSlide = () => {
+    setSlides(prev => insertSlide(prev, currentSlide + 1, createBlankSlide()));
+    setCurrentSlide(currentSlide + 1);
+  };
+
+  const deleteCurrentSlide = () => {
+    setSlides(prev => removeSlide(prev, currentSlide));
+    setCurrentSlide(Math.max(0, Math.min(currentSlide, slides.length - 2)));
+  };
+
+  const toggleEditing = () => {
+    if (isEditing) {
+      setSlides(prev => prev.map(tidySlide));
+    }
+    setIsEditing(!isEditing);
+  };
+
+  // Redoes one slide; unless the image is analyzed again, only the summary is rerun from the stored explanation
+  const regenerateCurrentSlide = async () => {
+    const original = slides[currentSlide];
+    if (!original) return;
+
+    const model = regenerateModel || selectedModel;
+    const needsImage = reanalyzeImage || original.error || !original.fullExplanation;
+
+    setRegeneratingSlide(original);
+    setError(null);
+    try {
+      const response = await fetch('/api/slides/regenerate', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          slide: original,
+          model,
+          fallbacks: fallbackModels.length > 0 ? fallbackModels.filter(id => id !== model) : undefined,
+          instruction: regenerateInstruction,
+          reanalyze: reanalyzeImage,
+          image: needsImage ? getSlideImage(original, imageBase64s) || undefined : undefined,
+        }),
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to regenerate the slide');
+      }
+
+      // Matched by identity, so the result lands on the right slide even if the deck was reordered meanwhile
+      setSlides(prev => prev.map(slide => slide === original ? data.slide : slide));
+      setRegenerateInstruction('');
+      setApiCallLogs(prev => [...prev, `Regenerated "${original.title}" with ${providerName(data.slide.providers.summarize)}: ${data.slide.title}`]);
+    } catch (err) {
+      console.error('Error regenerating slide:', err);
+      setError(err.message || 'An error occurred while regenerating the slide');
+    } finally {
+      setRegeneratingSlide(null);
+    }
+  };
+
+  // Asks for slides whose images show the same thing, each with a combined slide to replace them
+  const suggestImageGroups = async () => {
+    const deck = slides;
+
+    setIsGrouping(true);
+    setError(null);
+    try {
+      const response = await fetch('/api/slides/group', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          slides: deck,
+          images: imageBase64s,
+          model: selectedModel,
+          fallbacks: fallbackModels.length > 0 ? fallbackModels.filter(id => id !== selectedModel) : undefined,
+        }),
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to look for similar images');
+      }
+
+      // Suggestions hold the slides themselves, so they still apply after the deck is reordered
+      setGroupSuggestions(data.groups.map((group, i) => ({
+        id: `${Date.now()}-${i}`,
+        members: group.slideIndexes.map(index => deck[index]),
+        keywords: group.keywords,
+        combined: group.slide,
+        accepted: false,
+      })));
+      setApiCallLogs(prev => [...prev, data.groups.length > 0
+        ? `Found ${data.groups.length} group${data.groups.length === 1 ? '' : 's'} of similar images`
+        : 'No similar images found']);
+    } catch (err) {
+      console.error('Error grouping images:', err);
+      setError(err.message || 'An error occurred while looking for similar images');
+    } finally {
+      setIsGrouping(false);
+    }
+  };
+
+  // Replaces a suggestion's slides with its combined slide, or puts them back
+  const applyGroupSuggestion = (suggestion, accept) => {
+    const next = accept
+      ? groupSlides(slides, suggestion.members, suggestion.combined)
+      : ungroupSlides(slides, suggestion.combined, suggestion.members);
+    if (!next) {
+      setError(accept
+        ? 'Some of these slides were edited or deleted since the suggestion was made; look for similar images again'
+        : 'The combined slide was edited or deleted, so the original slides cannot be put back');
+      return;
+    }
+
+    setSlides(next);
+    setCurrentSlide(next.indexOf(accept ? suggestion.combined : suggestion.members[0]));
+    setGroupSuggestions(prev => prev.map(item => item.id === suggestion.id ? { ...item, accepted: accept } : item));
+  };
+
+  // Saves a new deck, or the changes to the deck that was opened or saved last
+  const saveDeck = async () => {
+    if (slides.length === 0) return;
+
+    setIsSaving(true);
+    setError(null);
+    try {
+      const response = await fetchDecks(deckId ? `/${deckId}` : '', {
+        method: deckId ? 'PUT' : 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          title: deckTitle,
+          slides: slides.map(tidySlide),
+          images: imageBase64s,
+          model: selectedModel,
+          topic: deckTopic,
+          theme: themeSettings,
+        }),
+      });
+
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to save the deck');
+
+      setDeckId(data.deck.id);
+      setDeckTitle(data.deck.title);
+      setApiCallLogs(prev => [...prev, `Saved "${data.deck.title}" with ${data.deck.slides.length} slides`]);
+      await loadSavedDecks();
+    } catch (err) {
+      console.error('Error saving deck:', err);
+      setError(err.message || 'An error occurred while saving the deck');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const openDeck = async (id) => {
+    setError(null);
+    try {
+      const response = await fetchDecks(`/${id}`);
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to open the deck');
+
+      const { deck } = data;
+      setUploadedImages([]);
+      setImageBase64s(deck.images);
+      setSlides(deck.slides);
+      setCurrentSlide(0);
+      setIsEditing(false);
+      setDeckId(deck.id);
+      setDeckTitle(deck.title);
+      setDeckTopic(deck.topic || '');
+      setThemeSettings(deck.theme || { id: DEFAULT_THEME_ID, brandKit: null });
+      setGroupSuggestions([]);
+      setTagQuery('');
+      if (deck.model && models.some(model => model.id === deck.model)) {
+        setSelectedModel(deck.model);
+      }
+      setApiCallLogs([`Opened "${deck.title}" (saved ${new Date(deck.updatedAt).toLocaleString()})`]);
+    } catch (err) {
+      console.error('Error opening deck:', err);
+      setError(err.message || 'An error occurred while opening the deck');
+    }
+  };
+
+  const duplicateDeck = async (id) => {
+    setError(null);
+    try {
+      const response = await fetchDecks(`/${id}/duplicate`, { method: 'POST' });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to duplicate the deck');
+      await loadSavedDecks();
+    } catch (err) {
+      console.error('Error duplicating deck:', err);
+      setError(err.message || 'An error occurred while duplicating the deck');
+    }
+  };
+
+  const deleteDeck = async (deck) => {
+    if (!window.confirm(`Delete "${deck.title}"? This cannot be undone.`)) return;
+
+    setError(null);
+    try {
+      const response = await fetchDecks(`/${deck.id}`, { method: 'DELETE' });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to delete the deck');
+      // The open deck stays on screen; saving it again creates a new deck
+      if (deck.id === deckId) setDeckId(null);
+      await loadSavedDecks();
+    } catch (err) {
+      console.error('Error deleting deck:', err);
+      setError(err.message || 'An error occurred while deleting the deck');
+    }
+  };
+
+  const createShareLink = async () => {
+    if (!deckId) return;
+
+    setError(null);
+    try {
+      const response = await fetchDecks(`/${deckId}/shares`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ expiresInDays: shareExpiryDays || undefined }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to create a share link');
+
+      setShares(prev => [...prev, data.share]);
+      setApiCallLogs(prev => [...prev, `Created a read-only link${data.share.expiresAt ? ` that expires ${new Date(data.share.expiresAt).toLocaleString()}` : ''}`]);
+    } catch (err) {
+      console.error('Error creating share link:', err);
+      setError(err.message || 'An error occurred while creating the share link');
+    }
+  };
+
+  const revokeShareLink = async (token) => {
+    setError(null);
+    try {
+      const response = await fetchDecks(`/${deckId}/shares/${token}`, { method: 'DELETE' });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to revoke the share link');
+      setShares(prev => prev.filter(share => share.token !== token));
+    } catch (err) {
+      console.error('Error revoking share link:', err);
+      setError(err.message || 'An error occurred while revoking the share link');
+    }
+  };
+
+  const shareUrl = (share) => `${window.location.origin}${share.path}`;
+
+  // Answers the presenter window and follows the slide changes it asks for
+  useEffect(() => {
+    if (!presenterSession) return;
+
+    const channel = openPresenterChannel(presenterSession, (message) => {
+      if (message.type === 'hello') {
+        channel.post({ type: 'deck', ...presenterDeckRef.current });
+      } else if (message.type === 'goto') {
+        setCurrentSlide(Math.max(0, Math.min(message.index, presenterDeckRef.current.slides.length - 1)));
+      }
+    });
+    presenterChannelRef.current = channel;
+    channel.post({ type: 'deck', ...presenterDeckRef.current });
+
+    return () => {
+      channel.close();
+      presenterChannelRef.current = null;
+    };
+  }, [presenterSession]);
+
+  // Keeps an open presenter window up to date with edits and on the current slide
+  useEffect(() => {
+    presenterChannelRef.current?.post({ type: 'deck', ...presenterDeckRef.current });
+  }, [slides, imageBase64s, deckTitle, themeSettings]);
+
+  useEffect(() => {
+    presenterChannelRef.current?.post({ type: 'slide', index: currentSlide });
+  }, [currentSlide]);
+
+  const openPresenterView = () => {
+    const session = presenterSession || createPresenterSession();
+    setPresenterSession(session);
+    window.open(`/present?session=${session}`, `presenter-${session}`, 'width=1280,height=800');
+  };
+
+  const stopPresenting = () => {
+    setIsPresenting(false);
+    if (document.fullscreenElement) {
+      document.exitFullscreen().catch(() => {});
+    }
+  };
+
+  // The presentation fills the screen; without fullscreen support it still covers the whole window
+  useEffect(() => {
+    if (!isPresenting) return;
+
+    presentationRef.current?.requestFullscreen?.().catch(err => console.error('Fullscreen was refused:', err));
+
+    const onFullscreenChange = () => {
+      if (!document.fullscreenElement) setIsPresenting(false);
+    };
+
+    document.addEventListener('fullscreenchange', onFullscreenChange);
+    return () => document.removeEventListener('fullscreenchange', onFullscreenChange);
+  }, [isPresenting]);
+
+  // Keys step through the same slides as clicking, so a tag filter applies to both
+  useEffect(() => {
+    if (!isPresenting) return;
+
+    const onKeyDown = (e) => {
+      if (['ArrowRight', 'ArrowDown', 'PageDown', ' ', 'Enter'].includes(e.key)) {
+        e.preventDefault();
+        setCurrentSlide(index => matchingSlides.find(match => match > index) ?? index);
+      } else if (['ArrowLeft', 'ArrowUp', 'PageUp', 'Backspace'].includes(e.key)) {
+        e.preventDefault();
+        setCurrentSlide(index => matchingSlides.filter(match => match < index).pop() ?? index);
+      } else if (e.key === 'Home') {
+        setCurrentSlide(index => matchingSlides[0] ?? index);
+      } else if (e.key === 'End') {
+        setCurrentSlide(index => matchingSlides[matchingSlides.length - 1] ?? index);
+      } else if (e.key === 'Escape') {
+        setIsPresenting(false);
+      }
+    };
+
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [isPresenting, matchingSlides]);
+
+  // Clicking the left third of the screen goes back, anywhere else moves on
+  const handlePresentationClick = (e) => {
+    const { left, width } = e.currentTarget.getBoundingClientRect();
+    if (e.clientX - left < width / 3) {
+      goToPrevSlide();
+    } else {
+      goToNextSlide();
+    }
+  };
+
+  const runExport = async (label, exporter) => {
+    if (slides.length === 0) return;
+
+    setIsExporting(true);
+    try {
+      const fileName = await exporter();
+      setApiCallLogs(prev => [...prev, `Exported ${slides.length} slides to ${label}: ${fileName}`]);
+    } catch (err) {
+      console.error(`Error exporting ${label}:`, err);
+      setError(err.message || 'An error occurred while exporting the deck');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  // Export libraries are loaded on demand so they are not part of the initial bundle
+  const exportPptx = () => runExport('PPTX', async () => {
+    const { exportDeckToPptx } = await import('../utils/pptx');
+    return exportDeckToPptx(slides.map(tidySlide), imageBase64s, { theme: slideTheme });
+  });
+
+  const exportPdf = (layout) => runExport('PDF', async () => {
+    const { exportDeckToPdf } = await import('../utils/pdf');
+    return exportDeckToPdf(slides.map(tidySlide), imageBase64s, { layout, theme: slideTheme });
+  });
+
+  const exportHtml = () => runExport('HTML', async () => {
+    const { exportDeckToHtml } = await import('../utils/html');
+    return exportDeckToHtml(slides.map(tidySlide), imageBase64s, { theme: slideTheme });
+  });
+
+  const exportMarkdown = () => runExport('Markdown', async () => {
+    const { exportDeckToMarp } = await import('../utils/marp');
+    return exportDeckToMarp(slides.map(tidySlide), imageBase64s, { theme: slideTheme });
+  });
+
+  // Brand kit changes are validated like the server does when the deck is saved
+  const updateBrandKit = (changes) => {
+    try {
+      const brandKit = readBrandKit({ ...themeSettings.brandKit, ...changes });
+      setThemeSettings({ ...themeSettings, brandKit });
+    } catch (err) {
+      setError(err.message);
+    }
   };
 
-  const getCurrentSlideContent = () => {
-    if (!slides || !slides[currentSlide]) return "";
-    return slides[currentSlide].content || "No content available";
+  const uploadBrandLogo = async (file) => {
+    if (file) updateBrandKit({ logo: await readFileAsDataUrl(file) });
   };
 
+  const uploadBrandFont = async (file) => {
+    if (!file) return;
+    // Font names may only hold letters, digits, spaces, - and _; anything else in the file name becomes a space
+    const name = file.name.replace(/\.[^.]+$/, '').replace(/[^A-Za-z0-9 _-]+/g, ' ').trim() || 'Brand font';
+    updateBrandKit({ font: { name, data: await readFileAsDataUrl(file) } });
+  };
+
+  const setBrandColor = (key, color) => {
+    updateBrandKit({ palette: { ...themeSettings.brandKit?.palette, [key]: color } });
+  };
+
+  const exportOptions = [
+    { label: 'Export PPTX', onClick: exportPptx },
+    { label: 'Export PDF (slides)', onClick: () => exportPdf('slides') },
+    { label: 'Export PDF (handout)', onClick: () => exportPdf('handout') },
+    { label: 'Export HTML', onClick: exportHtml },
+    { label: 'Export Markdown', onClick: exportMarkdown },
+  ];
+
+  // Safely access slide properties with default values
+  const getCurrentSlideBullets = () => {
+    if (!slides || !slides[currentSlide]) return [];
+    return slides[currentSlide].bullets || [];
+  };
+
+  const getCurrentSlideSubtitle = () => slides[currentSlide]?.subtitle || "";
+
+  const getCurrentSlideNotes = () => slides[currentSlide]?.notes || "";
+
+  const getCurrentSlideTransition = () => slides[currentSlide]?.transition || "";
+
+  const isNarrativeSlide = (slide) => NARRATIVE_KINDS.includes(slide?.kind);
+
   const getCurrentSlideExplanation = () => {
     if (!slides || !slides[currentSlide]) return "No explanation available";
     return slides[currentSlide].fullExplanation || "No explanation available";
   };
 
-  const getCurrentSlideImage = () => {
-    if (!imageBase64s || !imageBase64s[currentSlide]) return null;
-    return imageBase64s[currentSlide];
+  // Slides keep the index of their source image, so the pairing survives narrative slides being added
+  const getCurrentSlideImage = () => getSlideImage(slides[currentSlide], imageBase64s || []);
+
+  const toggleFallbackModel = (id) => {
+    setFallbackModels(prev => prev.includes(id) ? prev.filter(item => item !== id) : [...prev, id]);
+  };
+
+  const providerName = (id) => models.find(m => m.id === id)?.name || id;
+
+  // Names the providers that actually produced a slide, which may differ from the dropdown after a fallback
+  const describeSlideProviders = (slide) => {
+    if (slide?.kind === 'custom') return 'Added by hand';
+    if (!slide || slide.providers === undefined) return 'Imported deck';
+    if (slide.providers === null) return 'No provider succeeded';
+    if (isNarrativeSlide(slide)) return `Deck narrative by ${providerName(slide.providers.narrate)}`;
+
+    const { analyze, summarize } = slide.providers;
+    const names = analyze === summarize
+      ? providerName(analyze)
+      : `Analysis: ${providerName(analyze)} · Summary: ${providerName(summarize)}`;
+    const failed = [...new Set((slide.failedProviders || []).map(failure => providerName(failure.provider)))];
+    return failed.length > 0 ? `${names} (after ${failed.join(', ')} failed)` : names;
   };
 
   return (
@@ -151,6 +912,34 @@ export default function Home() {
             <p className="text-sm text-gray-500 mt-1">
               Choose which AI model to use for image analysis
             </p>
+            <fieldset className="mt-3" disabled={isLoading}>
+              <legend className="text-sm font-medium text-gray-700">Fallback models</legend>
+              <p className="text-sm text-gray-500 mb-1">
+                Tried in the order you check them if the selected model fails. Leave empty to use the server defaults.
+              </p>
+              {models.filter(model => model.id !== selectedModel).map(model => (
+                <label key={model.id} className="flex items-center gap-2 text-sm">
+                  <input
+                    type="checkbox"
+                    checked={fallbackModels.includes(model.id)}
+                    onChange={() => toggleFallbackModel(model.id)}
+                  />
+                  {model.name}
+                  {fallbackModels.includes(model.id) && (
+                    <span className="text-gray-500">#{fallbackModels.filter(id => id !== selectedModel).indexOf(model.id) + 1}</span>
+                  )}
+                </label>
+              ))}
+            </fieldset>
+            <label className="mt-3 flex items-center gap-2 text-sm">
+              <input
+                type="checkbox"
+                checked={bypassCache}
+                onChange={(e) => setBypassCache(e.target.checked)}
+                disabled={isLoading}
+              />
+              Ignore cached results and analyze every image again
+            </label>
           </div>
         </div>
         
@@ -168,14 +957,97 @@ export default function Home() {
               disabled={isLoading}
             />
           </label>
+          <form onSubmit={addImageFromUrl} className="flex gap-2 mt-3">
+            <input
+              type="url"
+              value={imageUrl}
+              onChange={(e) => setImageUrl(e.target.value)}
+              placeholder="https://example.com/photo.jpg"
+              aria-label="Image URL"
+              className="flex-1 p-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              disabled={isLoading || isFetchingImage}
+            />
+            <button
+              type="submit"
+              disabled={isLoading || isFetchingImage || !imageUrl.trim()}
+              className="px-3 py-2 rounded-md border border-gray-300 text-sm hover:bg-gray-50 disabled:text-gray-400"
+            >
+              {isFetchingImage ? 'Fetching...' : 'Add image from URL'}
+            </button>
+          </form>
+          <p className="text-sm text-gray-500 text-center mt-2">
+            or{' '}
+            <label htmlFor="markdownImport" className="text-blue-600 hover:underline cursor-pointer">
+              import a Markdown (Marp) deck
+            </label>
+            <input
+              id="markdownImport"
+              type="file"
+              accept=".md,.markdown,text/markdown"
+              onChange={handleMarkdownImport}
+              className="hidden"
+              disabled={isLoading}
+            />
+          </p>
         </div>
 
+        {needsOwnerSecret && (
+          <form onSubmit={unlockDecks} className="w-full p-4 border rounded-lg bg-white">
+            <h2 className="text-xl font-semibold mb-1">My decks</h2>
+            <label htmlFor="ownerSecret" className="block text-sm text-gray-600 mb-2">
+              Saved decks are protected. Enter the server&apos;s deck owner secret to list, save and share them.
+            </label>
+            <div className="flex gap-2">
+              <input
+                id="ownerSecret"
+                type="password"
+                value={ownerSecretInput}
+                onChange={(e) => setOwnerSecretInput(e.target.value)}
+                className="flex-1 p-2 border rounded"
+                autoComplete="current-password"
+              />
+              <button type="submit" disabled={!ownerSecretInput} className="px-4 py-2 rounded bg-blue-600 text-white hover:bg-blue-700 disabled:bg-gray-400">
+                Unlock
+              </button>
+            </div>
+          </form>
+        )}
+
+        {savedDecks.length > 0 && (
+          <div className="w-full p-4 border rounded-lg bg-white">
+            <h2 className="text-xl font-semibold mb-3">My decks</h2>
+            <ul className="divide-y">
+              {savedDecks.map(deck => (
+                <li key={deck.id} className="py-2 flex flex-wrap items-center justify-between gap-2">
+                  <div>
+                    <p className={`font-medium ${deck.id === deckId ? 'text-blue-700' : ''}`}>{deck.title}</p>
+                    <p className="text-sm text-gray-500">
+                      {deck.slideCount} slides · {deck.providers.map(providerName).join(', ') || 'No providers'} · saved {new Date(deck.updatedAt).toLocaleString()}
+                    </p>
+                  </div>
+                  <div className="flex gap-2 text-sm">
+                    <button onClick={() => openDeck(deck.id)} disabled={isLoading} className="px-3 py-1 rounded border border-blue-600 text-blue-600 hover:bg-blue-50 disabled:border-gray-400 disabled:text-gray-400">
+                      Open
+                    </button>
+                    <button onClick={() => duplicateDeck(deck.id)} className="px-3 py-1 rounded border border-gray-300 hover:bg-gray-50">
+                      Duplicate
+                    </button>
+                    <button onClick={() => deleteDeck(deck)} className="px-3 py-1 rounded border border-red-300 text-red-600 hover:bg-red-50">
+                      Delete
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
         {uploadedImages.length > 0 && (
           <div className="w-full">
             <div className="flex justify-between items-center mb-4">
               <h2 className="text-xl font-semibold">Image Preview</h2>
               <p className="text-sm text-gray-600">
-                The AI will automatically generate captions and context for each image
+                Leave a message or caption blank to let the AI generate it
               </p>
             </div>
             
@@ -189,8 +1061,66 @@ export default function Home() {
                     style={{ maxHeight: '300px' }}
                   />
                 </div>
+                <div className="mt-4 grid gap-3 md:grid-cols-2">
+                  <div>
+                    <label htmlFor={`message-${index}`} className="block text-sm font-medium text-gray-700 mb-1">
+                      Message
+                    </label>
+                    <textarea
+                      id={`message-${index}`}
+                      value={imageMessages[index] || ''}
+                      onChange={(e) => updateAt(setImageMessages, index, e.target.value)}
+                      placeholder="Context about this image (optional)"
+                      rows={2}
+                      className="w-full p-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                      disabled={isLoading}
+                    />
+                  </div>
+                  <div>
+                    <label htmlFor={`caption-${index}`} className="block text-sm font-medium text-gray-700 mb-1">
+                      Caption
+                    </label>
+                    <textarea
+                      id={`caption-${index}`}
+                      value={imageCaptions[index] || ''}
+                      onChange={(e) => updateAt(setImageCaptions, index, e.target.value)}
+                      placeholder="Describe or label this image (optional)"
+                      rows={2}
+                      className="w-full p-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                      disabled={isLoading}
+                    />
+                  </div>
+                </div>
               </div>
             ))}
+            <div className="mb-4 p-4 border rounded-lg">
+              <label className="flex items-center gap-2 text-sm">
+                <input
+                  type="checkbox"
+                  checked={addNarrative}
+                  onChange={(e) => setAddNarrative(e.target.checked)}
+                  disabled={isLoading}
+                />
+                Add title, agenda and conclusion slides, with transitions between slides
+              </label>
+              {addNarrative && (
+                <div className="mt-3">
+                  <label htmlFor="deckTopic" className="block text-sm font-medium text-gray-700 mb-1">
+                    Deck topic
+                  </label>
+                  <input
+                    id="deckTopic"
+                    type="text"
+                    value={deckTopic}
+                    onChange={(e) => setDeckTopic(e.target.value)}
+                    placeholder="What is this deck about? (optional)"
+                    maxLength={200}
+                    className="w-full p-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    disabled={isLoading}
+                  />
+                </div>
+              )}
+            </div>
             <div className="text-center mt-4">
               <button
                 onClick={generateSlides}
@@ -207,7 +1137,16 @@ export default function Home() {
           <div className="w-full text-center p-8">
             <div className="inline-block h-12 w-12 animate-spin rounded-full border-4 border-solid border-blue-600 border-r-transparent"></div>
             <p className="mt-4 text-lg">Analyzing images with {models.find(m => m.id === selectedModel)?.name}...</p>
-            <p className="text-sm text-gray-500">This may take a few moments</p>
+            <p className="text-sm text-gray-500">
+              {imageProgress.filter(stage => stage === 'done' || stage === 'failed').length} of {imageProgress.length} slides ready
+            </p>
+            <ul className="mt-4 inline-block text-left text-sm">
+              {imageProgress.map((stage, index) => (
+                <li key={index} className={stage === 'failed' ? 'text-red-600' : stage === 'done' ? 'text-green-700' : 'text-gray-700'}>
+                  Image {index + 1}: {progressLabels[stage] || stage}
+                </li>
+              ))}
+            </ul>
           </div>
         )}
 
@@ -233,82 +1172,535 @@ export default function Home() {
             <div className="flex justify-between items-center bg-gray-100 p-4">
               <button 
                 onClick={goToPrevSlide}
-                disabled={currentSlide === 0}
+                disabled={prevMatchingSlide === undefined}
                 className="px-4 py-2 rounded bg-blue-600 text-white disabled:bg-gray-400"
               >
                 Previous
               </button>
-              <span className="font-medium">Slide {currentSlide + 1} of {slides.length}</span>
+              <div className="flex items-center gap-4">
+                <span className="font-medium">Slide {currentSlide + 1} of {slides.length}</span>
+                <button
+                  onClick={toggleEditing}
+                  disabled={isLoading}
+                  className="px-4 py-2 rounded border border-blue-600 text-blue-600 font-medium hover:bg-blue-50 disabled:border-gray-400 disabled:text-gray-400"
+                >
+                  {isEditing ? 'Done editing' : 'Edit slides'}
+                </button>
+                <button
+                  onClick={() => setIsPresenting(true)}
+                  disabled={isLoading || isEditing}
+                  className="px-4 py-2 rounded border border-blue-600 text-blue-600 font-medium hover:bg-blue-50 disabled:border-gray-400 disabled:text-gray-400"
+                >
+                  Present
+                </button>
+                <button
+                  onClick={openPresenterView}
+                  disabled={isLoading}
+                  className="px-4 py-2 rounded border border-blue-600 text-blue-600 font-medium hover:bg-blue-50 disabled:border-gray-400 disabled:text-gray-400"
+                >
+                  Presenter view
+                </button>
+              </div>
               <button 
                 onClick={goToNextSlide}
-                disabled={currentSlide === slides.length - 1}
+                disabled={nextMatchingSlide === undefined}
                 className="px-4 py-2 rounded bg-blue-600 text-white disabled:bg-gray-400"
               >
                 Next
               </button>
             </div>
+
+            {deckTags.length > 0 && (
+              <div className="flex flex-wrap items-center gap-3 px-4 pt-3 text-sm bg-gray-50">
+                <input
+                  type="search"
+                  value={tagQuery}
+                  onChange={(e) => setTagQuery(e.target.value)}
+                  onKeyDown={(e) => e.key === 'Enter' && jumpToTaggedSlide()}
+                  list="deck-tags"
+                  placeholder='Find slides by tag, e.g. "whiteboard"'
+                  aria-label="Find slides by tag"
+                  className="w-64 p-1.5 border border-gray-300 rounded-md"
+                />
+                <datalist id="deck-tags">
+                  {deckTags.map(tag => <option key={tag} value={tag} />)}
+                </datalist>
+                {tagQuery.trim() && (
+                  <>
+                    <span className="text-gray-600">
+                      {matchingSlides.length} of {slides.length} slides
+                    </span>
+                    <button
+                      onClick={jumpToTaggedSlide}
+                      disabled={matchingSlides.length === 0}
+                      className="px-3 py-1 rounded border border-gray-300 bg-white hover:bg-gray-100 disabled:text-gray-400"
+                    >
+                      Next match
+                    </button>
+                    <button onClick={() => setTagQuery('')} className="px-3 py-1 rounded border border-gray-300 bg-white hover:bg-gray-100">
+                      Show all
+                    </button>
+                  </>
+                )}
+              </div>
+            )}
+
+            <ol className="flex gap-3 overflow-x-auto p-4 border-b bg-gray-50">
+              {slides.map((slide, index) => (
+                <li
+                  key={index}
+                  draggable={isEditing}
+                  onDragStart={() => setDraggedSlide(index)}
+                  onDragOver={(e) => isEditing && e.preventDefault()}
+                  onDrop={() => {
+                    if (draggedSlide !== null) reorderSlide(draggedSlide, index);
+                    setDraggedSlide(null);
+                  }}
+                  onDragEnd={() => setDraggedSlide(null)}
+                  className={`${draggedSlide === index ? 'opacity-50' : ''} ${slideMatchesTag(slide, tagQuery) ? '' : 'hidden'}`}
+                >
+                  <button
+                    onClick={() => setCurrentSlide(index)}
+                    title={slide.title}
+                    className={`w-32 h-20 flex flex-col items-center justify-center rounded border-2 bg-white overflow-hidden text-xs ${index === currentSlide ? 'border-blue-600' : 'border-gray-200 hover:border-blue-300'} ${isEditing ? 'cursor-move' : ''}`}
+                  >
+                    {getSlideImage(slide, imageBase64s) ? (
+                      <img src={getSlideImage(slide, imageBase64s)} alt="" className="max-h-12 object-contain" />
+                    ) : null}
+                    <span className="px-1 truncate w-full text-center">{index + 1}. {slide.title || 'Untitled Slide'}</span>
+                  </button>
+                </li>
+              ))}
+            </ol>
+
+            <div className="flex flex-wrap items-center gap-3 px-8 pt-4 text-sm">
+              <label className="flex items-center gap-2">
+                Layout
+                <select
+                  value={getSlideLayout(slides[currentSlide], getSlideImages(slides[currentSlide], imageBase64s).length)}
+                  onChange={(e) => updateCurrentSlide({ layout: e.target.value })}
+                  disabled={isLoading}
+                  className="p-1 border border-gray-300 rounded-md"
+                >
+                  {SLIDE_LAYOUTS.map(layout => (
+                    <option
+                      key={layout.id}
+                      value={layout.id}
+                      disabled={layout.image && getSlideImages(slides[currentSlide], imageBase64s).length === 0}
+                    >
+                      {layout.name}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              {slides[currentSlide]?.tags?.length > 0 && (
+                <div className="flex flex-wrap items-center gap-1">
+                  <span className="text-gray-500">Tags:</span>
+                  {slides[currentSlide].tags.map(tag => (
+                    <button
+                      key={tag}
+                      onClick={() => setTagQuery(tag)}
+                      title={`Show the slides tagged "${tag}"`}
+                      className={`px-2 py-0.5 rounded-full border ${tagQuery.trim().toLowerCase() === tag ? 'bg-blue-600 border-blue-600 text-white' : 'bg-gray-100 border-gray-200 text-gray-700 hover:bg-gray-200'}`}
+                    >
+                      {tag}
+                    </button>
+                  ))}
+                </div>
+              )}
+              {slides[currentSlide]?.layout === 'grid' && imageBase64s.filter(Boolean).length > 1 && (
+                <div className="flex flex-wrap items-center gap-2">
+                  <span className="text-gray-500">Images on this slide:</span>
+                  {imageBase64s.map((image, index) => image && (
+                    <label key={index} className="flex items-center gap-1">
+                      <input
+                        type="checkbox"
+                        checked={getSlideImageIndexes(slides[currentSlide]).includes(index)}
+                        onChange={() => toggleSlideImage(index)}
+                        disabled={getSlideImageIndexes(slides[currentSlide]).length === 1 && getSlideImageIndexes(slides[currentSlide])[0] === index}
+                      />
+                      <img src={image} alt={`Image ${index + 1}`} className="h-8 w-8 object-cover rounded" />
+                    </label>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            {isEditing && (
+              <div className="flex flex-wrap gap-2 px-8 pt-4 text-sm">
+                <button onClick={() => reorderSlide(currentSlide, currentSlide - 1)} disabled={currentSlide === 0} className="px-3 py-1 rounded border border-gray-300 hover:bg-gray-50 disabled:text-gray-400">
+                  Move left
+                </button>
+                <button onClick={() => reorderSlide(currentSlide, currentSlide + 1)} disabled={currentSlide === slides.length - 1} className="px-3 py-1 rounded border border-gray-300 hover:bg-gray-50 disabled:text-gray-400">
+                  Move right
+                </button>
+                <button onClick={insertBlankSlide} className="px-3 py-1 rounded border border-gray-300 hover:bg-gray-50">
+                  Insert blank slide after
+                </button>
+                <button onClick={deleteCurrentSlide} className="px-3 py-1 rounded border border-red-300 text-red-600 hover:bg-red-50">
+                  Delete slide
+                </button>
+                <span className="self-center text-gray-500">Drag thumbnails to reorder. Empty bullets are dropped when you finish editing.</span>
+              </div>
+            )}
             
             <div className="p-8">
-              <h2 className="text-3xl font-bold mb-6 text-center">{getCurrentSlideTitle()}</h2>
-              
-              <div className="slide-container bg-gradient-to-r from-blue-50 to-white rounded-xl shadow-lg overflow-hidden p-6">
-                <div className="flex flex-col md:flex-row gap-8">
-                  {getCurrentSlideImage() && (
-                    <div className="w-full md:w-2/5 flex items-center justify-center transition-all duration-300 ease-in-out">
-                      <div className="relative rounded-lg overflow-hidden shadow-md transform hover:scale-102 transition-all duration-300 hover:shadow-lg">
-                        <img 
-                          src={getCurrentSlideImage()}
-                          alt={getCurrentSlideTitle()}
-                          className="max-w-full h-auto object-contain"
-                          style={{ maxHeight: '400px' }}
+              <SlideView
+                slide={slides[currentSlide]}
+                images={getSlideImages(slides[currentSlide], imageBase64s)}
+                theme={slideTheme}
+                emptyText={isLoading ? 'Loading slide content...' : 'No bullet points yet'}
+                title={isEditing && (
+                  <input
+                    type="text"
+                    value={slides[currentSlide]?.title || ''}
+                    onChange={(e) => updateCurrentSlide({ title: e.target.value })}
+                    aria-label="Slide title"
+                    className="w-full mb-6 p-2 text-3xl font-bold text-center text-gray-900 bg-white border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                )}
+                content={isEditing && (
+                  <div className="content-container not-prose">
+                    <input
+                      type="text"
+                      value={getCurrentSlideSubtitle()}
+                      onChange={(e) => updateCurrentSlide({ subtitle: e.target.value })}
+                      placeholder="Subtitle (optional)"
+                      aria-label="Slide subtitle"
+                      className="w-full mb-4 p-2 text-lg italic text-gray-900 bg-white border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                    {getCurrentSlideBullets().map((bullet, i) => (
+                      <div key={i} className="flex items-start gap-2 mb-2">
+                        <span className="text-slide-accent mt-2">{getBulletMarker(slideTheme, i)}</span>
+                        <textarea
+                          value={bullet}
+                          onChange={(e) => updateBullet(i, e.target.value)}
+                          aria-label={`Bullet ${i + 1}`}
+                          rows={2}
+                          className="flex-1 p-2 text-gray-900 bg-white border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
                         />
+                        <button onClick={() => removeBullet(i)} className="px-2 py-1 text-sm text-red-600 hover:underline">
+                          Remove
+                        </button>
                       </div>
-                    </div>
-                  )}
-                  
-                  <div className={`w-full ${getCurrentSlideImage() ? 'md:w-3/5' : ''} prose max-w-none transition-all duration-300 ease-in-out`}>
-                    <div className="content-container">
-                      {getCurrentSlideContent() ? (
-                        getCurrentSlideContent().split('\n').filter(line => line.trim()).map((line, i) => {
-                          // Check if this is a bullet point
-                          if (line.trim().startsWith('- ') || line.trim().startsWith('* ') || 
-                              /^\d+\./.test(line.trim())) {
-                            return (
-                              <div key={i} className="flex items-start mb-4 slide-in-right animate-fadeIn" style={{animationDelay: `${i * 150}ms`}}>
-                                <span className="text-blue-500 mr-2">•</span>
-                                <p className="m-0">{line.replace(/^[-*]\s+/, '')}</p>
-                              </div>
-                            );
-                          } else {
-                            return (
-                              <p key={i} className="mb-4 slide-in-right animate-fadeIn" style={{animationDelay: `${i * 150}ms`}}>
-                                {line}
-                              </p>
-                            );
-                          }
-                        })
+                    ))}
+                    <button onClick={addBullet} className="mt-2 text-sm text-slide-accent hover:underline">
+                      + Add bullet
+                    </button>
+                  </div>
+                )}
+              />
+              
+              {getCurrentSlideTransition() && (
+                <div className="mt-8 p-4 bg-gray-50 rounded-lg">
+                  <h3 className="text-lg font-medium mb-2">Transition:</h3>
+                  <p className="text-sm text-gray-700">{getCurrentSlideTransition()}</p>
+                </div>
+              )}
+
+              {isEditing ? (
+                <div className="mt-8 p-4 bg-gray-50 rounded-lg">
+                  <label htmlFor="slideNotes" className="block text-lg font-medium mb-2">Speaker Notes:</label>
+                  <textarea
+                    id="slideNotes"
+                    value={getCurrentSlideNotes()}
+                    onChange={(e) => updateCurrentSlide({ notes: e.target.value })}
+                    rows={3}
+                    className="w-full p-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
+              ) : getCurrentSlideNotes() && (
+                <div className="mt-8 p-4 bg-gray-50 rounded-lg">
+                  <h3 className="text-lg font-medium mb-2">Speaker Notes:</h3>
+                  <p className="text-sm text-gray-700">{getCurrentSlideNotes()}</p>
+                </div>
+              )}
+
+              {!isNarrativeSlide(slides[currentSlide]) && slides[currentSlide]?.kind !== 'custom' && (
+                <div className="mt-8 p-4 bg-gray-50 rounded-lg">
+                  <h3 className="text-lg font-medium mb-2">Full Explanation:</h3>
+                  <p className="text-sm text-gray-700">{getCurrentSlideExplanation()}</p>
+                </div>
+              )}
+              
+              {!isEditing && !isNarrativeSlide(slides[currentSlide]) && slides[currentSlide]?.kind !== 'custom' && (
+                <div className="mt-8 p-4 border rounded-lg">
+                  <h3 className="text-lg font-medium mb-2">Regenerate this slide</h3>
+                  <div className="flex flex-col md:flex-row gap-3">
+                    <input
+                      type="text"
+                      value={regenerateInstruction}
+                      onChange={(e) => setRegenerateInstruction(e.target.value)}
+                      placeholder='Instruction (optional), e.g. "make it more technical"'
+                      aria-label="Regeneration instruction"
+                      maxLength={500}
+                      className="flex-1 p-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      disabled={regeneratingSlide !== null}
+                    />
+                    <select
+                      value={regenerateModel}
+                      onChange={(e) => setRegenerateModel(e.target.value)}
+                      aria-label="Model for regeneration"
+                      className="p-2 border border-gray-300 rounded-md text-sm"
+                      disabled={regeneratingSlide !== null}
+                    >
+                      <option value="">Same model ({providerName(selectedModel)})</option>
+                      {models.filter(model => model.id !== selectedModel).map(model => (
+                        <option key={model.id} value={model.id}>{model.name}</option>
+                      ))}
+                    </select>
+                    <button
+                      onClick={regenerateCurrentSlide}
+                      disabled={regeneratingSlide !== null || isLoading}
+                      className="px-4 py-2 rounded bg-blue-600 text-white font-medium hover:bg-blue-700 disabled:bg-gray-400"
+                    >
+                      {regeneratingSlide !== null ? 'Regenerating...' : 'Regenerate'}
+                    </button>
+                  </div>
+                  <label className="mt-2 flex items-center gap-2 text-sm text-gray-600">
+                    <input
+                      type="checkbox"
+                      checked={reanalyzeImage || Boolean(slides[currentSlide]?.error)}
+                      onChange={(e) => setReanalyzeImage(e.target.checked)}
+                      disabled={regeneratingSlide !== null || Boolean(slides[currentSlide]?.error) || !getCurrentSlideImage()}
+                    />
+                    Analyze the image again (otherwise only the summary is redone from the full explanation)
+                  </label>
+                </div>
+              )}
+
+              {!isEditing && (
+                <div className="mt-8 p-4 border rounded-lg text-sm">
+                  <div className="flex flex-wrap items-center justify-between gap-3">
+                    <h3 className="text-lg font-medium">Similar images</h3>
+                    <button
+                      onClick={suggestImageGroups}
+                      disabled={isGrouping || isLoading}
+                      className="px-4 py-2 rounded border border-blue-600 text-blue-600 font-medium hover:bg-blue-50 disabled:border-gray-400 disabled:text-gray-400"
+                    >
+                      {isGrouping ? 'Looking...' : 'Find similar images'}
+                    </button>
+                  </div>
+                  <p className="mt-2 text-gray-500">
+                    Suggests merging slides whose images show the same thing, such as several shots of one object or a before/after pair, into one slide with all of the images.
+                  </p>
+                  {groupSuggestions.map(suggestion => (
+                    <div key={suggestion.id} className="mt-3 p-3 bg-gray-50 rounded-lg flex flex-wrap items-center gap-3">
+                      <div className="flex gap-1">
+                        {suggestion.combined.imageIndexes.map(index => (
+                          <img key={index} src={imageBase64s[index]} alt="" className="h-12 w-12 object-cover rounded" />
+                        ))}
+                      </div>
+                      <div className="flex-1 min-w-[12rem]">
+                        <p className="font-medium text-gray-800">
+                          {suggestion.members.length} slides → &ldquo;{suggestion.combined.title}&rdquo;
+                        </p>
+                        {suggestion.keywords.length > 0 && (
+                          <p className="text-gray-500">Shared: {suggestion.keywords.join(', ')}</p>
+                        )}
+                      </div>
+                      {suggestion.accepted ? (
+                        <>
+                          <span className="text-green-700">Merged</span>
+                          <button
+                            onClick={() => applyGroupSuggestion(suggestion, false)}
+                            className="px-3 py-1 rounded border border-gray-300 hover:bg-gray-100"
+                          >
+                            Undo
+                          </button>
+                        </>
                       ) : (
-                        <div className="flex items-center justify-center h-32">
-                          <p className="text-gray-500 italic">Loading slide content...</p>
-                        </div>
+                        <>
+                          <button
+                            onClick={() => applyGroupSuggestion(suggestion, true)}
+                            className="px-3 py-1 rounded bg-blue-600 text-white hover:bg-blue-700"
+                          >
+                            Merge
+                          </button>
+                          <button
+                            onClick={() => setGroupSuggestions(prev => prev.filter(item => item.id !== suggestion.id))}
+                            className="px-3 py-1 rounded border border-gray-300 hover:bg-gray-100"
+                          >
+                            Dismiss
+                          </button>
+                        </>
                       )}
                     </div>
-                  </div>
+                  ))}
                 </div>
+              )}
+
+              <div className="mt-8 p-4 border rounded-lg text-sm">
+                <h3 className="text-lg font-medium mb-2">Theme</h3>
+                <div className="flex flex-wrap items-center gap-4">
+                  <select
+                    value={themeSettings.id}
+                    onChange={(e) => setThemeSettings({ ...themeSettings, id: e.target.value })}
+                    aria-label="Slide theme"
+                    className="p-2 border border-gray-300 rounded-md"
+                  >
+                    {THEMES.map(theme => (
+                      <option key={theme.id} value={theme.id}>{theme.name}</option>
+                    ))}
+                  </select>
+                  <label className="flex items-center gap-2">
+                    Logo
+                    <input type="file" accept="image/*" onChange={(e) => uploadBrandLogo(e.target.files[0])} className="text-xs" />
+                  </label>
+                  <label className="flex items-center gap-2">
+                    Font
+                    <input type="file" accept=".ttf,.otf,.woff,.woff2" onChange={(e) => uploadBrandFont(e.target.files[0])} className="text-xs" />
+                  </label>
+                </div>
+                <div className="mt-3 flex flex-wrap items-center gap-4">
+                  {brandPalette.map(color => (
+                    <label key={color.key} className="flex items-center gap-2">
+                      <input
+                        type="color"
+                        value={themeSettings.brandKit?.palette?.[color.key] || slideTheme.colors[color.themeColor]}
+                        onChange={(e) => setBrandColor(color.key, e.target.value)}
+                      />
+                      {color.label}
+                    </label>
+                  ))}
+                  {themeSettings.brandKit && (
+                    <button
+                      onClick={() => setThemeSettings({ ...themeSettings, brandKit: null })}
+                      className="px-3 py-1 rounded border border-gray-300 hover:bg-gray-50"
+                    >
+                      Remove brand kit
+                    </button>
+                  )}
+                </div>
+                <p className="mt-2 text-gray-500">
+                  {themeSettings.brandKit?.font ? `Font: ${themeSettings.brandKit.font.name}. ` : ''}
+                  The theme and brand kit apply to the slides here, when presenting, in every export and to saved and shared decks.
+                </p>
               </div>
-              
-              <div className="mt-8 p-4 bg-gray-50 rounded-lg">
-                <h3 className="text-lg font-medium mb-2">Full Explanation:</h3>
-                <p className="text-sm text-gray-700">{getCurrentSlideExplanation()}</p>
-              </div>
-              
-              <div className="mt-4 text-right text-sm text-gray-500">
-                Generated with: {models.find(m => m.id === selectedModel)?.name}
+
+              <div className="mt-4 flex flex-wrap justify-between items-center gap-4 text-sm text-gray-500">
+                <div className="flex flex-wrap gap-2">
+                  {exportOptions.map(option => (
+                    <button
+                      key={option.label}
+                      onClick={option.onClick}
+                      disabled={isExporting || isLoading}
+                      className="px-4 py-2 rounded border border-blue-600 text-blue-600 font-medium hover:bg-blue-50 disabled:border-gray-400 disabled:text-gray-400"
+                    >
+                      {option.label}
+                    </button>
+                  ))}
+                  {isExporting && <span className="self-center">Exporting...</span>}
+                </div>
+                <div className="flex items-center gap-2">
+                  <input
+                    type="text"
+                    value={deckTitle}
+                    onChange={(e) => setDeckTitle(e.target.value)}
+                    placeholder="Deck title"
+                    aria-label="Deck title"
+                    maxLength={200}
+                    className="p-2 border border-gray-300 rounded-md text-sm text-gray-700"
+                  />
+                  <button
+                    onClick={saveDeck}
+                    disabled={isSaving || isLoading}
+                    className="px-4 py-2 rounded bg-blue-600 text-white font-medium hover:bg-blue-700 disabled:bg-gray-400"
+                  >
+                    {isSaving ? 'Saving...' : deckId ? 'Save changes' : 'Save deck'}
+                  </button>
+                </div>
+                <span>
+                  Generated with: {describeSlideProviders(slides[currentSlide])}
+                  {slides[currentSlide]?.edited && ' · Edited'}
+                </span>
               </div>
+
+              {deckId && (
+                <div className="mt-8 p-4 border rounded-lg text-sm">
+                  <h3 className="text-lg font-medium mb-2">Share read-only</h3>
+                  <p className="text-gray-500 mb-3">
+                    Anyone with a link can view the saved version of this deck, without the upload and generation controls. Save changes to update what they see.
+                  </p>
+                  <div className="flex flex-wrap items-center gap-2">
+                    <select
+                      value={shareExpiryDays}
+                      onChange={(e) => setShareExpiryDays(e.target.value)}
+                      aria-label="Link expiry"
+                      className="p-2 border border-gray-300 rounded-md"
+                    >
+                      <option value="">Never expires</option>
+                      <option value="1">Expires in 1 day</option>
+                      <option value="7">Expires in 7 days</option>
+                      <option value="30">Expires in 30 days</option>
+                    </select>
+                    <button
+                      onClick={createShareLink}
+                      className="px-4 py-2 rounded border border-blue-600 text-blue-600 font-medium hover:bg-blue-50"
+                    >
+                      Create link
+                    </button>
+                  </div>
+                  {shares.length > 0 && (
+                    <ul className="mt-3 divide-y">
+                      {shares.map(share => (
+                        <li key={share.token} className="py-2 flex flex-wrap items-center justify-between gap-2">
+                          <div className="min-w-0">
+                            <a href={share.path} target="_blank" rel="noreferrer" className={`break-all ${share.expired ? 'text-gray-400 line-through' : 'text-blue-600 hover:underline'}`}>
+                              {shareUrl(share)}
+                            </a>
+                            <p className="text-gray-500">
+                              {share.expiresAt
+                                ? `${share.expired ? 'Expired' : 'Expires'} ${new Date(share.expiresAt).toLocaleString()}`
+                                : 'Never expires'}
+                            </p>
+                          </div>
+                          <div className="flex gap-2">
+                            <button
+                              onClick={() => navigator.clipboard.writeText(shareUrl(share))}
+                              disabled={share.expired}
+                              className="px-3 py-1 rounded border border-gray-300 hover:bg-gray-50 disabled:text-gray-400"
+                            >
+                              Copy
+                            </button>
+                            <button onClick={() => revokeShareLink(share.token)} className="px-3 py-1 rounded border border-red-300 text-red-600 hover:bg-red-50">
+                              Revoke
+                            </button>
+                          </div>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              )}
             </div>
           </div>
         )}
       </div>
+
+      {isPresenting && slides.length > 0 && (
+        <div
+          ref={presentationRef}
+          onClick={handlePresentationClick}
+          className="fixed inset-0 z-50 flex flex-col items-center justify-center bg-white p-12 cursor-pointer select-none"
+        >
+          <div className="w-full max-w-6xl">
+            <SlideView slide={slides[currentSlide]} images={getSlideImages(slides[currentSlide], imageBase64s)} theme={slideTheme} />
+          </div>
+          <div className="absolute bottom-4 right-6 text-sm text-gray-400">
+            {currentSlide + 1} / {slides.length}
+          </div>
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              stopPresenting();
+            }}
+            className="absolute top-4 right-6 text-sm text-gray-400 hover:text-gray-700"
+          >
+            Exit (Esc)
+          </button>
+        </div>
+      )}
     </main>
   );
 }
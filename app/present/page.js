@@ -0,0 +1,183 @@
+"use client";
+
+import { useEffect, useRef, useState } from 'react';
+import SlideView from '../../components/SlideView';
+import { getSlideImages } from '../../utils/deck';
+import { getPresenterNotes } from '../../utils/slideContent';
+import { openPresenterChannel } from '../../utils/presenterChannel';
+
+// Formats elapsed milliseconds as m:ss, or h:mm:ss past the hour
+function formatElapsed(ms) {
+  const seconds = Math.floor(ms / 1000);
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = String(seconds % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+// Presenter window, opened from the deck with /present?session=<id>. Shows the current and next slide,
+// the notes for the current slide and a timer, and moves the audience window along with it.
+export default function PresenterPage() {
+  const [deck, setDeck] = useState(null);
+  const [currentSlide, setCurrentSlide] = useState(0);
+  const [hasSession, setHasSession] = useState(true);
+  const [elapsedMs, setElapsedMs] = useState(0);
+  const [isTimerRunning, setIsTimerRunning] = useState(true);
+  const [now, setNow] = useState(null);
+  const channelRef = useRef(null);
+
+  useEffect(() => {
+    const session = new URLSearchParams(window.location.search).get('session');
+    if (!session) {
+      setHasSession(false);
+      return;
+    }
+
+    const channel = openPresenterChannel(session, (message) => {
+      if (message.type === 'deck') {
+        setDeck({ title: message.title, slides: message.slides, images: message.images, theme: message.theme });
+        setCurrentSlide(message.index);
+      } else if (message.type === 'slide') {
+        setCurrentSlide(message.index);
+      }
+    });
+    channelRef.current = channel;
+    channel.post({ type: 'hello' });
+
+    return () => {
+      channel.close();
+      channelRef.current = null;
+    };
+  }, []);
+
+  // Ticks once a second for the clock, and for the timer while it runs
+  useEffect(() => {
+    setNow(new Date());
+    const timer = setInterval(() => {
+      setNow(new Date());
+      if (isTimerRunning) setElapsedMs(ms => ms + 1000);
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [isTimerRunning]);
+
+  const slideCount = deck?.slides.length || 0;
+
+  // The audience window owns the current slide; this window asks it to move and follows its reply
+  const goTo = (index) => {
+    if (!deck || index < 0 || index >= slideCount) return;
+    setCurrentSlide(index);
+    channelRef.current?.post({ type: 'goto', index });
+  };
+
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (['ArrowRight', 'ArrowDown', 'PageDown', ' '].includes(e.key)) {
+        e.preventDefault();
+        goTo(currentSlide + 1);
+      } else if (['ArrowLeft', 'ArrowUp', 'PageUp'].includes(e.key)) {
+        e.preventDefault();
+        goTo(currentSlide - 1);
+      }
+    };
+
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  });
+
+  if (!hasSession) {
+    return (
+      <main className="flex min-h-screen flex-col items-center justify-center p-8">
+        <p className="text-gray-600">Open the presenter view with the Presenter view button on the deck.</p>
+      </main>
+    );
+  }
+
+  if (!deck) {
+    return (
+      <main className="flex min-h-screen flex-col items-center justify-center p-8">
+        <p className="text-gray-600">Waiting for the deck…</p>
+      </main>
+    );
+  }
+
+  const slide = deck.slides[currentSlide];
+  const nextSlide = deck.slides[currentSlide + 1];
+  const notes = getPresenterNotes(slide);
+
+  return (
+    <main className="flex min-h-screen flex-col bg-gray-900 text-gray-100">
+      <div className="flex items-center justify-between gap-4 px-6 py-3 bg-gray-800">
+        <div className="flex items-center gap-3">
+          <span className="text-3xl font-mono tabular-nums">{formatElapsed(elapsedMs)}</span>
+          <button
+            onClick={() => setIsTimerRunning(!isTimerRunning)}
+            className="px-3 py-1 rounded border border-gray-500 text-sm hover:bg-gray-700"
+          >
+            {isTimerRunning ? 'Pause' : 'Resume'}
+          </button>
+          <button
+            onClick={() => setElapsedMs(0)}
+            className="px-3 py-1 rounded border border-gray-500 text-sm hover:bg-gray-700"
+          >
+            Reset
+          </button>
+        </div>
+        <span className="truncate font-medium">{deck.title}</span>
+        <div className="flex items-center gap-3">
+          <span className="text-sm text-gray-400">{now?.toLocaleTimeString()}</span>
+          <button
+            onClick={() => goTo(currentSlide - 1)}
+            disabled={currentSlide === 0}
+            className="px-4 py-2 rounded bg-blue-600 text-white disabled:bg-gray-600"
+          >
+            Previous
+          </button>
+          <span className="font-medium">{currentSlide + 1} / {slideCount}</span>
+          <button
+            onClick={() => goTo(currentSlide + 1)}
+            disabled={currentSlide === slideCount - 1}
+            className="px-4 py-2 rounded bg-blue-600 text-white disabled:bg-gray-600"
+          >
+            Next
+          </button>
+        </div>
+      </div>
+
+      <div className="flex flex-1 gap-6 p-6">
+        <div className="flex-[3] min-w-0">
+          <h2 className="text-sm uppercase tracking-wide text-gray-400 mb-2">Current slide</h2>
+          <div className="bg-white text-gray-900 rounded-lg p-6">
+            <SlideView slide={slide} images={getSlideImages(slide, deck.images)} theme={deck.theme} />
+          </div>
+        </div>
+
+        <div className="flex-[2] min-w-0 flex flex-col gap-6">
+          <div>
+            <h2 className="text-sm uppercase tracking-wide text-gray-400 mb-2">Next</h2>
+            {nextSlide ? (
+              <div className="bg-white text-gray-900 rounded-lg p-4 text-sm">
+                <SlideView slide={nextSlide} images={getSlideImages(nextSlide, deck.images)} theme={deck.theme} />
+              </div>
+            ) : (
+              <p className="text-gray-400">End of deck</p>
+            )}
+          </div>
+
+          <div className="flex-1 overflow-y-auto">
+            <h2 className="text-sm uppercase tracking-wide text-gray-400 mb-2">Notes</h2>
+            {notes.length === 0 ? (
+              <p className="text-gray-400">No notes for this slide.</p>
+            ) : (
+              notes.map(section => (
+                <div key={section.label} className="mb-4">
+                  <h3 className="font-medium mb-1">{section.label}</h3>
+                  <p className="text-lg leading-relaxed whitespace-pre-wrap text-gray-200">{section.text}</p>
+                </div>
+              ))
+            )}
+          </div>
+        </div>
+      </div>
+    </main>
+  );
+}
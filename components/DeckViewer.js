@@ -0,0 +1,71 @@
+"use client";
+
+import { useEffect, useState } from 'react';
+import SlideView from './SlideView';
+import { getSlideImages } from '../utils/deck';
+
+// Read-only deck with Previous/Next navigation, for people who were sent a share link.
+// Arrow keys, Page Up/Down and space move between slides.
+export default function DeckViewer({ title, slides, images, theme }) {
+  const [currentSlide, setCurrentSlide] = useState(0);
+  const slide = slides[currentSlide];
+
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (['ArrowRight', 'PageDown', ' '].includes(e.key)) {
+        e.preventDefault();
+        setCurrentSlide(index => Math.min(index + 1, slides.length - 1));
+      } else if (['ArrowLeft', 'PageUp'].includes(e.key)) {
+        e.preventDefault();
+        setCurrentSlide(index => Math.max(index - 1, 0));
+      }
+    };
+
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [slides.length]);
+
+  return (
+    <div className="z-10 w-full max-w-5xl flex flex-col items-center gap-8">
+      <h1 className="text-4xl font-bold text-center mb-4">{title}</h1>
+
+      <div className="w-full bg-white rounded-lg shadow-lg overflow-hidden">
+        <div className="flex justify-between items-center bg-gray-100 p-4">
+          <button
+            onClick={() => setCurrentSlide(currentSlide - 1)}
+            disabled={currentSlide === 0}
+            className="px-4 py-2 rounded bg-blue-600 text-white disabled:bg-gray-400"
+          >
+            Previous
+          </button>
+          <span className="font-medium">Slide {currentSlide + 1} of {slides.length}</span>
+          <button
+            onClick={() => setCurrentSlide(currentSlide + 1)}
+            disabled={currentSlide === slides.length - 1}
+            className="px-4 py-2 rounded bg-blue-600 text-white disabled:bg-gray-400"
+          >
+            Next
+          </button>
+        </div>
+
+        <div className="p-8">
+          <SlideView slide={slide} images={getSlideImages(slide, images)} theme={theme} />
+
+          {slide?.transition && (
+            <div className="mt-8 p-4 bg-gray-50 rounded-lg">
+              <h3 className="text-lg font-medium mb-2">Transition:</h3>
+              <p className="text-sm text-gray-700">{slide.transition}</p>
+            </div>
+          )}
+
+          {slide?.notes && (
+            <div className="mt-8 p-4 bg-gray-50 rounded-lg">
+              <h3 className="text-lg font-medium mb-2">Speaker Notes:</h3>
+              <p className="text-sm text-gray-700">{slide.notes}</p>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
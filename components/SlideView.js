@@ -0,0 +1,144 @@
+import { escapeStyleText, getBulletMarker, getFontFaceCss, getThemeCssVariables, resolveTheme } from '../utils/theme';
+import { getSlideLayout, splitBullets } from '../utils/deck';
+
+const DEFAULT_THEME = resolveTheme(null);
+
+// Renders one slide: its title, images, subtitle, bullets and key terms, arranged by the slide's layout
+// (see SLIDE_LAYOUTS in utils/deck.js) and styled by a theme from utils/theme.js.
+// Shared by the generator page, the presenter windows and the read-only deck page, so a slide looks the same in all.
+// The editor passes `title` and `content` to show its inputs in place of the slide text; layouts that hide the
+// text show the inputs below the image instead.
+export default function SlideView({ slide, images = [], title, content, theme = DEFAULT_THEME, emptyText = 'No bullet points yet' }) {
+  const slideTitle = slide?.title || 'Untitled Slide';
+  const bullets = slide?.bullets || [];
+  const keyTerms = slide?.keyTerms || [];
+  const layout = getSlideLayout(slide, images.length);
+  const [leftColumn, rightColumn] = splitBullets(bullets);
+  const fontFaceCss = getFontFaceCss(theme);
+
+  const renderBullets = (items, offset = 0) => items.map((bullet, i) => (
+    <div key={offset + i} className="flex items-start mb-4 slide-in-right animate-fadeIn" style={{animationDelay: `${(offset + i + 1) * 150}ms`}}>
+      <span className="text-slide-accent mr-2">{getBulletMarker(theme, offset + i)}</span>
+      <p className="m-0">{bullet}</p>
+    </div>
+  ));
+
+  const renderText = () => content || (
+    <div className="content-container">
+      {slide?.subtitle && (
+        <p className="mb-4 text-lg italic text-slide-muted slide-in-right animate-fadeIn">{slide.subtitle}</p>
+      )}
+      {bullets.length === 0 ? (
+        <div className="flex items-center justify-center h-32">
+          <p className="text-slide-muted italic">{emptyText}</p>
+        </div>
+      ) : layout === 'two-column' ? (
+        <div className="grid md:grid-cols-2 gap-x-8">
+          <div>{renderBullets(leftColumn)}</div>
+          <div>{renderBullets(rightColumn, leftColumn.length)}</div>
+        </div>
+      ) : (
+        renderBullets(bullets)
+      )}
+      {keyTerms.length > 0 && (
+        <div className="flex flex-wrap gap-2 mt-2">
+          {keyTerms.map(term => (
+            <span key={term} className="px-3 py-0.5 rounded-full bg-slide-term text-slide-term-text text-sm">{term}</span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+
+  const renderImage = (image, className = '', maxHeight = '400px') => (
+    <div className={`relative rounded-lg overflow-hidden shadow-md transform hover:scale-102 transition-all duration-300 hover:shadow-lg ${className}`}>
+      <img
+        src={image}
+        alt={slideTitle}
+        className="max-w-full h-auto object-contain"
+        style={{ maxHeight }}
+      />
+    </div>
+  );
+
+  const heading = title || (
+    <h2 className={`text-3xl font-bold font-slide-heading text-slide-title mb-6 text-center ${theme.logo ? 'px-36' : ''}`}>{slideTitle}</h2>
+  );
+
+  let body;
+  if (layout === 'full-bleed') {
+    body = (
+      <>
+        <div className="relative -m-6 min-h-[420px] flex items-end overflow-hidden rounded-xl">
+          <img src={images[0]} alt={slideTitle} className="absolute inset-0 w-full h-full object-cover" />
+          <div className="relative w-full p-8 bg-gradient-to-t from-black/75 to-transparent text-white">
+            {title || <h2 className="text-4xl font-bold font-slide-heading">{slideTitle}</h2>}
+            {!content && slide?.subtitle && <p className="mt-2 text-lg italic">{slide.subtitle}</p>}
+          </div>
+        </div>
+        {content && <div className="mt-12 prose max-w-none text-slide-text">{content}</div>}
+      </>
+    );
+  } else if (layout === 'image-only') {
+    body = (
+      <>
+        {title}
+        <div className="flex items-center justify-center">
+          {renderImage(images[0], '', '520px')}
+        </div>
+        {content && <div className="mt-6 prose max-w-none text-slide-text">{content}</div>}
+      </>
+    );
+  } else if (layout === 'text-only' || layout === 'two-column') {
+    body = (
+      <>
+        {heading}
+        <div className="prose max-w-none text-slide-text">{renderText()}</div>
+      </>
+    );
+  } else if (layout === 'grid') {
+    body = (
+      <>
+        {heading}
+        <div className="flex flex-col md:flex-row gap-8">
+          <div className={`w-full md:w-3/5 grid gap-3 ${images.length > 1 ? 'grid-cols-2' : ''}`}>
+            {images.map((image, i) => (
+              <div key={i} className="flex items-center justify-center">
+                {renderImage(image, '', images.length > 2 ? '200px' : '400px')}
+              </div>
+            ))}
+          </div>
+          <div className="w-full md:w-2/5 prose max-w-none text-slide-text">{renderText()}</div>
+        </div>
+      </>
+    );
+  } else {
+    body = (
+      <>
+        {heading}
+        <div className={`flex flex-col ${layout === 'image-right' ? 'md:flex-row-reverse' : 'md:flex-row'} gap-8`}>
+          <div className="w-full md:w-2/5 flex items-center justify-center transition-all duration-300 ease-in-out">
+            {renderImage(images[0])}
+          </div>
+          <div className="w-full md:w-3/5 prose max-w-none text-slide-text transition-all duration-300 ease-in-out">
+            {renderText()}
+          </div>
+        </div>
+      </>
+    );
+  }
+
+  return (
+    <div style={getThemeCssVariables(theme)}>
+      {/* Set as HTML so server rendering keeps the rule's quotes instead of escaping them to &quot; */}
+      {fontFaceCss && <style dangerouslySetInnerHTML={{ __html: escapeStyleText(fontFaceCss) }} />}
+
+      <div className="slide-container relative bg-slide font-slide-body text-slide-text rounded-xl shadow-lg overflow-hidden p-6">
+        {theme.logo && (
+          <img src={theme.logo} alt="" className="absolute top-4 right-4 z-10 h-10 w-auto max-w-[8rem] object-contain" />
+        )}
+        {body}
+      </div>
+    </div>
+  );
+}
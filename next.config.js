@@ -3,6 +3,10 @@ const nextConfig = {
   images: {
     domains: ['localhost'],
   },
+  experimental: {
+    // The HEIC decoder loads its WebAssembly at runtime, so it is required from node_modules instead of bundled
+    serverComponentsExternalPackages: ['heic-decode', 'libheif-js'],
+  },
   // Port is set via command line argument in package.json instead
 }
 
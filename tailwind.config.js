@@ -16,6 +16,8 @@ module.exports = {
         'gradient-radial': 'radial-gradient(var(--tw-gradient-stops))',
         'gradient-conic':
           'conic-gradient(from 180deg at 50% 50%, var(--tw-gradient-stops))',
+        // Slide styling comes from the selected theme, through CSS variables set by components/SlideView.js
+        'slide': 'var(--slide-background)',
       },
       animation: {
         'fadeIn': 'fadeIn 0.6s ease-out forwards',
@@ -23,11 +25,19 @@ module.exports = {
         'scaleIn': 'scaleIn 0.5s ease-out forwards',
       },
       colors: {
-        'slide-bg': {
-          50: '#f0f7ff',
-          100: '#e0efff',
+        'slide': {
+          title: 'var(--slide-title)',
+          text: 'var(--slide-text)',
+          muted: 'var(--slide-muted)',
+          accent: 'var(--slide-accent)',
+          term: 'var(--slide-term-background)',
+          'term-text': 'var(--slide-term-text)',
         },
       },
+      fontFamily: {
+        'slide-heading': 'var(--slide-font-heading)',
+        'slide-body': 'var(--slide-font-body)',
+      },
       transitionProperty: {
         'transform': 'transform',
       },
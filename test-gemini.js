@@ -1,7 +1,8 @@
 // Test script for Gemini integration
 require('dotenv').config({ path: '.env.local' });
 const fs = require('fs');
-const { analyzeImageWithGemini, summarizeWithGemini } = require('./utils/gemini');
+const { analyzeImageWithGemini, summarizeWithGemini } = require('./utils/providers/gemini');
+const { parseSlideOutput } = require('./utils/providers/slideOutput');
 
 async function testGemini() {
   try {
@@ -61,9 +62,11 @@ async function testGemini() {
     // Summarize the text
     console.log("Summarizing text...");
     const summaryResult = await summarizeWithGemini(textToSummarize);
+    // Throws if Gemini's output is not a valid slide
+    const slide = parseSlideOutput(summaryResult);
     console.log("\n✅ Text Summarization Result:");
     console.log("----------------------------");
-    console.log(summaryResult);
+    console.log(JSON.stringify(slide, null, 2));
     console.log("----------------------------\n");
     
     console.log("🎉 Gemini API test completed successfully!");
@@ -0,0 +1,263 @@
+// Tests the local (Ollama-compatible) provider against a stub server, without a real model.
+// Start the app with LOCAL_VISION_BASE_URL pointing at the stub, then run this script:
+//   LOCAL_VISION_BASE_URL=http://localhost:11435/v1 npm run dev
+//   LOCAL_VISION_BASE_URL=http://localhost:11435/v1 node test-local.js
+const assert = require('assert');
+const http = require('http');
+
+const BASE_URL = process.env.BASE_URL || 'http://localhost:3000';
+const STUB_URL = new URL(process.env.LOCAL_VISION_BASE_URL || 'http://localhost:11434/v1');
+
+const PNG_1X1 = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==';
+
+// Builds an uncompressed 24-bit BMP data URL filled with one gray, a format the local model cannot read
+function makeBmp(width, height) {
+  const rowSize = Math.ceil((width * 3) / 4) * 4;
+  const bytes = Buffer.alloc(54 + rowSize * height, 0x80);
+  bytes.write('BM');
+  bytes.writeUInt32LE(bytes.length, 2);
+  bytes.writeUInt32LE(54, 10);
+  bytes.writeUInt32LE(40, 14);
+  bytes.writeInt32LE(width, 18);
+  bytes.writeInt32LE(height, 22);
+  bytes.writeUInt16LE(1, 26);
+  bytes.writeUInt16LE(24, 28);
+  bytes.fill(0, 30, 54);
+  return `data:image/bmp;base64,${bytes.toString('base64')}`;
+}
+
+// Reads the dimensions of a JPEG data URL from its start-of-frame marker
+function readJpegSize(dataUrl) {
+  const bytes = Buffer.from(dataUrl.split(',')[1], 'base64');
+  let offset = 2;
+  while (offset < bytes.length && !(bytes[offset + 1] >= 0xc0 && bytes[offset + 1] <= 0xc3)) {
+    offset += 2 + bytes.readUInt16BE(offset + 2);
+  }
+  return { width: bytes.readUInt16BE(offset + 7), height: bytes.readUInt16BE(offset + 5) };
+}
+
+// The stub answers like an OpenAI-compatible /v1/chat/completions endpoint and records what it was sent
+const received = [];
+let failRequests = false;
+// Summary replies to send instead of the default JSON slide, one per summary request
+const summaryReplies = [];
+let inFlight = 0;
+let maxInFlight = 0;
+
+const stub = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', async () => {
+    const request = JSON.parse(body || '{}');
+    received.push({ path: req.url, request });
+
+    // Hold each request briefly so overlapping calls would be visible
+    inFlight++;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    inFlight--;
+
+    if (failRequests) {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: { message: 'model crashed' } }));
+      return;
+    }
+
+    const isSummary = request.messages.some(message => message.role === 'system');
+    const isTagging = request.messages.some(message => Array.isArray(message.content) && message.content.some(part => /tags/.test(part.text)));
+    let content = 'A stubbed explanation of the image.';
+    if (isTagging) {
+      content = '["stub", "test image"]';
+    } else if (isSummary) {
+      content = summaryReplies.length > 0 ? summaryReplies.shift() : JSON.stringify({
+        title: 'Stubbed Local Slide',
+        subtitle: '',
+        bullets: ['First point from the stub', 'Second point from the stub'],
+        notes: 'Stub notes.',
+        keyTerms: ['stub'],
+      });
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ choices: [{ message: { role: 'assistant', content } }] }));
+  });
+});
+
+async function getSlides(body) {
+  const response = await fetch(`${BASE_URL}/api/slides`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    // Skip cached analyses so every test reaches the stub
+    body: JSON.stringify({ model: 'local', bypassCache: true, ...body }),
+  });
+  return { status: response.status, data: await response.json() };
+}
+
+const tests = [
+  ['sends the image to the local endpoint and parses the slide', async () => {
+    received.length = 0;
+    const { status, data } = await getSlides({ images: [PNG_1X1], messages: ['m'], captions: ['c'] });
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(data.slides[0].title, 'Stubbed Local Slide');
+    assert.deepStrictEqual(data.slides[0].bullets, ['First point from the stub', 'Second point from the stub']);
+    assert.strictEqual(data.slides[0].notes, 'Stub notes.');
+    assert.deepStrictEqual(data.slides[0].tags, ['stub', 'test image']);
+    assert.strictEqual(data.slides[0].providers.tag, 'local');
+
+    const summaryRequest = received.find(entry => entry.request.response_format);
+    assert.strictEqual(summaryRequest.request.response_format.type, 'json_schema');
+    assert.strictEqual(data.slides[0].fullExplanation, 'A stubbed explanation of the image.');
+
+    assert.ok(received.every(entry => entry.path === `${STUB_URL.pathname.replace(/\/$/, '')}/chat/completions`));
+    const imageParts = received
+      .flatMap(entry => entry.request.messages)
+      .flatMap(message => Array.isArray(message.content) ? message.content : [])
+      .filter(part => part.type === 'image_url');
+    assert.strictEqual(imageParts[0].image_url.url, PNG_1X1);
+  }],
+
+  ['sends the local model images it can read, scaled down to its limit', async () => {
+    received.length = 0;
+    const { data } = await getSlides({ images: [makeBmp(2048, 512)], messages: ['m'], captions: ['c'] });
+    assert.strictEqual(data.slides[0].title, 'Stubbed Local Slide');
+
+    const imageUrls = received
+      .flatMap(entry => entry.request.messages)
+      .flatMap(message => Array.isArray(message.content) ? message.content : [])
+      .filter(part => part.type === 'image_url')
+      .map(part => part.image_url.url);
+    assert.strictEqual(imageUrls.length, 2);
+    assert.ok(imageUrls.every(url => url.startsWith('data:image/jpeg;base64,')));
+    assert.deepStrictEqual(readJpegSize(imageUrls[0]), { width: 1024, height: 256 });
+  }],
+
+  ['turns endpoint errors into error slides', async () => {
+    failRequests = true;
+    try {
+      const { data } = await getSlides({ images: [PNG_1X1], messages: ['m'], captions: ['c'] });
+      assert.strictEqual(data.slides[0].title, 'Error Processing Image');
+      assert.match(data.slides[0].bullets[0], /model crashed/);
+    } finally {
+      failRequests = false;
+    }
+  }],
+
+  ['falls back to the next provider in the chain and records who produced the slide', async () => {
+    failRequests = true;
+    try {
+      const { data } = await getSlides({ images: [PNG_1X1], fallbacks: ['mock'] });
+      const slide = data.slides[0];
+      assert.match(slide.title, /^Mock Slide /);
+      assert.deepStrictEqual(slide.providers, { describe: 'mock', analyze: 'mock', summarize: 'mock', tag: 'mock' });
+      assert.deepStrictEqual(slide.failedProviders.map(failure => [failure.stage, failure.provider]), [
+        ['describe', 'local'],
+        ['analyze', 'local'],
+        ['tag', 'local'],
+        ['summarize', 'local'],
+      ]);
+    } finally {
+      failRequests = false;
+    }
+  }],
+
+  ['applies per-stage chains separately', async () => {
+    failRequests = true;
+    try {
+      // No describe fallback, so the generated message and caption use the defaults
+      const { data } = await getSlides({ images: [PNG_1X1], fallbacks: { analyze: ['mock'], summarize: ['mock'] } });
+      const slide = data.slides[0];
+      // Tags are optional, so the slide is still made without them
+      assert.deepStrictEqual(slide.providers, { describe: null, analyze: 'mock', summarize: 'mock', tag: null });
+      assert.deepStrictEqual(slide.tags, []);
+      assert.strictEqual(slide.originalCaption, 'An interesting visual');
+      assert.deepStrictEqual(slide.failedProviders.map(failure => failure.stage), ['describe', 'analyze', 'tag', 'summarize']);
+    } finally {
+      failRequests = false;
+    }
+  }],
+
+  ['repairs fenced JSON and markdown replies without asking again', async () => {
+    summaryReplies.push(
+      '```json\n{"title": "Fenced", "bullets": "- one\\n- two"}\n```',
+      '# Markdown Title\n\n- first\n- second'
+    );
+    received.length = 0;
+    const { data } = await getSlides({ images: [PNG_1X1, PNG_1X1], messages: ['m', 'm2'], captions: ['c', 'c2'], concurrency: 1 });
+
+    assert.strictEqual(data.slides[0].title, 'Fenced');
+    assert.deepStrictEqual(data.slides[0].bullets, ['one', 'two']);
+    assert.strictEqual(data.slides[0].subtitle, '');
+    assert.strictEqual(data.slides[1].title, 'Markdown Title');
+    assert.deepStrictEqual(data.slides[1].bullets, ['first', 'second']);
+    assert.strictEqual(received.filter(entry => entry.request.response_format).length, 2);
+  }],
+
+  ['asks again with the validation error when a reply cannot be repaired', async () => {
+    summaryReplies.push('{"title": "", "bullets": []}');
+    received.length = 0;
+    const { data } = await getSlides({ images: [PNG_1X1], messages: ['m'], captions: ['c'] });
+
+    const summaryRequests = received.filter(entry => entry.request.response_format);
+    assert.strictEqual(summaryRequests.length, 2);
+    assert.match(summaryRequests[1].request.messages[1].content, /title must not be empty/);
+    assert.strictEqual(data.slides[0].title, 'Stubbed Local Slide');
+  }],
+
+  ['gives up after the retry and makes an error slide', async () => {
+    summaryReplies.push('not a slide', 'still not a slide');
+    const { data } = await getSlides({ images: [PNG_1X1], messages: ['m'], captions: ['c'] });
+    assert.strictEqual(data.slides[0].title, 'Error Processing Image');
+    assert.match(data.slides[0].bullets[0], /not JSON/);
+  }],
+
+  ['regenerates a mock slide with the local model, passing on the instruction', async () => {
+    const { data } = await getSlides({ model: 'mock', images: [PNG_1X1] });
+    received.length = 0;
+
+    const response = await fetch(`${BASE_URL}/api/slides/regenerate`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ model: 'local', slide: data.slides[0], instruction: 'focus on the chart in the corner' }),
+    });
+    const { slide } = await response.json();
+
+    assert.strictEqual(slide.title, 'Stubbed Local Slide');
+    assert.deepStrictEqual(slide.providers, { ...data.slides[0].providers, summarize: 'local' });
+    assert.strictEqual(received.length, 1);
+    const prompt = received[0].request.messages[1].content;
+    assert.match(prompt, /focus on the chart in the corner/);
+    assert.ok(prompt.includes(data.slides[0].fullExplanation));
+  }],
+
+  ['never sends the local model more calls at once than its concurrency limit', async () => {
+    maxInFlight = 0;
+    const { data } = await getSlides({ images: [PNG_1X1, PNG_1X1, PNG_1X1], concurrency: 3 });
+    assert.strictEqual(data.slides.length, 3);
+    assert.ok(data.slides.every(slide => slide.title === 'Stubbed Local Slide'));
+    assert.strictEqual(maxInFlight, 1);
+  }],
+];
+
+async function run() {
+  await new Promise(resolve => stub.listen(Number(STUB_URL.port) || 80, STUB_URL.hostname, resolve));
+  console.log(`Stub model listening on ${STUB_URL.origin}`);
+
+  let failures = 0;
+  for (const [name, test] of tests) {
+    try {
+      await test();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failures++;
+      console.error(`❌ ${name}`);
+      console.error(`   ${error.message}`);
+    }
+  }
+
+  stub.close();
+  console.log(`\n${tests.length - failures} of ${tests.length} tests passed`);
+  process.exitCode = failures > 0 ? 1 : 0;
+}
+
+run();
@@ -0,0 +1,692 @@
+// Offline test suite for the /api/slides pipeline, using the built-in mock provider, and for saved decks (/api/decks).
+// Start the app first (npm run dev), then run: node test-mock.js
+// The exports and requests to Gemini are checked in this process, with fetch stubbed for Gemini.
+// Set BASE_URL to test a server on another port, and DECKS_OWNER_SECRET to the server's if it has one.
+// No API keys or network access needed.
+const assert = require('assert');
+
+const BASE_URL = process.env.BASE_URL || 'http://localhost:3000';
+const OWNER_SECRET = process.env.DECKS_OWNER_SECRET;
+
+// Tiny embedded images so nothing has to be downloaded
+const PNG_1X1 = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==';
+const GIF_1X1 = 'data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7';
+const NOT_AN_IMAGE = 'data:image/png;base64,aGVsbG8gd29ybGQ=';
+
+async function postSlides(body) {
+  const response = await fetch(`${BASE_URL}/api/slides`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ model: 'mock', ...body }),
+  });
+  return { status: response.status, response };
+}
+
+async function getSlides(body) {
+  const { status, response } = await postSlides(body);
+  return { status, data: await response.json() };
+}
+
+function withoutTiming({ timing, ...slide }) {
+  return slide;
+}
+
+async function regenerate(body) {
+  const response = await fetch(`${BASE_URL}/api/slides/regenerate`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ model: 'mock', ...body }),
+  });
+  return { status: response.status, data: await response.json() };
+}
+
+async function group(body) {
+  const response = await fetch(`${BASE_URL}/api/slides/group`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ model: 'mock', ...body }),
+  });
+  return { status: response.status, data: await response.json() };
+}
+
+async function callDecks(path, method = 'GET', body, secret = OWNER_SECRET) {
+  const response = await fetch(`${BASE_URL}/api/decks${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...(secret ? { Authorization: `Bearer ${secret}` } : {}) },
+    body: body && JSON.stringify(body),
+  });
+  return { status: response.status, data: await response.json() };
+}
+
+// Calls a Gemini provider function in this process with fetch stubbed, and returns the request the SDK sent
+async function captureGeminiRequest(call, text) {
+  const { fetch: realFetch, env } = { fetch: globalThis.fetch, env: process.env.GOOGLE_API_KEY };
+  const requests = [];
+  process.env.GOOGLE_API_KEY = 'test-key';
+  globalThis.fetch = async (url, options) => {
+    requests.push({ url: String(url), body: JSON.parse(options.body) });
+    return new Response(JSON.stringify({ candidates: [{ content: { role: 'model', parts: [{ text }] } }] }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  };
+  try {
+    return { result: await call(), request: requests[0] };
+  } finally {
+    globalThis.fetch = realFetch;
+    if (env === undefined) delete process.env.GOOGLE_API_KEY;
+    else process.env.GOOGLE_API_KEY = env;
+  }
+}
+
+async function getEvents(body) {
+  const { response } = await postSlides({ ...body, stream: true });
+  const text = await response.text();
+  return text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+}
+
+const tests = [
+  ['returns one structured slide per image', async () => {
+    const { status, data } = await getSlides({ images: [PNG_1X1, GIF_1X1] });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(data.slides.length, 2);
+
+    for (const slide of data.slides) {
+      assert.match(slide.title, /^Mock Slide [0-9a-f]{8}$/);
+      assert.strictEqual(typeof slide.subtitle, 'string');
+      assert.strictEqual(slide.bullets.length, 4);
+      assert.ok(slide.bullets.every(bullet => typeof bullet === 'string' && !bullet.startsWith('- ')));
+      assert.ok(slide.notes.length > 0);
+      assert.ok(slide.keyTerms.includes('mock'));
+      assert.strictEqual(slide.content, undefined);
+      assert.ok(slide.fullExplanation.length > 0);
+    }
+    assert.match(data.slides[0].fullExplanation, /PNG image measures 1 by 1 pixels/);
+    assert.match(data.slides[1].fullExplanation, /GIF image measures 1 by 1 pixels/);
+  }],
+
+  ['is deterministic for the same input', async () => {
+    const first = await getSlides({ images: [PNG_1X1] });
+    const second = await getSlides({ images: [PNG_1X1] });
+    assert.deepStrictEqual(first.data.slides.map(withoutTiming), second.data.slides.map(withoutTiming));
+  }],
+
+  ['keeps input order when processing images in parallel', async () => {
+    const images = [PNG_1X1, GIF_1X1, NOT_AN_IMAGE, PNG_1X1, GIF_1X1];
+    const { data } = await getSlides({ images, concurrency: 3 });
+    const formats = data.slides.map(slide => (slide.fullExplanation.match(/^This (\w+) image/) || [])[1] || slide.title);
+    assert.deepStrictEqual(formats, ['PNG', 'GIF', 'Error Processing Image', 'PNG', 'GIF']);
+  }],
+
+  ['reports timing for the deck and each slide', async () => {
+    const { data } = await getSlides({ images: [PNG_1X1, GIF_1X1], concurrency: 2 });
+    assert.strictEqual(data.timing.concurrency, 2);
+    assert.ok(data.timing.totalMs >= 0);
+    assert.strictEqual(data.timing.sequentialMs, data.slides.reduce((sum, slide) => sum + slide.timing.totalMs, 0));
+    assert.deepStrictEqual(Object.keys(data.slides[0].timing.stages), ['describe', 'analyze', 'tag', 'summarize']);
+  }],
+
+  ['keeps user-supplied messages and captions', async () => {
+    const { data } = await getSlides({
+      images: [PNG_1X1],
+      messages: ['Quarterly review'],
+      captions: ['Our new logo'],
+    });
+    assert.strictEqual(data.slides[0].originalMessage, 'Quarterly review');
+    assert.strictEqual(data.slides[0].originalCaption, 'Our new logo');
+    assert.ok(data.slides[0].bullets.includes('Caption: Our new logo'));
+    assert.strictEqual(data.slides[0].subtitle, 'Our new logo');
+  }],
+
+  ['generates only the fields left blank', async () => {
+    const { data } = await getSlides({ images: [PNG_1X1], messages: ['  '], captions: ['Given caption'] });
+    assert.match(data.slides[0].originalMessage, /^Let's explore the details and significance of this /);
+    assert.strictEqual(data.slides[0].originalCaption, 'Given caption');
+  }],
+
+  ['turns unreadable images into error slides without failing the deck', async () => {
+    const { status, data } = await getSlides({ images: [NOT_AN_IMAGE, PNG_1X1] });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(data.slides[0].title, 'Error Processing Image');
+    assert.match(data.slides[0].bullets[0], /could not recognize the image format/);
+    assert.match(data.slides[1].title, /^Mock Slide /);
+  }],
+
+  ['refuses image URLs that reach this machine or private networks', async () => {
+    const urls = [
+      `${BASE_URL}/favicon.ico`,
+      'http://127.0.0.1/image.png',
+      'http://169.254.169.254/latest/meta-data/',
+      'http://10.0.0.1/image.png',
+      'http://[::1]/image.png',
+      'http://[::ffff:127.0.0.1]/image.png',
+      'file:///etc/passwd',
+    ];
+    const { data } = await getSlides({ images: urls });
+    assert.ok(data.slides.every(slide => slide.title === 'Error Processing Image'));
+    data.slides.slice(0, 6).forEach(slide => assert.match(slide.bullets[0], /blocked address/));
+    assert.match(data.slides[6].bullets[0], /Only http and https image URLs are allowed/);
+  }],
+
+  ['adds images from URLs only when they are public', async () => {
+    const post = (body) => fetch(`${BASE_URL}/api/images`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+
+    const missing = await post({});
+    assert.strictEqual(missing.status, 400);
+    assert.strictEqual((await missing.json()).error, 'No image URL provided');
+
+    const local = await post({ url: 'http://localhost/image.png' });
+    assert.strictEqual(local.status, 400);
+    assert.match((await local.json()).error, /localhost resolves to 127\.0\.0\.1/);
+  }],
+
+  ["keeps the user's message and caption on error slides", async () => {
+    const { data } = await getSlides({ images: [NOT_AN_IMAGE], messages: ['Kept'], captions: ['Also kept'] });
+    assert.strictEqual(data.slides[0].title, 'Error Processing Image');
+    assert.strictEqual(data.slides[0].originalMessage, 'Kept');
+    assert.strictEqual(data.slides[0].originalCaption, 'Also kept');
+  }],
+
+  ['rejects requests without images', async () => {
+    const { status, data } = await getSlides({ images: [] });
+    assert.strictEqual(status, 400);
+    assert.strictEqual(data.error, 'No images provided');
+  }],
+
+  ['rejects unknown models', async () => {
+    const { status, data } = await getSlides({ images: [PNG_1X1], model: 'does-not-exist' });
+    assert.strictEqual(status, 400);
+    assert.match(data.error, /Unknown model/);
+  }],
+
+  ['records which provider produced each stage', async () => {
+    const { data } = await getSlides({ images: [PNG_1X1], messages: ['Given message'] });
+    assert.deepStrictEqual(data.slides[0].providers, { describe: 'mock', analyze: 'mock', summarize: 'mock', tag: 'mock' });
+    assert.deepStrictEqual(data.slides[0].failedProviders, []);
+  }],
+
+  ['tags every image slide', async () => {
+    const { data } = await getSlides({ images: [PNG_1X1, GIF_1X1], narrative: true });
+    assert.deepStrictEqual(data.slides[2].tags.slice(0, 2), ['png', 'square']);
+    assert.deepStrictEqual(data.slides[3].tags.slice(0, 2), ['gif', 'square']);
+    assert.strictEqual(data.slides[0].tags, undefined);
+  }],
+
+  ['rejects unknown providers in the fallback chain', async () => {
+    const { status, data } = await getSlides({ images: [PNG_1X1], fallbacks: ['mock', 'does-not-exist'] });
+    assert.strictEqual(status, 400);
+    assert.strictEqual(data.error, 'Unknown model: does-not-exist');
+  }],
+
+  ['streams progress events followed by each slide', async () => {
+    const events = await getEvents({ images: [PNG_1X1, NOT_AN_IMAGE], concurrency: 2 });
+    const stages = (index) => events
+      .filter(event => event.type === 'progress' && event.index === index)
+      .map(event => event.stage);
+
+    assert.deepStrictEqual(events[0], { type: 'start', total: 2, concurrency: 2 });
+    assert.deepStrictEqual(stages(0), ['describing', 'analyzing', 'summarizing']);
+    assert.deepStrictEqual(stages(1), ['describing', 'analyzing', 'failed']);
+    assert.strictEqual(events.filter(event => event.type === 'slide').length, 2);
+    assert.strictEqual(events[events.length - 1].type, 'done');
+    assert.ok(events[events.length - 1].timing.sequentialMs >= 0);
+  }],
+
+  ['serves repeat runs from the cache', async () => {
+    const body = { images: [GIF_1X1], messages: ['Cache check'] };
+    const fresh = await getSlides({ ...body, bypassCache: true });
+    const repeat = await getSlides(body);
+    assert.deepStrictEqual(fresh.data.slides[0].cached, { describe: false, analyze: false, summarize: false, tag: false });
+    assert.deepStrictEqual(repeat.data.slides[0].cached, { describe: true, analyze: true, summarize: true, tag: true });
+    assert.deepStrictEqual(repeat.data.slides[0].bullets, fresh.data.slides[0].bullets);
+  }],
+
+  ['only summarizes again when the caption changes', async () => {
+    // A caption this run has never used, so the summary cannot already be cached
+    const caption = `Second caption ${Date.now()}`;
+    await getSlides({ images: [GIF_1X1], messages: ['m'], captions: ['First caption'] });
+    const { data } = await getSlides({ images: [GIF_1X1], messages: ['m'], captions: [caption] });
+    assert.deepStrictEqual(data.slides[0].cached, { describe: null, analyze: true, summarize: false, tag: true });
+    assert.ok(data.slides[0].bullets.includes(`Caption: ${caption}`));
+  }],
+
+  ['skips the cache when asked to', async () => {
+    await getSlides({ images: [PNG_1X1] });
+    const { data } = await getSlides({ images: [PNG_1X1], bypassCache: true });
+    assert.deepStrictEqual(data.slides[0].cached, { describe: false, analyze: false, summarize: false, tag: false });
+  }],
+
+  ['adds title, agenda and conclusion slides around the image slides', async () => {
+    const { data } = await getSlides({ images: [PNG_1X1, NOT_AN_IMAGE, GIF_1X1], narrative: true, topic: '  Tiny images  ' });
+    assert.deepStrictEqual(
+      data.slides.map(slide => slide.kind || (slide.error ? 'error' : 'image')),
+      ['title', 'agenda', 'image', 'error', 'image', 'conclusion']
+    );
+    assert.strictEqual(data.slides[0].title, 'Tiny images');
+    assert.strictEqual(data.narrative.provider, 'mock');
+    assert.deepStrictEqual(data.slides[1].bullets, [data.slides[2].title, data.slides[4].title]);
+
+    // The transition leads into the second image slide; the error slide is skipped
+    assert.strictEqual(data.slides[2].transition, '');
+    assert.strictEqual(data.slides[4].transition, `From ${data.slides[2].title} to ${data.slides[4].title}.`);
+    assert.deepStrictEqual(data.slides.map(slide => slide.imageIndex), [null, null, 0, 1, 2, null]);
+    assert.ok(data.timing.narrativeMs >= 0);
+  }],
+
+  ['only adds a narrative when asked to', async () => {
+    const { data } = await getSlides({ images: [PNG_1X1] });
+    assert.strictEqual(data.slides.length, 1);
+    assert.strictEqual(data.narrative, undefined);
+  }],
+
+  ['keeps the image slides when no narrative can be written', async () => {
+    const { data } = await getSlides({ images: [NOT_AN_IMAGE], narrative: true });
+    assert.deepStrictEqual(data.slides.map(slide => slide.title), ['Error Processing Image']);
+    assert.match(data.narrativeError, /No slides were generated/);
+  }],
+
+  ['streams the composed deck after the image slides', async () => {
+    const events = await getEvents({ images: [PNG_1X1, GIF_1X1], narrative: true });
+    const types = events.map(event => event.type);
+    assert.deepStrictEqual(types.slice(-3), ['progress', 'narrative', 'done']);
+    assert.strictEqual(events[events.length - 3].stage, 'narrating');
+
+    const { slides } = events[events.length - 2];
+    assert.strictEqual(slides.length, 5);
+    assert.match(slides[0].title, /^Mock Deck [0-9a-f]{8}$/);
+    assert.strictEqual(slides[4].kind, 'conclusion');
+  }],
+
+  ['regenerates one slide from its explanation with an instruction', async () => {
+    const { data } = await getSlides({ images: [PNG_1X1, GIF_1X1], narrative: true });
+    const original = data.slides[3];
+    const { status, data: result } = await regenerate({ slide: original, instruction: ' Make it more technical ' });
+    assert.strictEqual(status, 200);
+
+    const { slide } = result;
+    assert.notStrictEqual(slide.title, original.title);
+    assert.strictEqual(slide.bullets[slide.bullets.length - 1], 'Instruction: Make it more technical');
+    assert.strictEqual(slide.fullExplanation, original.fullExplanation);
+    assert.strictEqual(slide.imageIndex, 1);
+    assert.strictEqual(slide.transition, original.transition);
+    assert.deepStrictEqual(slide.providers, { ...original.providers, summarize: 'mock' });
+    assert.deepStrictEqual(Object.keys(slide.timing.stages), ['summarize']);
+  }],
+
+  ['keeps the layout and images of a regenerated slide', async () => {
+    const { data } = await getSlides({ images: [PNG_1X1, GIF_1X1] });
+    const original = { ...data.slides[0], layout: 'grid', imageIndexes: [0, 1] };
+    const { data: result } = await regenerate({ slide: original });
+    assert.strictEqual(result.slide.layout, 'grid');
+    assert.strictEqual(result.slide.imageIndex, 0);
+    assert.deepStrictEqual(result.slide.imageIndexes, [0, 1]);
+  }],
+
+  ['analyzes the image again when asked to', async () => {
+    const { data } = await getSlides({ images: [NOT_AN_IMAGE] });
+    const { status } = await regenerate({ slide: data.slides[0] });
+    assert.strictEqual(status, 400);
+
+    const { data: result } = await regenerate({ slide: data.slides[0], image: GIF_1X1, reanalyze: true });
+    assert.match(result.slide.fullExplanation, /GIF image measures 1 by 1 pixels/);
+    assert.strictEqual(result.slide.error, undefined);
+    assert.deepStrictEqual(Object.keys(result.slide.timing.stages), ['analyze', 'summarize']);
+  }],
+
+  ['only regenerates slides that came from an image', async () => {
+    const { data } = await getSlides({ images: [PNG_1X1], narrative: true });
+    const { status, data: result } = await regenerate({ slide: data.slides[0] });
+    assert.strictEqual(status, 400);
+    assert.match(result.error, /Only slides generated from an image/);
+
+    const unknown = await regenerate({ slide: data.slides[2], model: 'nope' });
+    assert.strictEqual(unknown.status, 400);
+  }],
+
+  ['suggests merging slides whose images are alike into one grid slide', async () => {
+    const images = [PNG_1X1, GIF_1X1, PNG_1X1];
+    const { data } = await getSlides({ images, narrative: true });
+    const { status, data: result } = await group({ slides: data.slides, images });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(result.groups.length, 1);
+
+    const [suggestion] = result.groups;
+    assert.deepStrictEqual(suggestion.slideIndexes, [2, 4]);
+    assert.ok(suggestion.keywords.includes('png'));
+    assert.strictEqual(suggestion.slide.layout, 'grid');
+    assert.strictEqual(suggestion.slide.imageIndex, 0);
+    assert.deepStrictEqual(suggestion.slide.imageIndexes, [0, 2]);
+    assert.match(suggestion.slide.fullExplanation, /^Image 1: [\s\S]*\n\nImage 2: /);
+    assert.strictEqual(suggestion.slide.providers.summarize, 'mock');
+    assert.deepStrictEqual(suggestion.slide.providers, { ...data.slides[2].providers, summarize: 'mock' });
+    assert.strictEqual(suggestion.slide.providers.describe, 'mock');
+  }],
+
+  ['compares descriptions when images cannot be tagged', async () => {
+    const slide = (imageIndex, text) => ({ imageIndex, title: 'T', bullets: [], fullExplanation: text, originalCaption: '' });
+    const slides = [
+      slide(0, 'A red bicycle leaning against a brick wall'),
+      slide(1, 'A quarterly revenue chart with rising bars'),
+      slide(2, 'The red bicycle against the brick wall, closer'),
+    ];
+    const { data: result } = await group({ slides });
+    assert.deepStrictEqual(result.groups.map(item => item.slideIndexes), [[0, 2]]);
+
+    const { status } = await group({ slides: 'nope' });
+    assert.strictEqual(status, 400);
+  }],
+
+  ['saves, lists, updates and deletes a deck', async () => {
+    const { data: generated } = await getSlides({ images: [PNG_1X1, GIF_1X1] });
+    const created = await callDecks('', 'POST', { slides: generated.slides, images: [PNG_1X1, GIF_1X1], model: 'mock' });
+    assert.strictEqual(created.status, 201);
+    const { deck } = created.data;
+    assert.strictEqual(deck.title, generated.slides[0].title);
+    assert.deepStrictEqual(deck.images, [PNG_1X1, GIF_1X1]);
+    assert.strictEqual(deck.createdAt, deck.updatedAt);
+
+    try {
+      const listed = await callDecks('');
+      const summary = listed.data.decks.find(item => item.id === deck.id);
+      assert.deepStrictEqual(summary.providers, ['mock']);
+      assert.strictEqual(summary.slideCount, 2);
+      assert.strictEqual(summary.slides, undefined);
+
+      const updated = await callDecks(`/${deck.id}`, 'PUT', { title: 'Renamed deck', slides: generated.slides.slice(1) });
+      assert.strictEqual(updated.data.deck.title, 'Renamed deck');
+      assert.strictEqual(updated.data.deck.slides.length, 1);
+      assert.deepStrictEqual(updated.data.deck.images, [PNG_1X1, GIF_1X1]);
+      assert.strictEqual(updated.data.deck.createdAt, deck.createdAt);
+
+      const reopened = await callDecks(`/${deck.id}`);
+      assert.deepStrictEqual(reopened.data.deck, updated.data.deck);
+    } finally {
+      assert.strictEqual((await callDecks(`/${deck.id}`, 'DELETE')).status, 200);
+    }
+    assert.strictEqual((await callDecks(`/${deck.id}`)).status, 404);
+  }],
+
+  ['duplicates a deck under a new id', async () => {
+    const { data: generated } = await getSlides({ images: [PNG_1X1] });
+    const { data } = await callDecks('', 'POST', { title: 'Original', slides: generated.slides, images: [PNG_1X1] });
+    const copy = await callDecks(`/${data.deck.id}/duplicate`, 'POST');
+
+    try {
+      assert.strictEqual(copy.status, 201);
+      assert.notStrictEqual(copy.data.deck.id, data.deck.id);
+      assert.strictEqual(copy.data.deck.title, 'Original (copy)');
+      assert.deepStrictEqual(copy.data.deck.slides, data.deck.slides);
+    } finally {
+      await callDecks(`/${data.deck.id}`, 'DELETE');
+      await callDecks(`/${copy.data.deck.id}`, 'DELETE');
+    }
+  }],
+
+  ['rejects decks without slides and unknown deck ids', async () => {
+    assert.strictEqual((await callDecks('', 'POST', { slides: [] })).status, 400);
+    // Images are kept only as image data URLs, which share pages can show without loading anything else
+    const { data: generated } = await getSlides({ images: [PNG_1X1] });
+    for (const image of ['https://example.com/tracker.png', 'data:text/html;base64,PGgxPg==', 'data:image/png,<svg>']) {
+      assert.strictEqual((await callDecks('', 'POST', { slides: generated.slides, images: [image] })).status, 400);
+    }
+    assert.strictEqual((await callDecks('/not-a-deck')).status, 404);
+    assert.strictEqual((await callDecks('/..%2F..%2Fpackage', 'DELETE')).status, 404);
+  }],
+
+  ['shares a saved deck read-only until the link is revoked', async () => {
+    const { data: generated } = await getSlides({ images: [PNG_1X1] });
+    const { data } = await callDecks('', 'POST', { title: 'Shared deck', slides: generated.slides, images: [PNG_1X1] });
+    const deckId = data.deck.id;
+
+    try {
+      const created = await callDecks(`/${deckId}/shares`, 'POST', {});
+      assert.strictEqual(created.status, 201);
+      const { share } = created.data;
+      assert.match(share.token, /^[A-Za-z0-9_-]{32}$/);
+      assert.strictEqual(share.path, `/deck/${share.token}`);
+      assert.strictEqual(share.expiresAt, null);
+      assert.ok(!share.path.includes(deckId));
+
+      const page = await fetch(`${BASE_URL}${share.path}`);
+      const html = await page.text();
+      assert.strictEqual(page.status, 200);
+      assert.ok(html.includes('Shared deck'));
+      assert.ok(html.includes(generated.slides[0].title));
+      assert.ok(!html.includes('API Call Logs'));
+
+      const listed = await callDecks(`/${deckId}/shares`);
+      assert.deepStrictEqual(listed.data.shares.map(item => item.token), [share.token]);
+
+      assert.strictEqual((await callDecks(`/${deckId}/shares/${share.token}`, 'DELETE')).status, 200);
+      assert.strictEqual((await fetch(`${BASE_URL}${share.path}`)).status, 404);
+    } finally {
+      await callDecks(`/${deckId}`, 'DELETE');
+    }
+  }],
+
+  ['keeps deck routes to the owner when the server has an owner secret', async () => {
+    // Without DECKS_OWNER_SECRET the server lets every request through, so there is nothing to check
+    if (!OWNER_SECRET) return;
+
+    const { data: generated } = await getSlides({ images: [PNG_1X1] });
+    const { data } = await callDecks('', 'POST', { title: 'Owner deck', slides: generated.slides, images: [PNG_1X1] });
+    const deckId = data.deck.id;
+
+    try {
+      const { data: shared } = await callDecks(`/${deckId}/shares`, 'POST', {});
+      for (const secret of [null, `${OWNER_SECRET}x`]) {
+        assert.strictEqual((await callDecks('', 'GET', undefined, secret)).status, 401);
+        assert.strictEqual((await callDecks(`/${deckId}`, 'GET', undefined, secret)).status, 401);
+        assert.strictEqual((await callDecks(`/${deckId}`, 'PUT', { title: 'Taken' }, secret)).status, 401);
+        assert.strictEqual((await callDecks(`/${deckId}/duplicate`, 'POST', {}, secret)).status, 401);
+        assert.strictEqual((await callDecks(`/${deckId}/shares`, 'POST', {}, secret)).status, 401);
+        assert.strictEqual((await callDecks(`/${deckId}/shares/${shared.share.token}`, 'DELETE', undefined, secret)).status, 401);
+        assert.strictEqual((await callDecks(`/${deckId}`, 'DELETE', undefined, secret)).status, 401);
+      }
+      // The share link itself still works without the secret
+      assert.strictEqual((await fetch(`${BASE_URL}${shared.share.path}`)).status, 200);
+      assert.strictEqual((await callDecks(`/${deckId}`)).data.deck.title, 'Owner deck');
+    } finally {
+      await callDecks(`/${deckId}`, 'DELETE');
+    }
+  }],
+
+  ['stops serving share links once they expire or their deck is deleted', async () => {
+    const { data: generated } = await getSlides({ images: [PNG_1X1] });
+    const { data } = await callDecks('', 'POST', { slides: generated.slides, images: [PNG_1X1] });
+    const deckId = data.deck.id;
+
+    assert.strictEqual((await callDecks(`/${deckId}/shares`, 'POST', { expiresInDays: 400 })).status, 400);
+
+    // About a tenth of a second
+    const { data: shortLived } = await callDecks(`/${deckId}/shares`, 'POST', { expiresInDays: 0.000001 });
+    const { data: lasting } = await callDecks(`/${deckId}/shares`, 'POST', { expiresInDays: 7 });
+    await new Promise(resolve => setTimeout(resolve, 300));
+
+    const expiredPage = await (await fetch(`${BASE_URL}${shortLived.share.path}`)).text();
+    assert.ok(expiredPage.includes('This link has expired'));
+    assert.ok(!expiredPage.includes(generated.slides[0].title));
+
+    await callDecks(`/${deckId}`, 'DELETE');
+    assert.strictEqual((await fetch(`${BASE_URL}${lasting.share.path}`)).status, 404);
+  }],
+
+  ['saves a deck with its theme and brand kit, and shows it on shared pages', async () => {
+    const { data: generated } = await getSlides({ images: [PNG_1X1] });
+    const font = { name: 'Brand Sans', data: 'data:font/woff2;base64,d09GMgABAAA=' };
+    const theme = { id: 'dark', brandKit: { logo: GIF_1X1, palette: { primary: '#FF6600' }, font } };
+    const created = await callDecks('', 'POST', { slides: generated.slides, images: [PNG_1X1], theme });
+    assert.strictEqual(created.status, 201);
+    const deckId = created.data.deck.id;
+
+    try {
+      assert.deepStrictEqual(created.data.deck.theme, { id: 'dark', brandKit: { logo: GIF_1X1, palette: { primary: '#ff6600' }, font } });
+
+      // Updates that leave the theme out keep it
+      const updated = await callDecks(`/${deckId}`, 'PUT', { title: 'Themed deck' });
+      assert.strictEqual(updated.data.deck.theme.id, 'dark');
+
+      const { data } = await callDecks(`/${deckId}/shares`, 'POST', {});
+      const html = await (await fetch(`${BASE_URL}${data.share.path}`)).text();
+      assert.ok(html.includes('--slide-accent:#ff6600'));
+      assert.ok(html.includes(GIF_1X1));
+      // The server-rendered rule keeps its quotes, so the font loads before hydration
+      assert.ok(html.includes(`<style>@font-face { font-family: "Brand Sans"; src: url("${font.data}"); font-display: swap; }</style>`));
+    } finally {
+      await callDecks(`/${deckId}`, 'DELETE');
+    }
+
+    const untouched = await callDecks('', 'POST', { slides: generated.slides, images: [PNG_1X1] });
+    assert.deepStrictEqual(untouched.data.deck.theme, { id: 'classic', brandKit: null });
+    await callDecks(`/${untouched.data.deck.id}`, 'DELETE');
+  }],
+
+  ['rejects unknown themes and malformed brand kits', async () => {
+    const { data: generated } = await getSlides({ images: [PNG_1X1] });
+    const save = (theme) => callDecks('', 'POST', { slides: generated.slides, images: [PNG_1X1], theme });
+
+    assert.strictEqual((await save({ id: 'neon' })).status, 400);
+    assert.strictEqual((await save({ id: 'classic', brandKit: { palette: { primary: 'orange' } } })).status, 400);
+    assert.strictEqual((await save({ id: 'classic', brandKit: { logo: 'https://example.com/logo.png' } })).status, 400);
+    assert.strictEqual((await save({ id: 'classic', brandKit: { font: { name: 'Brand', data: PNG_1X1 } } })).status, 400);
+    // Nothing that could end the page's <style> element gets through, in the font name or inside a data URL
+    const font = 'data:font/woff2;base64,d09GMgABAAA=';
+    assert.strictEqual((await save({ id: 'classic', brandKit: { font: { name: 'x</style><script>alert(1)</script>', data: font } } })).status, 400);
+    assert.strictEqual((await save({ id: 'classic', brandKit: { font: { name: 'Brand', data: `${font}"</style><script>alert(1)</script>` } } })).status, 400);
+    assert.strictEqual((await save({ id: 'classic', brandKit: { logo: 'data:image/png,</style><script>alert(1)</script>' } })).status, 400);
+  }],
+
+  ['exports a PowerPoint file with one slide and notes page per slide', async () => {
+    const { buildDeckPptx } = require('./utils/pptx');
+    const { data } = await getSlides({ images: [PNG_1X1, GIF_1X1], narrative: true });
+    // Slides without their images, as reading image sizes needs a browser
+    const slides = data.slides.map(slide => ({ ...slide, imageIndex: null }));
+
+    const pptx = await buildDeckPptx(slides);
+    const file = (await pptx.write({ outputType: 'nodebuffer' })).toString('latin1');
+
+    // Zip entry names are stored uncompressed
+    assert.strictEqual(new Set(file.match(/ppt\/slides\/slide\d+\.xml/g)).size, slides.length);
+    assert.strictEqual(new Set(file.match(/ppt\/notesSlides\/notesSlide\d+\.xml/g)).size, slides.length);
+    assert.strictEqual(pptx.title, slides[0].title);
+    assert.match(pptx.subject, /^Keywords: /);
+  }],
+
+  ['exports a PDF with one page per slide, or three slides per handout page', async () => {
+    const { buildDeckPdf } = require('./utils/pdf');
+    const images = [PNG_1X1, GIF_1X1];
+    const { data } = await getSlides({ images, narrative: true });
+
+    const slidesPdf = buildDeckPdf(data.slides, images);
+    assert.strictEqual(slidesPdf.getNumberOfPages(), data.slides.length);
+    const handout = buildDeckPdf(data.slides, images, { layout: 'handout' });
+    assert.strictEqual(handout.getNumberOfPages(), Math.ceil(data.slides.length / 3));
+
+    const file = slidesPdf.output();
+    assert.ok(file.startsWith('%PDF-'));
+    assert.ok(file.includes(`/Title (${data.slides[0].title})`));
+    assert.match(file, /\/Keywords \(.+\)/);
+  }],
+
+  ['exports a self-contained HTML presentation with the slides escaped', async () => {
+    const { buildDeckHtml } = require('./utils/html');
+    const images = [PNG_1X1, GIF_1X1];
+    const { data } = await getSlides({ images });
+    const slides = [{ ...data.slides[0], title: '<script>alert(1)</script>', notes: 'Say "hi" & wave' }, data.slides[1]];
+
+    const html = buildDeckHtml(slides, images);
+
+    assert.ok(html.startsWith('<!DOCTYPE html>'));
+    assert.strictEqual(html.match(/<section class="slide /g).length, slides.length);
+    assert.ok(images.every(image => html.includes(`src="${image}"`)));
+    assert.ok(html.includes('<h2>&lt;script&gt;alert(1)&lt;/script&gt;</h2>'));
+    assert.ok(html.includes('Say &quot;hi&quot; &amp; wave'));
+    assert.ok(!html.includes('<script>alert(1)'));
+  }],
+
+  ['keeps every slide field through a Marp export and import', async () => {
+    const { deckToMarp, marpToDeck } = require('./utils/marp');
+    const { data } = await getSlides({ images: [PNG_1X1, GIF_1X1], narrative: true });
+    // Lines of dashes would end the slide early if they were not escaped
+    const slides = data.slides.map((slide, i) => ({
+      ...slide,
+      notes: `Notes for slide ${i + 1}\n---\nAfter the dashes`,
+      fullExplanation: slide.fullExplanation && `${slide.fullExplanation}\n\n---\n\\---`,
+    }));
+    slides[2] = { ...slides[2], layout: 'full-bleed' };
+
+    const imported = marpToDeck(deckToMarp(slides, [PNG_1X1, GIF_1X1]));
+
+    assert.strictEqual(imported.slides.length, slides.length);
+    imported.slides.forEach((slide, i) => {
+      const original = slides[i];
+      for (const field of ['kind', 'title', 'subtitle', 'bullets', 'notes', 'keyTerms', 'transition', 'fullExplanation']) {
+        assert.deepStrictEqual(slide[field] || '', original[field] || '', `slide ${i + 1} ${field}`);
+      }
+      if (original.imageIndex !== null) {
+        assert.strictEqual(imported.images[slide.imageIndex], [PNG_1X1, GIF_1X1][original.imageIndex]);
+      }
+    });
+    assert.strictEqual(imported.slides[2].layout, 'full-bleed');
+    assert.ok(imported.slides[3].transition);
+  }],
+
+  ['sends Gemini the slide system prompt and JSON schema', async () => {
+    const { summarizeWithGemini } = require('./utils/providers/gemini');
+    const { SLIDE_SYSTEM_PROMPT } = require('./utils/providers/prompts');
+    const { SLIDE_SCHEMA } = require('./utils/providers/slideOutput');
+    const slide = JSON.stringify({ title: 'A title', subtitle: '', bullets: ['One'], notes: '', keyTerms: [] });
+    const { result, request } = await captureGeminiRequest(() => summarizeWithGemini('An explanation', '', ''), slide);
+
+    assert.strictEqual(result, slide);
+    // Structured output only exists on the v1beta endpoint
+    assert.match(request.url, /\/v1beta\/models\/[^/]+:generateContent$/);
+    assert.deepStrictEqual(request.body.systemInstruction.parts, [{ text: SLIDE_SYSTEM_PROMPT }]);
+    assert.strictEqual(request.body.generationConfig.responseMimeType, 'application/json');
+    assert.deepStrictEqual(request.body.generationConfig.responseSchema.required, SLIDE_SCHEMA.required);
+  }],
+
+  ['sends Gemini the narrative system prompt and JSON schema', async () => {
+    const { narrateWithGemini } = require('./utils/providers/gemini');
+    const { NARRATIVE_SYSTEM_PROMPT } = require('./utils/providers/prompts');
+    const { NARRATIVE_SCHEMA } = require('./utils/providers/narrative');
+    const narrative = JSON.stringify({ title: 'Deck', subtitle: '', agenda: [], transitions: [], conclusion: { title: 'End', bullets: [], notes: '' } });
+    const { result, request } = await captureGeminiRequest(() => narrateWithGemini('1. A slide', 'Trips', 1), narrative);
+
+    assert.strictEqual(result, narrative);
+    assert.match(request.url, /\/v1beta\/models\/[^/]+:generateContent$/);
+    assert.deepStrictEqual(request.body.systemInstruction.parts, [{ text: NARRATIVE_SYSTEM_PROMPT }]);
+    assert.strictEqual(request.body.generationConfig.responseMimeType, 'application/json');
+    assert.deepStrictEqual(request.body.generationConfig.responseSchema.required, NARRATIVE_SCHEMA.required);
+  }],
+
+  ['lists the mock provider', async () => {
+    const response = await fetch(`${BASE_URL}/api/providers`);
+    const data = await response.json();
+    assert.ok(data.providers.some(provider => provider.id === 'mock'));
+  }],
+];
+
+async function run() {
+  let failures = 0;
+
+  for (const [name, test] of tests) {
+    try {
+      await test();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failures++;
+      console.error(`❌ ${name}`);
+      console.error(`   ${error.message}`);
+    }
+  }
+
+  console.log(`\n${tests.length - failures} of ${tests.length} tests passed`);
+  process.exitCode = failures > 0 ? 1 : 0;
+}
+
+run();
@@ -0,0 +1,137 @@
+const { createHash } = require("crypto");
+const fs = require("fs/promises");
+const path = require("path");
+
+const DEFAULT_TTL_SECONDS = 7 * 24 * 60 * 60;
+const DEFAULT_CACHE_DIR = ".cache/slides";
+const DEFAULT_MEMORY_ENTRIES = 1000;
+
+/**
+ * Hashes text or bytes into a hex SHA-256 digest
+ * @param {string|Uint8Array} input - Content to hash
+ * @returns {string} - 64 hex characters
+ */
+function hashContent(input) {
+  return createHash("sha256").update(input).digest("hex");
+}
+
+/**
+ * Creates a store that keeps entries in this server's memory, evicting the oldest once it is full
+ * @param {number} maxEntries - Maximum number of entries to keep
+ * @returns {Object} - A cache store
+ */
+function createMemoryStore(maxEntries = DEFAULT_MEMORY_ENTRIES) {
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return undefined;
+      }
+      return entry.value;
+    },
+
+    async set(key, value, ttlSeconds) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+      if (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+  };
+}
+
+/**
+ * Creates a store that keeps each entry as a JSON file, so cached analyses survive restarts
+ * @param {string} directory - Directory for the cache files, created on first write
+ * @returns {Object} - A cache store
+ */
+function createFileStore(directory) {
+  const fileFor = (key) => path.join(directory, `${hashContent(key)}.json`);
+
+  return {
+    async get(key) {
+      let entry;
+      try {
+        entry = JSON.parse(await fs.readFile(fileFor(key), "utf8"));
+      } catch (error) {
+        // Missing or unreadable entries are cache misses
+        return undefined;
+      }
+
+      if (entry.key !== key) return undefined;
+      if (entry.expiresAt <= Date.now()) {
+        await fs.rm(fileFor(key), { force: true });
+        return undefined;
+      }
+      return entry.value;
+    },
+
+    async set(key, value, ttlSeconds) {
+      await fs.mkdir(directory, { recursive: true });
+      const file = fileFor(key);
+      const temporary = `${file}.${process.pid}.${Date.now()}.tmp`;
+      // Write then rename, so a concurrent reader never sees a half-written entry
+      await fs.writeFile(temporary, JSON.stringify({ key, value, expiresAt: Date.now() + ttlSeconds * 1000 }));
+      await fs.rename(temporary, file);
+    },
+
+    async delete(key) {
+      await fs.rm(fileFor(key), { force: true });
+    },
+  };
+}
+
+let configuredCache;
+
+/**
+ * Returns the cache configured by the environment:
+ *   SLIDES_CACHE              - "memory" (default), "file" or "off"; any other value warns once and uses memory
+ *   SLIDES_CACHE_DIR          - directory for the file store (default .cache/slides)
+ *   SLIDES_CACHE_TTL_SECONDS  - how long entries stay valid (default 7 days)
+ * @returns {{store: Object, ttlSeconds: number}|null} - The store and TTL, or null when caching is off
+ */
+function getCache() {
+  if (configuredCache !== undefined) return configuredCache;
+
+  const kind = (process.env.SLIDES_CACHE || "memory").toLowerCase();
+  const ttl = parseInt(process.env.SLIDES_CACHE_TTL_SECONDS, 10);
+  const ttlSeconds = Number.isInteger(ttl) && ttl > 0 ? ttl : DEFAULT_TTL_SECONDS;
+
+  if (kind === "off") {
+    configuredCache = null;
+  } else if (kind === "file") {
+    configuredCache = { store: createFileStore(process.env.SLIDES_CACHE_DIR || DEFAULT_CACHE_DIR), ttlSeconds };
+  } else {
+    if (kind !== "memory") {
+      console.warn(`Unknown SLIDES_CACHE store: ${kind} (use "memory", "file" or "off"); caching in memory instead`);
+    }
+    configuredCache = { store: createMemoryStore(), ttlSeconds };
+  }
+
+  return configuredCache;
+}
+
+/**
+ * Replaces the configured cache, e.g. with a custom store ({ get, set, delete }) backed by Redis or a database
+ * @param {Object|null} store - The store to use, or null to turn caching off
+ * @param {number} ttlSeconds - How long entries stay valid
+ */
+function setCacheStore(store, ttlSeconds = DEFAULT_TTL_SECONDS) {
+  configuredCache = store ? { store, ttlSeconds } : null;
+}
+
+module.exports = {
+  hashContent,
+  createMemoryStore,
+  createFileStore,
+  getCache,
+  setCacheStore,
+};
@@ -0,0 +1,66 @@
+/**
+ * Creates a limiter that runs at most `limit` tasks at once and queues the rest in arrival order
+ * @param {number} limit - Maximum number of tasks running at the same time
+ * @returns {Function} - run(task) that resolves or rejects with the task's result once it has run
+ */
+function createLimiter(limit) {
+  let active = 0;
+  const queue = [];
+
+  const next = () => {
+    if (active >= limit || queue.length === 0) return;
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+}
+
+/**
+ * Maps over items with at most `limit` calls in flight, keeping results in input order
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of items processed at the same time
+ * @param {Function} fn - Receives (item, index) and returns a promise
+ * @returns {Promise<Array>} - Results in the same order as the items
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Reads a positive integer setting, falling back to a default for missing or invalid values
+ * @param {*} value - Raw value, e.g. from an environment variable or request body
+ * @param {number} fallback - Value to use when the input is not a positive integer
+ * @returns {number} - The parsed setting
+ */
+function parseLimit(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+module.exports = {
+  createLimiter,
+  mapWithConcurrency,
+  parseLimit,
+};
@@ -0,0 +1,307 @@
+// Slides added by the deck-level narrative pass rather than generated from an image
+const NARRATIVE_KINDS = ["title", "agenda", "conclusion"];
+
+/**
+ * Layouts a slide can use, in the order the layout picker lists them. The viewer and every export honor them.
+ * `image` marks layouts built around the slide's image, which fall back to text-only on slides without one.
+ */
+const SLIDE_LAYOUTS = [
+  { id: "image-left", name: "Image left", image: true },
+  { id: "image-right", name: "Image right", image: true },
+  { id: "full-bleed", name: "Full-bleed image, title at the bottom", image: true },
+  { id: "image-only", name: "Image only", image: true },
+  { id: "text-only", name: "Text only", image: false },
+  { id: "two-column", name: "Two-column bullets", image: false },
+  { id: "grid", name: "Image grid", image: true },
+];
+
+const DEFAULT_LAYOUT = "image-left";
+
+/**
+ * Checks whether a slide was generated from an image, as opposed to a narrative or error slide
+ * @param {Object} slide - A slide
+ * @returns {boolean} - True for successfully generated image slides
+ */
+function isContentSlide(slide) {
+  return Boolean(slide) && !slide.error && !NARRATIVE_KINDS.includes(slide.kind);
+}
+
+/**
+ * Builds a slide that has no image, such as a title, agenda or conclusion slide
+ * @param {string} kind - Slide kind
+ * @param {Object} fields - Title, subtitle, bullets and notes
+ * @param {string} provider - Id of the provider that wrote it
+ * @returns {Object} - The slide
+ */
+function buildNarrativeSlide(kind, { title, subtitle = "", bullets = [], notes = "" }, provider) {
+  return {
+    kind,
+    imageIndex: null,
+    title,
+    subtitle,
+    bullets,
+    notes,
+    keyTerms: [],
+    fullExplanation: "",
+    originalMessage: "",
+    originalCaption: "",
+    providers: { narrate: provider },
+  };
+}
+
+/**
+ * Wraps the image slides in a narrative: a title slide and agenda first, a transition on each content slide
+ * that leads in from the previous one, and a conclusion last. Narrative slides from an earlier pass are replaced.
+ * @param {Array<Object>} slides - Deck slides
+ * @param {Object} narrative - { title, subtitle, agenda, transitions, conclusion, provider }
+ * @returns {Array<Object>} - The composed deck
+ */
+function composeDeck(slides, narrative) {
+  let covered = 0;
+
+  const body = slides
+    .filter(slide => !NARRATIVE_KINDS.includes(slide.kind))
+    .map(slide => {
+      if (!isContentSlide(slide)) return slide;
+      const transition = covered > 0 ? narrative.transitions[covered - 1] || "" : "";
+      covered++;
+      return { ...slide, transition };
+    });
+
+  return [
+    buildNarrativeSlide("title", { title: narrative.title, subtitle: narrative.subtitle }, narrative.provider),
+    buildNarrativeSlide("agenda", { title: "Agenda", bullets: narrative.agenda }, narrative.provider),
+    ...body,
+    buildNarrativeSlide("conclusion", narrative.conclusion, narrative.provider),
+  ];
+}
+
+/**
+ * Builds an empty slide for the editor to fill in
+ * @returns {Object} - A slide without an image
+ */
+function createBlankSlide() {
+  return {
+    kind: "custom",
+    imageIndex: null,
+    title: "New Slide",
+    subtitle: "",
+    bullets: [],
+    notes: "",
+    keyTerms: [],
+    fullExplanation: "",
+    originalMessage: "",
+    originalCaption: "",
+  };
+}
+
+/**
+ * Returns a copy of the deck with one slide moved; slides keep their imageIndex, so images move with them
+ * @param {Array<Object>} slides - Deck slides
+ * @param {number} from - Current position of the slide
+ * @param {number} to - Position the slide should end up at
+ * @returns {Array<Object>} - The reordered deck
+ */
+function moveSlide(slides, from, to) {
+  if (from === to || from < 0 || from >= slides.length || to < 0 || to >= slides.length) return slides;
+
+  const next = [...slides];
+  const [moved] = next.splice(from, 1);
+  next.splice(to, 0, moved);
+  return next;
+}
+
+/**
+ * Returns a copy of the deck with a slide inserted
+ * @param {Array<Object>} slides - Deck slides
+ * @param {number} index - Position of the new slide
+ * @param {Object} slide - The slide to insert
+ * @returns {Array<Object>} - The new deck
+ */
+function insertSlide(slides, index, slide) {
+  return [...slides.slice(0, index), slide, ...slides.slice(index)];
+}
+
+/**
+ * Returns a copy of the deck without one slide. Its image stays in the image list, unused.
+ * @param {Array<Object>} slides - Deck slides
+ * @param {number} index - Position of the slide to remove
+ * @returns {Array<Object>} - The new deck
+ */
+function removeSlide(slides, index) {
+  return slides.filter((_, i) => i !== index);
+}
+
+/**
+ * Returns a copy of the deck with several slides replaced by one that combines them, placed where the first of
+ * them was. Slides are matched by identity, so the deck can change between suggesting and applying a group.
+ * @param {Array<Object>} slides - Deck slides
+ * @param {Array<Object>} members - The slides to replace
+ * @param {Object} combined - The slide that replaces them
+ * @returns {Array<Object>|null} - The new deck, or null if any of the slides is no longer in the deck
+ */
+function groupSlides(slides, members, combined) {
+  const positions = members.map(member => slides.indexOf(member));
+  if (positions.some(position => position < 0)) return null;
+
+  const first = Math.min(...positions);
+  const rest = slides.filter(slide => !members.includes(slide));
+  return insertSlide(rest, first, combined);
+}
+
+/**
+ * Reverses groupSlides: puts the original slides back where the combined slide is
+ * @param {Array<Object>} slides - Deck slides
+ * @param {Object} combined - The slide made by groupSlides
+ * @param {Array<Object>} members - The slides it replaced, in their original order
+ * @returns {Array<Object>|null} - The new deck, or null if the combined slide is no longer in the deck
+ */
+function ungroupSlides(slides, combined, members) {
+  const position = slides.indexOf(combined);
+  if (position < 0) return null;
+  return [...slides.slice(0, position), ...members, ...slides.slice(position + 1)];
+}
+
+/**
+ * Applies edits to a slide and marks it as edited by hand
+ * @param {Object} slide - The slide
+ * @param {Object} changes - Fields to replace, e.g. { title } or { bullets }
+ * @returns {Object} - The edited slide
+ */
+function editSlide(slide, changes) {
+  return { ...slide, ...changes, edited: true };
+}
+
+/**
+ * Trims the text fields of an edited slide and drops bullets left empty
+ * @param {Object} slide - The slide
+ * @returns {Object} - The tidied slide, or the same slide if it was never edited
+ */
+function tidySlide(slide) {
+  if (!slide.edited) return slide;
+
+  return {
+    ...slide,
+    title: (slide.title || "").trim() || "Untitled Slide",
+    subtitle: (slide.subtitle || "").trim(),
+    bullets: (slide.bullets || []).map(bullet => bullet.trim()).filter(Boolean),
+    notes: (slide.notes || "").trim(),
+  };
+}
+
+/**
+ * Looks up the layout a slide is shown with
+ * @param {Object} slide - A slide, whose `layout` is one of SLIDE_LAYOUTS
+ * @param {number} imageCount - How many images the slide has
+ * @returns {string} - Layout id; the default for slides without a known layout, text-only for image layouts
+ *   on slides without an image
+ */
+function getSlideLayout(slide, imageCount) {
+  const layout = SLIDE_LAYOUTS.find(item => item.id === slide?.layout) || SLIDE_LAYOUTS.find(item => item.id === DEFAULT_LAYOUT);
+  return layout.image && imageCount === 0 ? "text-only" : layout.id;
+}
+
+/**
+ * Splits bullets into two columns, the first one longer when the count is odd
+ * @param {Array<string>} bullets - The slide's bullets
+ * @returns {Array<Array<string>>} - [left column, right column]
+ */
+function splitBullets(bullets = []) {
+  const middle = Math.ceil(bullets.length / 2);
+  return [bullets.slice(0, middle), bullets.slice(middle)];
+}
+
+/**
+ * Returns a copy of a slide showing the given images. A slide with several images keeps them all in
+ * `imageIndexes`; `imageIndex` is always the first, so single-image layouts and older code keep working.
+ * @param {Object} slide - The slide
+ * @param {Array<number>} indexes - Positions of the images in the deck's image list
+ * @returns {Object} - The slide with its new images
+ */
+function setSlideImages(slide, indexes) {
+  const { imageIndexes, ...rest } = slide;
+  return {
+    ...rest,
+    imageIndex: indexes.length > 0 ? indexes[0] : null,
+    ...(indexes.length > 1 ? { imageIndexes: indexes } : {}),
+  };
+}
+
+/**
+ * Lists the positions of a slide's images in the deck's image list
+ * @param {Object} slide - A slide
+ * @returns {Array<number>} - Image indexes, the slide's main image first
+ */
+function getSlideImageIndexes(slide) {
+  if (Array.isArray(slide?.imageIndexes)) return slide.imageIndexes.filter(Number.isInteger);
+  return Number.isInteger(slide?.imageIndex) ? [slide.imageIndex] : [];
+}
+
+/**
+ * Looks up every image on a slide, for the image grid layout
+ * @param {Object} slide - A slide
+ * @param {Array<string>} images - Base64 data URLs, indexed by the slides' imageIndex
+ * @returns {Array<string>} - The slide's images, the main image first
+ */
+function getSlideImages(slide, images) {
+  return getSlideImageIndexes(slide).map(index => images[index]).filter(Boolean);
+}
+
+/**
+ * Checks whether a slide has a tag matching a search, ignoring case; partial matches count, so "white" finds "whiteboard"
+ * @param {Object} slide - A slide with optional tags
+ * @param {string} query - The search text
+ * @returns {boolean} - True if any tag contains the search text, or the search is empty
+ */
+function slideMatchesTag(slide, query) {
+  const search = (query || "").trim().toLowerCase();
+  if (!search) return true;
+  return (slide?.tags || []).some(tag => tag.includes(search));
+}
+
+/**
+ * Lists every tag in a deck, the most used first, for keywords and the tag filter
+ * @param {Array<Object>} slides - Deck slides
+ * @returns {Array<string>} - Tags without duplicates
+ */
+function collectDeckTags(slides) {
+  const counts = new Map();
+  for (const tag of slides.flatMap(slide => slide?.tags || [])) {
+    counts.set(tag, (counts.get(tag) || 0) + 1);
+  }
+  return [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a));
+}
+
+/**
+ * Looks up the image shown on a slide
+ * @param {Object} slide - A slide
+ * @param {Array<string>} images - Base64 data URLs, indexed by the slides' imageIndex
+ * @returns {string|null} - The image, or null for slides without one
+ */
+function getSlideImage(slide, images) {
+  return Number.isInteger(slide?.imageIndex) ? images[slide.imageIndex] || null : null;
+}
+
+module.exports = {
+  NARRATIVE_KINDS,
+  SLIDE_LAYOUTS,
+  DEFAULT_LAYOUT,
+  isContentSlide,
+  composeDeck,
+  createBlankSlide,
+  moveSlide,
+  insertSlide,
+  removeSlide,
+  groupSlides,
+  ungroupSlides,
+  editSlide,
+  tidySlide,
+  getSlideLayout,
+  splitBullets,
+  setSlideImages,
+  getSlideImageIndexes,
+  getSlideImages,
+  getSlideImage,
+  slideMatchesTag,
+  collectDeckTags,
+};
@@ -0,0 +1,34 @@
+/**
+ * Builds a JSON error response for the /api/decks routes
+ * @param {number} status - HTTP status
+ * @param {string} error - Message for the client
+ * @returns {Response} - The response
+ */
+function errorResponse(status, error) {
+  return new Response(
+    JSON.stringify({ error }),
+    { status, headers: { "Content-Type": "application/json" } }
+  );
+}
+
+/**
+ * Response for requests without the deck owner secret, when one is configured (see isDeckOwner in deckStore.js)
+ * @returns {Response} - A 401 response
+ */
+function unauthorized() {
+  return errorResponse(401, "Missing or wrong deck owner secret");
+}
+
+/**
+ * Response for a deck id that has no saved deck
+ * @param {string} id - Deck id from the URL
+ * @returns {Response} - A 404 response
+ */
+function notFound(id) {
+  return errorResponse(404, `Deck not found: ${id}`);
+}
+
+module.exports = {
+  unauthorized,
+  notFound,
+};
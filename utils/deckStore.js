@@ -0,0 +1,341 @@
+const { createHash, randomBytes, randomUUID, timingSafeEqual } = require("crypto");
+const fs = require("fs/promises");
+const path = require("path");
+const { readDataUrl, readThemeSettings } = require("./theme");
+
+const DEFAULT_DECKS_DIR = ".data/decks";
+const MAX_TITLE_LENGTH = 200;
+const MAX_SHARE_DAYS = 365;
+// Images are stored as data URLs: 30 MB holds a 20 MB upload in base64, and a deck's images together stay under 100 MB
+const MAX_IMAGE_LENGTH = 30 * 1024 * 1024;
+const MAX_DECK_IMAGES_LENGTH = 100 * 1024 * 1024;
+
+// Deck ids are UUIDs; checking the shape also keeps ids from escaping the store directory
+const DECK_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/**
+ * Checks whether a value looks like a deck id
+ * @param {*} id - Value to check
+ * @returns {boolean} - True for a well-formed deck id
+ */
+function isDeckId(id) {
+  return typeof id === "string" && DECK_ID_PATTERN.test(id);
+}
+
+// Share tokens are 24 random bytes in base64url; a link reveals neither the deck id nor anything guessable
+const SHARE_TOKEN_PATTERN = /^[A-Za-z0-9_-]{32}$/;
+
+/**
+ * Checks whether a value looks like a share token
+ * @param {*} token - Value to check
+ * @returns {boolean} - True for a well-formed share token
+ */
+function isShareToken(token) {
+  return typeof token === "string" && SHARE_TOKEN_PATTERN.test(token);
+}
+
+/**
+ * Works out when a new share link expires
+ * @param {*} expiresInDays - Days the link stays valid, or null/undefined for a link that never expires
+ * @returns {string|null} - ISO timestamp, or null for no expiry
+ * @throws {Error} - If the number of days is not between 1 and 365
+ */
+function readShareExpiry(expiresInDays) {
+  if (expiresInDays === undefined || expiresInDays === null || expiresInDays === "") return null;
+
+  const days = Number(expiresInDays);
+  if (!Number.isFinite(days) || days <= 0 || days > MAX_SHARE_DAYS) {
+    throw new Error(`expiresInDays must be between 1 and ${MAX_SHARE_DAYS}`);
+  }
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * Checks whether a share link has expired
+ * @param {Object} share - { token, deckId, createdAt, expiresAt }
+ * @returns {boolean} - True once expiresAt has passed
+ */
+function isShareExpired(share) {
+  return Boolean(share.expiresAt) && Date.parse(share.expiresAt) <= Date.now();
+}
+
+/**
+ * Validates the fields a client may set on a deck
+ * @param {Object} input - { title, slides, images, model, topic, theme }
+ * @param {Object} current - The saved deck when updating, whose fields are kept where input leaves them out
+ * @returns {Object} - The deck fields
+ * @throws {Error} - If slides or images are missing, malformed or too large, or the theme is invalid
+ */
+function readDeckInput(input, current = null) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    throw new Error("The deck must be a JSON object");
+  }
+
+  const slides = input.slides !== undefined ? input.slides : current?.slides;
+  if (!Array.isArray(slides) || slides.length === 0 || slides.some(slide => !slide || typeof slide !== "object")) {
+    throw new Error("A deck needs at least one slide");
+  }
+
+  // Only image data URLs are kept: a URL elsewhere would be loaded by everyone who opens a share link
+  const imageList = input.images !== undefined ? input.images : current?.images || [];
+  if (!Array.isArray(imageList)) {
+    throw new Error("images must be an array of data URLs");
+  }
+  const images = imageList.map((image, i) => readDataUrl(image, `images[${i}]`, /^image\//, MAX_IMAGE_LENGTH));
+  if (images.reduce((total, image) => total + (image?.length || 0), 0) > MAX_DECK_IMAGES_LENGTH) {
+    throw new Error(`A deck's images must be smaller than ${MAX_DECK_IMAGES_LENGTH / 1024 / 1024} MB together`);
+  }
+
+  const title = typeof input.title === "string" && input.title.trim()
+    ? input.title.trim().slice(0, MAX_TITLE_LENGTH)
+    : current?.title || slides[0].title || "Untitled deck";
+
+  return {
+    title,
+    slides,
+    images,
+    model: typeof input.model === "string" ? input.model : current?.model || null,
+    topic: typeof input.topic === "string" ? input.topic : current?.topic || "",
+    theme: readThemeSettings(input.theme !== undefined ? input.theme : current?.theme),
+  };
+}
+
+/**
+ * Lists the providers that produced a deck's slides, for the "My decks" list
+ * @param {Array<Object>} slides - Deck slides
+ * @returns {Array<string>} - Provider ids, in order of first use
+ */
+function collectProviders(slides) {
+  const ids = slides.flatMap(slide => Object.values(slide.providers || {}));
+  return [...new Set(ids.filter(Boolean))];
+}
+
+/**
+ * Summarizes a deck for listing, without its slides and images
+ * @param {Object} deck - A saved deck
+ * @returns {Object} - { id, title, slideCount, model, providers, createdAt, updatedAt }
+ */
+function toDeckSummary(deck) {
+  return {
+    id: deck.id,
+    title: deck.title,
+    slideCount: deck.slides.length,
+    model: deck.model,
+    providers: collectProviders(deck.slides),
+    createdAt: deck.createdAt,
+    updatedAt: deck.updatedAt,
+  };
+}
+
+/**
+ * Writes JSON to a file, creating its directory. Writes then renames, so a concurrent reader never sees half a file.
+ * @param {string} file - Path of the file
+ * @param {Object} value - Value to write
+ * @returns {Promise<Object>} - The value
+ */
+async function writeJsonFile(file, value) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const temporary = `${file}.${process.pid}.${Date.now()}.tmp`;
+  await fs.writeFile(temporary, JSON.stringify(value));
+  await fs.rename(temporary, file);
+  return value;
+}
+
+/**
+ * Creates a store that keeps each deck, images included, as a JSON file, and each share link as a small
+ * JSON file in a shares/ subdirectory
+ * @param {string} directory - Directory for the deck files, created on first write
+ * @returns {Object} - A deck store
+ */
+function createFileDeckStore(directory) {
+  const fileFor = (id) => path.join(directory, `${id}.json`);
+  const sharesDirectory = path.join(directory, "shares");
+  const shareFileFor = (token) => path.join(sharesDirectory, `${token}.json`);
+
+  const read = async (id) => {
+    if (!isDeckId(id)) return undefined;
+    try {
+      return JSON.parse(await fs.readFile(fileFor(id), "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") return undefined;
+      throw error;
+    }
+  };
+
+  const write = (deck) => writeJsonFile(fileFor(deck.id), deck);
+
+  const readShare = async (token) => {
+    if (!isShareToken(token)) return undefined;
+    try {
+      return JSON.parse(await fs.readFile(shareFileFor(token), "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") return undefined;
+      throw error;
+    }
+  };
+
+  const listShares = async (id) => {
+    let files;
+    try {
+      files = await fs.readdir(sharesDirectory);
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+
+    const shares = await Promise.all(
+      files
+        .filter(file => file.endsWith(".json"))
+        .map(file => readShare(file.slice(0, -".json".length)).catch(() => undefined))
+    );
+    return shares
+      .filter(share => share && share.deckId === id)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  };
+
+  return {
+    async list() {
+      let files;
+      try {
+        files = await fs.readdir(directory);
+      } catch (error) {
+        if (error.code === "ENOENT") return [];
+        throw error;
+      }
+
+      const decks = await Promise.all(
+        files
+          .filter(file => file.endsWith(".json"))
+          .map(file => read(file.slice(0, -".json".length)).catch(() => undefined))
+      );
+      return decks
+        .filter(Boolean)
+        .map(toDeckSummary)
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    },
+
+    get: read,
+
+    async create(input) {
+      const now = new Date().toISOString();
+      return write({ id: randomUUID(), ...readDeckInput(input), createdAt: now, updatedAt: now });
+    },
+
+    async update(id, input) {
+      const current = await read(id);
+      if (!current) return undefined;
+      return write({ ...current, ...readDeckInput(input, current), updatedAt: new Date().toISOString() });
+    },
+
+    async delete(id) {
+      if (!(await read(id))) return false;
+      // Links to a deleted deck stop working
+      for (const share of await listShares(id)) {
+        await fs.rm(shareFileFor(share.token), { force: true });
+      }
+      await fs.rm(fileFor(id), { force: true });
+      return true;
+    },
+
+    listShares,
+
+    getShare: readShare,
+
+    async createShare(id, { expiresAt = null } = {}) {
+      if (!(await read(id))) return undefined;
+      const share = {
+        token: randomBytes(24).toString("base64url"),
+        deckId: id,
+        createdAt: new Date().toISOString(),
+        expiresAt,
+      };
+      return writeJsonFile(shareFileFor(share.token), share);
+    },
+
+    async deleteShare(token) {
+      if (!(await readShare(token))) return false;
+      await fs.rm(shareFileFor(token), { force: true });
+      return true;
+    },
+  };
+}
+
+let configuredStore;
+
+/**
+ * Returns the deck store configured by the environment:
+ *   DECKS_DIR - directory for saved decks (default .data/decks)
+ * @returns {Object} - The deck store: { list, get, create, update, delete }
+ */
+function getDeckStore() {
+  if (!configuredStore) {
+    configuredStore = createFileDeckStore(process.env.DECKS_DIR || DEFAULT_DECKS_DIR);
+  }
+  return configuredStore;
+}
+
+/**
+ * Looks up the deck behind a share link
+ * @param {string} token - Share token from the link
+ * @returns {Promise<{deck: Object, share: Object, expired: boolean}|undefined>} - The deck and link, or undefined
+ *   if the link or its deck does not exist
+ */
+async function getSharedDeck(token) {
+  const store = getDeckStore();
+  const share = await store.getShare(token);
+  if (!share) return undefined;
+
+  const deck = await store.get(share.deckId);
+  if (!deck) return undefined;
+
+  return { deck, share, expired: isShareExpired(share) };
+}
+
+let warnedWithoutSecret = false;
+
+/**
+ * Checks that a request to the /api/decks routes comes from the owner of the saved decks.
+ * With DECKS_OWNER_SECRET set, the request must send it as `Authorization: Bearer <secret>`. Without it every
+ * request is let through, which is only safe while nobody else can reach the server; a warning says so once.
+ * Share links never need the secret, as /deck/<token> reads the deck directly.
+ * @param {Request} req - Incoming request
+ * @returns {boolean} - True if the request may list, read, change or share decks
+ */
+function isDeckOwner(req) {
+  const secret = process.env.DECKS_OWNER_SECRET;
+  if (!secret) {
+    if (!warnedWithoutSecret) {
+      warnedWithoutSecret = true;
+      console.warn("DECKS_OWNER_SECRET is not set: anyone who can reach this server can list, change and share saved decks");
+    }
+    return true;
+  }
+
+  const match = (req.headers.get("authorization") || "").match(/^Bearer\s+(.+)$/i);
+  // Hashing first gives both sides the same length, which timingSafeEqual needs
+  const digest = (value) => createHash("sha256").update(value).digest();
+  return Boolean(match) && timingSafeEqual(digest(match[1].trim()), digest(secret));
+}
+
+/**
+ * Replaces the configured deck store, e.g. with one backed by SQLite or another database
+ * @param {Object} store - An object with async list(), get(id), create(input), update(id, input), delete(id),
+ *   listShares(id), getShare(token), createShare(id, { expiresAt }) and deleteShare(token)
+ */
+function setDeckStore(store) {
+  configuredStore = store;
+}
+
+module.exports = {
+  isDeckId,
+  isShareToken,
+  readShareExpiry,
+  isShareExpired,
+  readDeckInput,
+  toDeckSummary,
+  createFileDeckStore,
+  getDeckStore,
+  getSharedDeck,
+  isDeckOwner,
+  setDeckStore,
+};
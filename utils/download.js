@@ -0,0 +1,27 @@
+/**
+ * Triggers a browser download for generated file content
+ * @param {string|Blob} content - File content, or a Blob that already has a type
+ * @param {string} fileName - Name of the downloaded file
+ * @param {string} mimeType - MIME type used when content is a string
+ * @returns {string} - The file name that was written
+ */
+function downloadFile(content, fileName, mimeType = "text/plain") {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Give the browser a moment to start the download before releasing the object URL
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+  return fileName;
+}
+
+module.exports = {
+  downloadFile,
+};
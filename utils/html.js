@@ -0,0 +1,303 @@
+const { downloadFile } = require("./download");
+const { getSlideImages, getSlideLayout, splitBullets, collectDeckTags } = require("./deck");
+const { resolveTheme, getBulletMarker, getFontFaceCss, getThemeCssVariables, escapeStyleText } = require("./theme");
+
+// Mirrors the slide styling of components/SlideView.js and app/globals.css so the export looks like the viewer.
+// Slide colors and fonts come from the theme's CSS variables, which buildThemeCss puts in front of these rules.
+const BASE_CSS = `
+* { box-sizing: border-box; }
+body {
+  margin: 0;
+  min-height: 100vh;
+  font-family: Inter, ui-sans-serif, system-ui, -apple-system, "Segoe UI", Roboto, sans-serif;
+  color: #000;
+  background: linear-gradient(to bottom, #dbeafe, #fff);
+}
+.deck { max-width: 64rem; margin: 0 auto; padding: 2rem; }
+.deck-card { background: #fff; border-radius: 0.5rem; box-shadow: 0 10px 15px -3px rgba(0, 0, 0, 0.1); overflow: hidden; }
+.deck-nav { display: flex; justify-content: space-between; align-items: center; background: #f3f4f6; padding: 1rem; }
+.deck-nav button {
+  padding: 0.5rem 1rem; border: 0; border-radius: 0.25rem; background: #2563eb; color: #fff;
+  font: inherit; cursor: pointer;
+}
+.deck-nav button:disabled { background: #9ca3af; cursor: default; }
+.deck-counter { font-weight: 500; }
+.slide { display: none; padding: 2rem; }
+.slide.active { display: block; }
+.slide-container {
+  position: relative; padding: 1.5rem; border-radius: 0.75rem;
+  background: var(--slide-background); color: var(--slide-text); font-family: var(--slide-font-body);
+  box-shadow: 0 10px 15px -3px rgba(0, 0, 0, 0.1); transition: all 0.3s ease-in-out;
+}
+.slide-container h2 {
+  font-size: 1.875rem; font-weight: 700; margin: 0 0 1.5rem; text-align: center;
+  color: var(--slide-title); font-family: var(--slide-font-heading);
+}
+.slide-logo { position: absolute; top: 1rem; right: 1rem; height: 2.5rem; max-width: 8rem; object-fit: contain; }
+.slide-logo ~ h2 { padding: 0 9rem; }
+.slide-body { display: flex; flex-direction: column; gap: 2rem; }
+.slide-container:hover { box-shadow: 0 10px 25px rgba(0, 0, 0, 0.08); }
+.slide-image { display: flex; align-items: center; justify-content: center; }
+.slide-image img { max-width: 100%; max-height: 400px; height: auto; object-fit: contain; border-radius: 0.5rem; box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.1); }
+.slide-content p { margin: 0 0 1rem; line-height: 1.75; }
+.slide-content .bullet { display: flex; align-items: flex-start; margin-bottom: 1rem; }
+.slide-content .bullet span { color: var(--slide-accent); margin-right: 0.5rem; line-height: 1.75; }
+.slide-content .bullet p { margin: 0; }
+.slide-content .subtitle { font-size: 1.125rem; font-style: italic; color: var(--slide-muted); }
+.key-terms { display: flex; flex-wrap: wrap; gap: 0.5rem; }
+.key-terms span { padding: 0.125rem 0.75rem; border-radius: 9999px; background: var(--slide-term-background); color: var(--slide-term-text); font-size: 0.875rem; }
+.slide.active .slide-content > * { opacity: 0; animation: slideInRight 0.4s ease-out forwards; }
+.slide-notes { margin-top: 2rem; padding: 1rem; background: #f9fafb; border-radius: 0.5rem; font-size: 0.875rem; color: #374151; }
+.slide-notes summary { cursor: pointer; font-size: 1.125rem; font-weight: 500; color: #000; }
+@media (min-width: 768px) {
+  .slide-body { flex-direction: row; }
+  .slide-image { width: 40%; }
+  .slide-image + .slide-content { width: 60%; }
+  .layout-image-right .slide-body { flex-direction: row-reverse; }
+  .slide-image-grid { width: 60%; }
+  .slide-image-grid + .slide-content { width: 40%; }
+  .bullet-columns { display: grid; grid-template-columns: 1fr 1fr; column-gap: 2rem; }
+}
+.slide-image-grid { display: grid; gap: 0.75rem; align-items: center; }
+.slide-image-grid.several { grid-template-columns: 1fr 1fr; }
+.slide-image-grid img { max-width: 100%; max-height: 400px; margin: 0 auto; display: block; border-radius: 0.5rem; }
+.slide-image-grid.several img { max-height: 200px; }
+.layout-image-only .slide-image img { max-height: 520px; }
+.full-bleed { position: relative; margin: -1.5rem; min-height: 420px; display: flex; align-items: flex-end; overflow: hidden; border-radius: 0.75rem; }
+.full-bleed > img { position: absolute; inset: 0; width: 100%; height: 100%; object-fit: cover; }
+.full-bleed-caption { position: relative; width: 100%; padding: 2rem; color: #fff; background: linear-gradient(to top, rgba(0, 0, 0, 0.75), transparent); }
+.slide-container .full-bleed-caption h2 { margin: 0; text-align: left; font-size: 2.25rem; color: #fff; }
+.full-bleed-caption p { margin: 0.5rem 0 0; font-size: 1.125rem; font-style: italic; }
+@keyframes slideInRight {
+  from { transform: translateX(20px); opacity: 0; }
+  to { transform: translateX(0); opacity: 1; }
+}
+`;
+
+// Keyboard and button navigation; the current slide is kept in the URL hash so links can point at a slide
+const NAVIGATION_SCRIPT = `
+(function () {
+  var slides = document.querySelectorAll('.slide');
+  var prev = document.getElementById('prev');
+  var next = document.getElementById('next');
+  var counter = document.getElementById('counter');
+  var current = 0;
+
+  function show(index) {
+    current = Math.max(0, Math.min(slides.length - 1, index));
+    for (var i = 0; i < slides.length; i++) {
+      slides[i].classList.toggle('active', i === current);
+    }
+    counter.textContent = 'Slide ' + (current + 1) + ' of ' + slides.length;
+    prev.disabled = current === 0;
+    next.disabled = current === slides.length - 1;
+    history.replaceState(null, '', '#' + (current + 1));
+  }
+
+  prev.addEventListener('click', function () { show(current - 1); });
+  next.addEventListener('click', function () { show(current + 1); });
+
+  document.addEventListener('keydown', function (e) {
+    if (e.target.closest && e.target.closest('summary')) return;
+    switch (e.key) {
+      case 'ArrowRight':
+      case 'ArrowDown':
+      case 'PageDown':
+      case ' ':
+        e.preventDefault();
+        show(current + 1);
+        break;
+      case 'ArrowLeft':
+      case 'ArrowUp':
+      case 'PageUp':
+        e.preventDefault();
+        show(current - 1);
+        break;
+      case 'Home':
+        show(0);
+        break;
+      case 'End':
+        show(slides.length - 1);
+        break;
+    }
+  });
+
+  show((parseInt(location.hash.slice(1), 10) || 1) - 1);
+})();
+`;
+
+/**
+ * Builds the stylesheet for a theme: its font, its CSS variables and the base rules
+ * @param {Object} theme - Resolved theme from utils/theme.js
+ * @returns {string} - CSS, safe to place in a <style> element
+ */
+function buildThemeCss(theme) {
+  const variables = Object.entries(getThemeCssVariables(theme))
+    .map(([name, value]) => `${name}: ${value};`)
+    .join(" ");
+  return escapeStyleText(`${getFontFaceCss(theme)}\n:root { ${variables} }\n${BASE_CSS}`);
+}
+
+/**
+ * Escapes text for safe inclusion in HTML
+ * @param {string} text - Raw text
+ * @returns {string} - HTML-escaped text
+ */
+function escapeHtml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Renders a slide's subtitle, bullets and key terms, in the same order as the viewer
+ * @param {Object} slide - Slide with subtitle, bullets and keyTerms
+ * @param {Object} theme - Resolved theme, for the bullet markers
+ * @param {string} layout - Slide layout; two-column splits the bullets into two columns
+ * @returns {string} - HTML for the content column
+ */
+function renderContent(slide, theme, layout) {
+  const blocks = [];
+  const delay = () => `style="animation-delay: ${blocks.length * 150}ms"`;
+  const renderBullet = (bullet, i, attributes = "") =>
+    `<div class="bullet"${attributes}><span>${escapeHtml(getBulletMarker(theme, i))}</span><p>${escapeHtml(bullet)}</p></div>`;
+
+  if (slide.subtitle) {
+    blocks.push(`<p class="subtitle" ${delay()}>${escapeHtml(slide.subtitle)}</p>`);
+  }
+  if (layout === "two-column" && slide.bullets?.length) {
+    const [left, right] = splitBullets(slide.bullets);
+    blocks.push(`<div class="bullet-columns" ${delay()}><div>${left.map(renderBullet).join("")}</div><div>${right.map((bullet, i) => renderBullet(bullet, left.length + i)).join("")}</div></div>`);
+  } else {
+    (slide.bullets || []).forEach((bullet, i) => {
+      blocks.push(renderBullet(bullet, i, ` ${delay()}`));
+    });
+  }
+  if (slide.keyTerms?.length) {
+    const terms = slide.keyTerms.map(term => `<span>${escapeHtml(term)}</span>`).join("");
+    blocks.push(`<div class="key-terms" ${delay()}>${terms}</div>`);
+  }
+
+  return blocks.join("\n");
+}
+
+/**
+ * Renders the part of a slide below the logo, arranged by its layout like components/SlideView.js
+ * @param {Object} slide - Slide with title, subtitle, bullets and keyTerms
+ * @param {Array<string>} images - The slide's images as base64 data URLs
+ * @param {Object} theme - Resolved theme
+ * @param {string} layout - Layout from getSlideLayout
+ * @returns {string} - HTML for the slide body
+ */
+function renderLayout(slide, images, theme, layout) {
+  const title = escapeHtml(slide.title || "Untitled Slide");
+  const imageTag = (image) => `<img src="${escapeHtml(image)}" alt="${title}">`;
+  const content = `<div class="slide-content">\n${renderContent(slide, theme, layout)}\n</div>`;
+
+  switch (layout) {
+    case "full-bleed": {
+      const subtitle = slide.subtitle ? `<p>${escapeHtml(slide.subtitle)}</p>` : "";
+      return `<div class="full-bleed">${imageTag(images[0])}<div class="full-bleed-caption"><h2>${title}</h2>${subtitle}</div></div>`;
+    }
+    case "image-only":
+      return `<div class="slide-image">${imageTag(images[0])}</div>`;
+    case "text-only":
+    case "two-column":
+      return `<h2>${title}</h2>\n${content}`;
+    case "grid":
+      return `<h2>${title}</h2>
+<div class="slide-body">
+<div class="slide-image-grid${images.length > 1 ? " several" : ""}">${images.map(imageTag).join("")}</div>
+${content}
+</div>`;
+    default:
+      return `<h2>${title}</h2>
+<div class="slide-body">
+<div class="slide-image">${imageTag(images[0])}</div>
+${content}
+</div>`;
+  }
+}
+
+/**
+ * Renders one slide section
+ * @param {Object} slide - Slide with title, subtitle, bullets, keyTerms, layout, notes and fullExplanation
+ * @param {Array<string>} images - The slide's images as base64 data URLs
+ * @param {Object} theme - Resolved theme
+ * @returns {string} - HTML for the slide
+ */
+function renderSlide(slide, images, theme) {
+  const layout = getSlideLayout(slide, images.length);
+  const notesHtml = [
+    slide.notes && `<details class="slide-notes"><summary>Speaker Notes</summary><p>${escapeHtml(slide.notes)}</p></details>`,
+    slide.fullExplanation && `<details class="slide-notes"><summary>Full Explanation</summary><p>${escapeHtml(slide.fullExplanation)}</p></details>`,
+  ].filter(Boolean).join("\n");
+
+  const logoHtml = theme.logo ? `<img class="slide-logo" src="${escapeHtml(theme.logo)}" alt="">\n` : "";
+  const tagsAttribute = slide.tags?.length ? ` data-tags="${escapeHtml(slide.tags.join(", "))}"` : "";
+
+  return `<section class="slide layout-${layout}"${tagsAttribute}>
+<div class="slide-container">
+${logoHtml}${renderLayout(slide, images, theme, layout)}
+</div>
+${notesHtml}
+</section>`;
+}
+
+/**
+ * Builds a self-contained HTML presentation with embedded images, styles and navigation
+ * @param {Array<Object>} slides - Slides returned by /api/slides
+ * @param {Array<string>} images - Base64 data URLs, matched to slides by their imageIndex
+ * @param {Object} theme - Resolved theme from utils/theme.js; the default theme if left out
+ * @returns {string} - The complete HTML document
+ */
+function buildDeckHtml(slides, images = [], theme = resolveTheme(null)) {
+  const title = escapeHtml(slides[0]?.title || "Image Slide Deck");
+  const tags = collectDeckTags(slides);
+  const keywordsMeta = tags.length > 0 ? `\n<meta name="keywords" content="${escapeHtml(tags.join(", "))}">` : "";
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">${keywordsMeta}
+<title>${title}</title>
+<style>${buildThemeCss(theme)}</style>
+</head>
+<body>
+<main class="deck">
+<div class="deck-card">
+<nav class="deck-nav">
+<button id="prev" type="button">Previous</button>
+<span id="counter" class="deck-counter"></span>
+<button id="next" type="button">Next</button>
+</nav>
+${slides.map(slide => renderSlide(slide, getSlideImages(slide, images), theme)).join("\n")}
+</div>
+</main>
+<script>${NAVIGATION_SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Builds the HTML presentation and downloads it
+ * @param {Array<Object>} slides - Slides returned by /api/slides
+ * @param {Array<string>} images - Base64 data URLs, matched to slides by their imageIndex
+ * @param {Object} options - Export options
+ * @param {Object} options.theme - Resolved theme from utils/theme.js
+ * @param {string} options.fileName - Name of the downloaded file
+ * @returns {Promise<string>} - The file name that was written
+ */
+async function exportDeckToHtml(slides, images = [], { theme, fileName = "slide-deck.html" } = {}) {
+  return downloadFile(buildDeckHtml(slides, images, theme), fileName, "text/html");
+}
+
+module.exports = {
+  buildDeckHtml,
+  exportDeckToHtml,
+};
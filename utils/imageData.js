@@ -0,0 +1,125 @@
+/**
+ * Extracts the base64 data from a data URL
+ * The MIME type is sniffed from the data's magic bytes when the format is recognized, since uploads and
+ * fetched images often claim the wrong type; otherwise it is the type the data URL declares, if any.
+ * @param {string} dataUrl - The data URL, or bare base64 data
+ * @returns {Object} - The extracted base64 data and MIME type (null if unknown)
+ */
+function extractBase64FromDataUrl(dataUrl) {
+  if (!dataUrl) return { data: null, mimeType: null };
+  
+  // Handle if it's already just base64 data without a data URL prefix
+  if (!dataUrl.includes(';base64,')) {
+    return { data: dataUrl, mimeType: sniffBase64MimeType(dataUrl) };
+  }
+  
+  const matches = dataUrl.match(/^data:([^;]+);base64,(.+)$/);
+  if (!matches || matches.length !== 3) {
+    throw new Error('Invalid data URL format');
+  }
+  
+  return {
+    mimeType: sniffBase64MimeType(matches[2]) || matches[1],
+    data: matches[2]
+  };
+}
+
+/**
+ * Identifies the image format of base64 data from its first bytes, without decoding the rest
+ * @param {string} data - Base64 data without the data URL prefix
+ * @returns {string|null} - The MIME type, or null if the format is not recognized
+ */
+function sniffBase64MimeType(data) {
+  try {
+    // 64 characters decode to the first 48 bytes, enough for every signature sniffMimeType checks
+    return sniffMimeType(decodeBase64(data.replace(/\s/g, '').slice(0, 64)));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Decodes base64 image data into bytes
+ * @param {string} data - Base64 data without the data URL prefix
+ * @returns {Uint8Array} - The decoded bytes
+ */
+function decodeBase64(data) {
+  const binary = atob(data.replace(/\s/g, ''));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Identifies the image format from its magic bytes
+ * @param {Uint8Array} bytes - Image bytes
+ * @returns {string|null} - The MIME type, or null if the format is not recognized
+ */
+function sniffMimeType(bytes) {
+  const startsWith = (signature, offset = 0) =>
+    signature.every((byte, i) => bytes[offset + i] === byte);
+
+  if (startsWith([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'image/png';
+  if (startsWith([0xff, 0xd8, 0xff])) return 'image/jpeg';
+  if (startsWith([0x47, 0x49, 0x46, 0x38])) return 'image/gif';
+  if (startsWith([0x52, 0x49, 0x46, 0x46]) && startsWith([0x57, 0x45, 0x42, 0x50], 8)) return 'image/webp';
+  if (startsWith([0x42, 0x4d])) return 'image/bmp';
+  if (startsWith([0x49, 0x49, 0x2a, 0x00]) || startsWith([0x4d, 0x4d, 0x00, 0x2a])) return 'image/tiff';
+
+  // HEIF containers (HEIC phone photos, AVIF) start with an "ftyp" box naming the brand
+  if (startsWith([0x66, 0x74, 0x79, 0x70], 4)) {
+    const brand = String.fromCharCode(...bytes.slice(8, 12));
+    if (['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'hevm', 'hevs'].includes(brand)) return 'image/heic';
+    if (['avif', 'avis'].includes(brand)) return 'image/avif';
+    if (['mif1', 'msf1'].includes(brand)) return 'image/heif';
+  }
+  return null;
+}
+
+/**
+ * Reads the pixel dimensions from an image header
+ * @param {Uint8Array} bytes - Image bytes
+ * @returns {{width: number, height: number}|null} - The dimensions, or null if they cannot be read
+ */
+function readImageDimensions(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  try {
+    switch (sniffMimeType(bytes)) {
+      case 'image/png':
+        return { width: view.getUint32(16), height: view.getUint32(20) };
+      case 'image/gif':
+        return { width: view.getUint16(6, true), height: view.getUint16(8, true) };
+      case 'image/bmp':
+        return { width: view.getInt32(18, true), height: Math.abs(view.getInt32(22, true)) };
+      case 'image/jpeg': {
+        // Walk the segments until a start-of-frame marker, which holds the dimensions
+        let offset = 2;
+        while (offset + 9 < bytes.length) {
+          if (bytes[offset] !== 0xff) return null;
+          const marker = bytes[offset + 1];
+          const isStartOfFrame = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+          if (isStartOfFrame) {
+            return { width: view.getUint16(offset + 7), height: view.getUint16(offset + 5) };
+          }
+          offset += 2 + view.getUint16(offset + 2);
+        }
+        return null;
+      }
+      default:
+        return null;
+    }
+  } catch (error) {
+    // Truncated headers fall through to "unknown"
+    return null;
+  }
+}
+
+module.exports = {
+  extractBase64FromDataUrl,
+  decodeBase64,
+  sniffMimeType,
+  readImageDimensions,
+};
@@ -0,0 +1,284 @@
+const sharp = require("sharp");
+const { extractBase64FromDataUrl, sniffMimeType } = require("./imageData");
+const { parseLimit } = require("./concurrency");
+
+// Formats sharp can write, for images a provider already accepts but that need resizing or rotating
+const SHARP_OUTPUT = { "image/jpeg": "jpeg", "image/png": "png", "image/webp": "webp", "image/gif": "gif" };
+
+const JPEG_QUALITY = 85;
+// Each attempt to fit an image under a provider's byte limit shrinks it by this much
+const SHRINK_FACTOR = 0.75;
+const MAX_SHRINK_ATTEMPTS = 6;
+// Largest image decoded, in pixels: 40 MP is a large phone photo, and up to 160 MB of RGBA pixels in memory
+const MAX_DECODED_PIXELS = 40 * 1000 * 1000;
+
+/**
+ * Reads the size limits a provider wants its images in.
+ * PROVIDER_MAX_IMAGE_DIMENSION_<ID> (e.g. PROVIDER_MAX_IMAGE_DIMENSION_LOCAL=768) overrides the provider's own maxDimension.
+ * @param {Object} provider - A registered provider
+ * @returns {{maxDimension: number, maxBytes: number, formats: Array<string>}|null} - Limits, or null if the
+ *   provider takes images as uploaded
+ */
+function getProviderImageLimits(provider) {
+  if (!provider.imageLimits) return null;
+  const configured = process.env[`PROVIDER_MAX_IMAGE_DIMENSION_${provider.id.toUpperCase()}`];
+  return {
+    ...provider.imageLimits,
+    maxDimension: parseLimit(configured, provider.imageLimits.maxDimension),
+  };
+}
+
+/**
+ * Scales a channel read through a BMP bit mask to 0-255
+ * @param {number} value - The pixel value
+ * @param {number} mask - The channel's bit mask
+ * @returns {number} - The channel value
+ */
+function readMaskedChannel(value, mask) {
+  if (!mask) return 0;
+  let shift = 0;
+  while (((mask >>> shift) & 1) === 0) shift++;
+  const max = mask >>> shift;
+  return Math.round((((value & mask) >>> shift) * 255) / max);
+}
+
+/**
+ * Decodes an uncompressed BMP, which sharp cannot read, into raw pixels
+ * @param {Buffer} bytes - BMP file bytes
+ * @returns {{width: number, height: number, channels: number, pixels: Buffer}} - Dimensions and RGB pixels, or
+ *   RGBA when the BMP has an alpha mask, top row first
+ * @throws {Error} - If the BMP is compressed, truncated or uses an unsupported header
+ */
+function decodeBmp(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const dataOffset = view.getUint32(10, true);
+  const headerSize = view.getUint32(14, true);
+  if (headerSize < 40) {
+    throw new Error("Unsupported BMP header");
+  }
+
+  const width = view.getInt32(18, true);
+  const storedHeight = view.getInt32(22, true);
+  const height = Math.abs(storedHeight);
+  const bitsPerPixel = view.getUint16(28, true);
+  const compression = view.getUint32(30, true);
+  if (compression !== 0 && compression !== 3) {
+    throw new Error("Compressed BMP images are not supported");
+  }
+  if (![1, 4, 8, 16, 24, 32].includes(bitsPerPixel)) {
+    throw new Error(`Unsupported BMP color depth: ${bitsPerPixel} bits`);
+  }
+  if (width <= 0 || height === 0 || width * height > MAX_DECODED_PIXELS) {
+    throw new Error("Unsupported BMP dimensions");
+  }
+
+  // Rows are padded to 4 bytes and stored bottom-up unless the height is negative
+  const rowSize = Math.floor((bitsPerPixel * width + 31) / 32) * 4;
+  if (dataOffset + rowSize * height > bytes.length) {
+    throw new Error("Truncated BMP image");
+  }
+
+  let masks = null;
+  if (compression === 3) {
+    masks = [54, 58, 62].map(offset => view.getUint32(offset, true));
+    masks.push(headerSize >= 56 ? view.getUint32(66, true) : 0);
+  } else if (bitsPerPixel === 16) {
+    masks = [0x7c00, 0x03e0, 0x001f, 0];
+  } else if (bitsPerPixel === 32) {
+    masks = [0xff0000, 0xff00, 0xff, 0];
+  }
+
+  const palette = [];
+  if (bitsPerPixel <= 8) {
+    const start = 14 + headerSize;
+    const count = view.getUint32(46, true) || 1 << bitsPerPixel;
+    for (let i = 0; i < count; i++) {
+      palette.push([bytes[start + i * 4 + 2], bytes[start + i * 4 + 1], bytes[start + i * 4]]);
+    }
+  }
+
+  const channels = masks?.[3] ? 4 : 3;
+  const pixels = Buffer.alloc(width * height * channels);
+  for (let y = 0; y < height; y++) {
+    const row = dataOffset + (storedHeight > 0 ? height - 1 - y : y) * rowSize;
+    for (let x = 0; x < width; x++) {
+      let color;
+      if (bitsPerPixel <= 8) {
+        const bit = x * bitsPerPixel;
+        const index = (bytes[row + (bit >> 3)] >> (8 - bitsPerPixel - (bit & 7))) & ((1 << bitsPerPixel) - 1);
+        color = palette[index] || [0, 0, 0];
+      } else if (bitsPerPixel === 24) {
+        const offset = row + x * 3;
+        color = [bytes[offset + 2], bytes[offset + 1], bytes[offset]];
+      } else {
+        const value = bitsPerPixel === 16 ? view.getUint16(row + x * 2, true) : view.getUint32(row + x * 4, true);
+        color = [
+          readMaskedChannel(value, masks[0]),
+          readMaskedChannel(value, masks[1]),
+          readMaskedChannel(value, masks[2]),
+          ...(channels === 4 ? [readMaskedChannel(value, masks[3])] : []),
+        ];
+      }
+      pixels.set(color, (y * width + x) * channels);
+    }
+  }
+
+  return { width, height, channels, pixels };
+}
+
+/**
+ * Decodes the first image of a HEIC file, checking its size before any pixels are decoded
+ * @param {Buffer} bytes - HEIC file bytes
+ * @returns {Promise<{width: number, height: number, data: Uint8ClampedArray}>} - Dimensions and RGBA pixels
+ * @throws {Error} - If the image is larger than MAX_DECODED_PIXELS or cannot be decoded
+ */
+async function decodeHeic(bytes) {
+  // sharp's prebuilt libvips only decodes AVIF; HEVC-coded phone photos go through libheif compiled to JS,
+  // loaded on first use as it is large
+  const images = await require("heic-decode").all({ buffer: bytes });
+  try {
+    const [{ width, height, decode }] = images;
+    if (width * height > MAX_DECODED_PIXELS) {
+      throw new Error("Unsupported HEIC dimensions");
+    }
+    return await decode();
+  } finally {
+    images.dispose();
+  }
+}
+
+/**
+ * Opens image bytes with sharp, decoding the formats it cannot read first
+ * @param {Buffer} bytes - Image bytes
+ * @param {string} mimeType - Sniffed MIME type
+ * @returns {Promise<Object>} - A sharp instance
+ */
+async function openImage(bytes, mimeType) {
+  const options = { limitInputPixels: MAX_DECODED_PIXELS };
+  if (mimeType === "image/bmp") {
+    const { width, height, channels, pixels } = decodeBmp(bytes);
+    return sharp(pixels, { ...options, raw: { width, height, channels } });
+  }
+  if (mimeType === "image/heic" || mimeType === "image/heif") {
+    // libheif applies the photo's rotation itself and always returns an alpha channel, which photos do not use
+    const { width, height, data } = await decodeHeic(bytes);
+    const pixels = await sharp(Buffer.from(data.buffer, data.byteOffset, data.byteLength), { ...options, raw: { width, height, channels: 4 } })
+      .removeAlpha()
+      .raw()
+      .toBuffer();
+    return sharp(pixels, { ...options, raw: { width, height, channels: 3 } });
+  }
+  return sharp(bytes, options);
+}
+
+/**
+ * Encodes a rotated and resized copy of an image
+ * @param {Object} image - sharp instance of the source image
+ * @param {string} mimeType - Output MIME type
+ * @param {number} maxDimension - Longest side of the output, in pixels
+ * @returns {Promise<{data: Buffer, info: Object}>} - The encoded bytes and their dimensions
+ */
+function encodeImage(image, mimeType, maxDimension) {
+  // rotate() with no angle applies the EXIF orientation and drops the tag
+  let pipeline = image.clone().rotate().resize({
+    width: maxDimension,
+    height: maxDimension,
+    fit: "inside",
+    withoutEnlargement: true,
+  });
+
+  if (mimeType === "image/jpeg") {
+    pipeline = pipeline.flatten({ background: "#ffffff" }).jpeg({ quality: JPEG_QUALITY, mozjpeg: true });
+  } else {
+    pipeline = pipeline[SHARP_OUTPUT[mimeType]]();
+  }
+  return pipeline.toBuffer({ resolveWithObject: true });
+}
+
+/**
+ * Prepares an image for a provider: applies its EXIF orientation, scales it down to the provider's maximum
+ * dimension and byte size, and re-encodes formats the provider cannot read (HEIC, TIFF, BMP, AVIF, ...) as
+ * PNG when it has transparency and JPEG otherwise. Images that already suit the provider are left untouched.
+ * @param {string} dataUrl - Base64 data URL of the image
+ * @param {Object} limits - Provider image limits
+ * @param {number} limits.maxDimension - Longest side the provider should get, in pixels
+ * @param {number} limits.maxBytes - Largest encoded image the provider accepts
+ * @param {Array<string>} limits.formats - MIME types the provider reads; must include image/jpeg
+ * @returns {Promise<{dataUrl: string, mimeType: string, width: number, height: number, changed: boolean}>} - The prepared image
+ * @throws {Error} - If the image cannot be read or made small enough
+ */
+async function normalizeImage(dataUrl, { maxDimension = Infinity, maxBytes = Infinity, formats = [] } = {}) {
+  const { data } = extractBase64FromDataUrl(dataUrl);
+  if (!data) {
+    throw new Error("Invalid image data");
+  }
+
+  const bytes = Buffer.from(data, "base64");
+  const sourceType = sniffMimeType(bytes);
+  if (!sourceType) {
+    throw new Error("Could not recognize the image format");
+  }
+
+  const image = await openImage(bytes, sourceType);
+  const { width, height, orientation = 1, hasAlpha } = await image.metadata();
+
+  if (formats.includes(sourceType) && orientation === 1 && Math.max(width, height) <= maxDimension && bytes.length <= maxBytes) {
+    return { dataUrl: `data:${sourceType};base64,${data}`, mimeType: sourceType, width, height, changed: false };
+  }
+
+  let mimeType = formats.includes(sourceType) && SHARP_OUTPUT[sourceType]
+    ? sourceType
+    : (hasAlpha && formats.includes("image/png") ? "image/png" : "image/jpeg");
+  let dimension = Math.min(maxDimension, Math.max(width, height));
+
+  for (let attempt = 0; attempt <= MAX_SHRINK_ATTEMPTS; attempt++) {
+    const { data: output, info } = await encodeImage(image, mimeType, dimension);
+    if (output.length <= maxBytes) {
+      return {
+        dataUrl: `data:${mimeType};base64,${output.toString("base64")}`,
+        mimeType,
+        width: info.width,
+        height: info.height,
+        changed: true,
+      };
+    }
+    // Still too large: JPEG is the most compact format every provider takes, then shrink it further
+    mimeType = "image/jpeg";
+    dimension = Math.floor(Math.min(dimension, Math.max(info.width, info.height)) * SHRINK_FACTOR);
+  }
+
+  throw new Error(`Could not fit the image within ${maxBytes} bytes`);
+}
+
+/**
+ * Creates a function that prepares one image for whichever providers a request ends up calling.
+ * Each provider's copy is made once and shared by all of its stages; providers without `imageLimits` get
+ * the image as it was sent.
+ * @param {string} dataUrl - Base64 data URL of the image
+ * @returns {Function} - Takes a provider and returns a promise for the data URL to send it
+ */
+function createImagePreparer(dataUrl) {
+  const prepared = new Map();
+
+  return (provider) => {
+    const limits = getProviderImageLimits(provider);
+    if (!limits) return Promise.resolve(dataUrl);
+
+    if (!prepared.has(provider.id)) {
+      prepared.set(provider.id, normalizeImage(dataUrl, limits).then(result => {
+        if (result.changed) {
+          console.log(`Prepared image for ${provider.id}: ${result.width}x${result.height} ${result.mimeType}`);
+        }
+        return result.dataUrl;
+      }));
+    }
+    return prepared.get(provider.id);
+  };
+}
+
+module.exports = {
+  getProviderImageLimits,
+  decodeBmp,
+  normalizeImage,
+  createImagePreparer,
+};
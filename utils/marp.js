@@ -0,0 +1,260 @@
+const { markdownToSlide, slideToMarkdown } = require("./slideContent");
+const { downloadFile } = require("./download");
+const { NARRATIVE_KINDS, DEFAULT_LAYOUT, SLIDE_LAYOUTS, getSlideImages, getSlideLayout, collectDeckTags } = require("./deck");
+const { BULLET_STYLES, escapeStyleText, getFontFaceCss, getFontStack } = require("./theme");
+
+// Marp treats HTML comments made of these keys as directives rather than presenter notes
+const MARP_DIRECTIVES = [
+  "theme", "style", "headingDivider", "size", "marp", "lang", "title", "description", "keywords",
+  "paginate", "header", "footer", "class", "color", "backgroundColor", "backgroundImage",
+  "backgroundPosition", "backgroundRepeat", "backgroundSize",
+];
+
+// Slide fields written as their own `<!-- field: ... -->` comment; any other comment is the full explanation
+const NOTE_FIELDS = ["kind", "transition", "notes"];
+const SLIDE_KINDS = [...NARRATIVE_KINDS, "custom"];
+
+// Slide layouts are written as a `layout-<id>` class on the slide, styled by these rules
+const LAYOUT_STYLES = {
+  "full-bleed": "section.layout-full-bleed { justify-content: flex-end; color: #fff; } section.layout-full-bleed h1, section.layout-full-bleed h2 { color: #fff; }",
+  "image-only": "section.layout-image-only > * { display: none; }",
+  "two-column": "section.layout-two-column ul, section.layout-two-column ol { columns: 2; column-gap: 48px; }",
+};
+
+// Background image syntax for each layout; grid slides give their first image the split and the rest a plain `bg`
+const LAYOUT_BACKGROUNDS = {
+  "image-left": "bg left:40% contain",
+  "image-right": "bg right:40% contain",
+  "full-bleed": "bg brightness:0.6",
+  "image-only": "bg contain",
+  "grid": "bg left:60% contain",
+};
+
+/**
+ * Escapes text so it can sit inside an HTML comment without closing it early
+ * @param {string} text - Raw notes text
+ * @returns {string} - Text safe to wrap in <!-- -->
+ */
+function escapeNotes(text) {
+  return text.replace(/-->/g, "-- >");
+}
+
+/**
+ * Reverses escapeNotes
+ * @param {string} text - Notes text read from an HTML comment
+ * @returns {string} - The original notes text
+ */
+function unescapeNotes(text) {
+  return text.replace(/-- >/g, "-->");
+}
+
+/**
+ * Escapes lines of dashes, which Marp would read as the end of the slide, by adding a backslash in front
+ * @param {string} text - Slide text or notes
+ * @returns {string} - Text without a line that separates slides
+ */
+function escapeSeparators(text) {
+  return text.replace(/^(\\*)(-{3,}[ \t]*)$/gm, "\\$1$2");
+}
+
+/**
+ * Reverses escapeSeparators
+ * @param {string} text - Text read from a Marp file
+ * @returns {string} - The original text
+ */
+function unescapeSeparators(text) {
+  return text.replace(/^\\(\\*-{3,}[ \t]*)$/gm, "$1");
+}
+
+/**
+ * Quotes a value for the YAML front-matter
+ * @param {string} value - Raw value
+ * @returns {string} - Double-quoted YAML string
+ */
+function yamlString(value) {
+  return JSON.stringify(String(value));
+}
+
+/**
+ * Builds the CSS for Marp's `style` directive from a theme: colors, fonts, bullet markers and the brand logo
+ * @param {Object} theme - Resolved theme from utils/theme.js
+ * @returns {string} - CSS, safe for Marp to place in a <style> element
+ */
+function buildMarpStyle(theme) {
+  const { colors } = theme;
+  const marker = BULLET_STYLES[theme.bulletStyle]?.marker;
+  const rules = [
+    getFontFaceCss(theme),
+    `section { background: linear-gradient(to right, ${colors.background}, ${colors.backgroundEnd}); color: ${colors.text}; font-family: ${getFontStack(theme, "body")}; }`,
+    `h1 { color: ${colors.title}; font-family: ${getFontStack(theme, "heading")}; }`,
+    `h2 { color: ${colors.muted}; }`,
+    `li::marker { color: ${colors.accent}; content: ${marker ? JSON.stringify(`${marker} `) : 'counter(list-item) ". "'}; }`,
+  ];
+  if (theme.logo) {
+    rules.push(`section::before { content: ""; position: absolute; top: 24px; right: 32px; width: 160px; height: 56px; background: url(${JSON.stringify(theme.logo)}) right top / contain no-repeat; }`);
+  }
+
+  return escapeStyleText(rules.filter(Boolean).join("\n"));
+}
+
+/**
+ * Converts a deck into Marp-compatible markdown
+ * Each slide becomes "# Title", background images placed by its layout, the subtitle, bullets and key terms,
+ * then HTML comments, which Marp shows as presenter notes: one per field for the slide's kind, transition and
+ * speaker notes (`<!-- notes: ... -->`), and a plain one for the full explanation. Lines of dashes in the text
+ * are escaped so they do not split the slide. Layouts other than the default are marked with a `_class` directive. A theme is written, with the CSS for
+ * the layouts in use, as a `style` directive in the front-matter, along with the images' tags as `keywords`;
+ * importing the file again ignores both.
+ * @param {Array<Object>} slides - Slides returned by /api/slides
+ * @param {Array<string>} images - Base64 data URLs, matched to slides by their imageIndex
+ * @param {Object} theme - Resolved theme from utils/theme.js, or null for Marp's default look
+ * @returns {string} - The markdown document
+ */
+function deckToMarp(slides, images = [], theme = null) {
+  const layouts = new Set();
+
+  const sections = slides.map(slide => {
+    const [heading, ...body] = slideToMarkdown(slide).split("\n");
+    const slideImages = getSlideImages(slide, images);
+    const layout = getSlideLayout(slide, slideImages.length);
+    const parts = [];
+
+    if (layout !== DEFAULT_LAYOUT) {
+      layouts.add(layout);
+      parts.push(`<!-- _class: layout-${layout} -->`);
+    }
+    parts.push(heading);
+
+    const background = LAYOUT_BACKGROUNDS[layout];
+    if (background) {
+      const shown = layout === "grid" ? slideImages : slideImages.slice(0, 1);
+      parts.push(shown.map((image, i) => `![${i === 0 ? background : "bg contain"}](${image})`).join("\n"));
+    }
+    if (body.join("\n").trim()) {
+      parts.push(escapeSeparators(body.join("\n").trim()));
+    }
+    for (const field of NOTE_FIELDS) {
+      const text = (slide[field] || "").trim();
+      if (text) parts.push(`<!-- ${field}: ${escapeSeparators(escapeNotes(text))} -->`);
+    }
+    const explanation = (slide.fullExplanation || "").trim();
+    if (explanation) {
+      parts.push(`<!--\n${escapeSeparators(escapeNotes(explanation))}\n-->`);
+    }
+
+    return parts.join("\n\n");
+  });
+
+  const style = [
+    ...(theme ? [buildMarpStyle(theme)] : []),
+    ...[...layouts].map(layout => LAYOUT_STYLES[layout]).filter(Boolean),
+  ].join("\n");
+  const tags = collectDeckTags(slides);
+  const frontMatter = [
+    "---",
+    "marp: true",
+    `title: ${yamlString(slides[0]?.title || "Image Slide Deck")}`,
+    ...(tags.length > 0 ? [`keywords: ${yamlString(tags.join(", "))}`] : []),
+    "paginate: true",
+    ...(style ? [`style: ${yamlString(style)}`] : []),
+    "---",
+  ].join("\n");
+
+  return `${frontMatter}\n\n${sections.join("\n\n---\n\n")}\n`;
+}
+
+/**
+ * Checks whether an HTML comment is a Marp directive such as <!-- paginate: false -->
+ * @param {string} comment - Comment body
+ * @returns {boolean} - True if every line sets a known directive
+ */
+function isDirectiveComment(comment) {
+  const lines = comment.split("\n").map(line => line.trim()).filter(Boolean);
+  return lines.length > 0 && lines.every(line => {
+    const match = line.match(/^_?(\w+)\s*:/);
+    return match && MARP_DIRECTIVES.includes(match[1]);
+  });
+}
+
+/**
+ * Parses Marp/markdown back into the deck structure used by the app
+ * @param {string} markdown - Markdown document, as written by deckToMarp or edited by hand
+ * @returns {{slides: Array<Object>, images: Array<string|null>}} - Slides and their images, matched by imageIndex
+ */
+function marpToDeck(markdown) {
+  const body = markdown
+    .replace(/\r\n/g, "\n")
+    .replace(/^---\n[\s\S]*?\n---\n/, "");
+
+  const slides = [];
+  const images = [];
+
+  body.split(/^---[ \t]*$/m).forEach(section => {
+    if (!section.trim()) return;
+
+    const notes = [];
+    const fields = {};
+    const sectionImages = [];
+    let layout = null;
+
+    let text = section.replace(/<!--([\s\S]*?)-->/g, (_, comment) => {
+      if (!isDirectiveComment(comment)) {
+        const field = comment.trim().match(/^(\w+):[ \t]*([\s\S]*)$/);
+        if (field && NOTE_FIELDS.includes(field[1])) {
+          fields[field[1]] = unescapeNotes(unescapeSeparators(field[2].trim()));
+        } else {
+          notes.push(unescapeNotes(unescapeSeparators(comment.trim())));
+        }
+        return "";
+      }
+      const match = comment.match(/^\s*_?class\s*:\s*layout-([\w-]+)\s*$/m);
+      if (match && SLIDE_LAYOUTS.some(item => item.id === match[1])) layout = match[1];
+      return "";
+    });
+
+    // The first image becomes the slide image; grid slides keep the others too, other layouts drop them
+    text = text.replace(/^[ \t]*!\[[^\]]*\]\(([^)\s]+)[^)]*\)[ \t]*$/gm, (_, url) => {
+      sectionImages.push(url);
+      return "";
+    });
+    const kept = layout === "grid" ? sectionImages : sectionImages.slice(0, 1);
+
+    // Collapse the blank lines left behind by removed images and comments
+    text = unescapeSeparators(text.replace(/\n{3,}/g, "\n\n").trim());
+
+    slides.push({
+      ...(SLIDE_KINDS.includes(fields.kind) ? { kind: fields.kind } : {}),
+      ...markdownToSlide(text),
+      ...(fields.notes ? { notes: fields.notes } : {}),
+      ...(fields.transition ? { transition: fields.transition } : {}),
+      imageIndex: images.length,
+      ...(kept.length > 1 ? { imageIndexes: kept.map((_, i) => images.length + i) } : {}),
+      ...(layout ? { layout } : {}),
+      fullExplanation: notes.join("\n\n"),
+      originalMessage: "",
+      originalCaption: "",
+    });
+    images.push(...(kept.length > 0 ? kept : [null]));
+  });
+
+  return { slides, images };
+}
+
+/**
+ * Converts a deck to Marp markdown and downloads it
+ * @param {Array<Object>} slides - Slides returned by /api/slides
+ * @param {Array<string>} images - Base64 data URLs, matched to slides by their imageIndex
+ * @param {Object} options - Export options
+ * @param {Object} options.theme - Resolved theme from utils/theme.js
+ * @param {string} options.fileName - Name of the downloaded file
+ * @returns {Promise<string>} - The file name that was written
+ */
+async function exportDeckToMarp(slides, images = [], { theme = null, fileName = "slide-deck.md" } = {}) {
+  return downloadFile(deckToMarp(slides, images, theme), fileName, "text/markdown");
+}
+
+module.exports = {
+  deckToMarp,
+  marpToDeck,
+  exportDeckToMarp,
+};
@@ -0,0 +1,466 @@
+const { jsPDF } = require("jspdf");
+const { getSpeakerNotes } = require("./slideContent");
+const { getSlideImages, getSlideLayout, splitBullets, collectDeckTags } = require("./deck");
+const { extractBase64FromDataUrl } = require("./imageData");
+const { FONT_FAMILIES, hexToRgb, resolveTheme, getBulletMarker } = require("./theme");
+
+// Page sizes in points
+const SLIDE_PAGE = { width: 960, height: 540 };
+const HANDOUT_PAGE = { width: 595.28, height: 841.89 };
+const HANDOUT_MARGIN = 36;
+const HANDOUT_SLIDES_PER_PAGE = 3;
+
+// A gradient background is drawn as this many strips, since jsPDF has no simple gradient fill
+const BACKGROUND_STEPS = 48;
+
+/**
+ * Checks whether base64 font data is a TrueType font, the only kind jsPDF can embed
+ * @param {string} data - Base64 font data
+ * @returns {boolean} - True for TrueType fonts
+ */
+function isTrueTypeFont(data) {
+  return data.startsWith("AAEAAA") || data.startsWith("dHJ1ZQ");
+}
+
+/**
+ * Chooses the fonts for a theme, embedding the brand kit font when it is TrueType
+ * @param {jsPDF} doc - The PDF document
+ * @param {Object} theme - Resolved theme
+ * @returns {{heading: string, body: string}} - jsPDF font names
+ */
+function registerThemeFonts(doc, theme) {
+  const font = theme.fonts.custom;
+  if (font?.data) {
+    try {
+      const { data } = extractBase64FromDataUrl(font.data);
+      if (isTrueTypeFont(data)) {
+        const file = `${font.name}.ttf`;
+        doc.addFileToVFS(file, data);
+        doc.addFont(file, font.name, "normal");
+        doc.addFont(file, font.name, "bold");
+        return { heading: font.name, body: font.name };
+      }
+    } catch (error) {
+      console.error("Error embedding the brand font in the PDF:", error);
+    }
+  }
+
+  return {
+    heading: FONT_FAMILIES[theme.fonts.heading]?.pdf || FONT_FAMILIES.sans.pdf,
+    body: FONT_FAMILIES[theme.fonts.body]?.pdf || FONT_FAMILIES.sans.pdf,
+  };
+}
+
+/**
+ * Fills a frame with the theme background, as a left-to-right gradient when it has two colors
+ * @param {jsPDF} doc - The PDF document
+ * @param {Object} theme - Resolved theme
+ * @param {{x: number, y: number, w: number, h: number}} frame - Area to fill
+ */
+function drawBackground(doc, theme, frame) {
+  const from = hexToRgb(theme.colors.background);
+  const to = hexToRgb(theme.colors.backgroundEnd);
+  const steps = theme.colors.background === theme.colors.backgroundEnd ? 1 : BACKGROUND_STEPS;
+  const stripWidth = frame.w / steps;
+
+  for (let i = 0; i < steps; i++) {
+    const amount = steps === 1 ? 0 : i / (steps - 1);
+    doc.setFillColor(...from.map((channel, c) => Math.round(channel + (to[c] - channel) * amount)));
+    // Strips overlap slightly so no seams show between them
+    doc.rect(frame.x + i * stripWidth, frame.y, Math.min(stripWidth + 0.5, frame.w - i * stripWidth), frame.h, "F");
+  }
+}
+
+/**
+ * Draws wrapped lines of text, shrinking the font until the block fits the available height
+ * @param {jsPDF} doc - The PDF document
+ * @param {Array<{type: string, text: string, marker: string}>} lines - Lines tagged as "bullet" or "paragraph";
+ *   bullets are drawn after their marker, "•" unless they set one
+ * @param {{x: number, y: number, w: number, h: number}} box - Area available for the text
+ * @param {number} fontSize - Preferred font size
+ * @param {Array<number>} markerColor - RGB color for bullet markers; the current text color if left out
+ */
+function drawContent(doc, lines, box, fontSize, markerColor) {
+  let size = fontSize;
+  let layout = [];
+  const textColor = doc.getTextColor();
+
+  // Shrink the font until everything fits, down to 60% of the preferred size
+  while (true) {
+    doc.setFontSize(size);
+    const markerWidth = Math.max(0, ...lines.map(line => line.type === 'bullet' ? doc.getTextWidth(line.marker || "•") : 0));
+    const indent = Math.max(size * 1.2, markerWidth + size * 0.5);
+    const lineHeight = size * 1.3;
+    let height = 0;
+
+    layout = lines.map(line => {
+      const isBullet = line.type === 'bullet';
+      const wrapped = doc.splitTextToSize(line.text, box.w - (isBullet ? indent : 0));
+      const blockHeight = wrapped.length * lineHeight + size * 0.5;
+      height += blockHeight;
+      return { isBullet, marker: line.marker || "•", wrapped, blockHeight, indent, lineHeight };
+    });
+
+    if (height <= box.h || size <= fontSize * 0.6) break;
+    size *= 0.9;
+  }
+
+  let y = box.y + size;
+  for (const block of layout) {
+    if (y > box.y + box.h) break;
+    if (block.isBullet) {
+      if (markerColor) doc.setTextColor(...markerColor);
+      doc.text(block.marker, box.x, y);
+      doc.setTextColor(textColor);
+    }
+    doc.text(block.wrapped, box.x + (block.isBullet ? block.indent : 0), y, { lineHeightFactor: 1.3 });
+    y += block.blockHeight;
+  }
+}
+
+/**
+ * Lists bullets as lines for drawContent
+ * @param {Array<string>} bullets - Bullet texts
+ * @param {Object} theme - Resolved theme, for the bullet markers
+ * @param {number} offset - Position of the first bullet on the slide, for numbered bullets
+ * @returns {Array<{type: string, text: string, marker: string}>} - Bullet lines
+ */
+function getBulletLines(bullets, theme, offset = 0) {
+  return bullets.map((text, i) => ({ type: "bullet", text, marker: getBulletMarker(theme, offset + i) }));
+}
+
+/**
+ * Lists a slide's subtitle, bullets and key terms as lines for drawContent
+ * @param {Object} slide - Slide with subtitle, bullets and keyTerms
+ * @param {Object} theme - Resolved theme, for the bullet markers
+ * @returns {Array<{type: string, text: string, marker: string}>} - Lines tagged as "bullet" or "paragraph"
+ */
+function getSlideLines(slide, theme) {
+  return [
+    ...getSubtitleLines(slide),
+    ...getBulletLines(slide.bullets || [], theme),
+    ...getKeyTermLines(slide),
+  ];
+}
+
+/**
+ * Lists a slide's subtitle as a line for drawContent
+ * @param {Object} slide - Slide with an optional subtitle
+ * @returns {Array<{type: string, text: string}>} - The subtitle line, if the slide has one
+ */
+function getSubtitleLines(slide) {
+  return slide.subtitle ? [{ type: "paragraph", text: slide.subtitle }] : [];
+}
+
+/**
+ * Lists a slide's key terms as a line for drawContent
+ * @param {Object} slide - Slide with optional keyTerms
+ * @returns {Array<{type: string, text: string}>} - The key terms line, if the slide has any
+ */
+function getKeyTermLines(slide) {
+  return slide.keyTerms?.length ? [{ type: "paragraph", text: `Key terms: ${slide.keyTerms.join(", ")}` }] : [];
+}
+
+/**
+ * Draws an image scaled to fit inside a box, centered in it
+ * @param {jsPDF} doc - The PDF document
+ * @param {string} image - Base64 data URL of the image
+ * @param {{x: number, y: number, w: number, h: number}} box - Area available for the image
+ * @returns {boolean} - False if the image could not be added
+ */
+function drawImage(doc, image, box) {
+  try {
+    const props = doc.getImageProperties(image);
+    const scale = Math.min(box.w / props.width, box.h / props.height);
+    const w = props.width * scale;
+    const h = props.height * scale;
+    doc.addImage(image, props.fileType, box.x + (box.w - w) / 2, box.y + (box.h - h) / 2, w, h);
+    return true;
+  } catch (error) {
+    console.error("Error adding image to PDF:", error);
+    return false;
+  }
+}
+
+/**
+ * Draws an image scaled to cover a box completely, cropping what overflows it
+ * @param {jsPDF} doc - The PDF document
+ * @param {string} image - Base64 data URL of the image
+ * @param {{x: number, y: number, w: number, h: number}} box - Area to cover
+ */
+function drawCoverImage(doc, image, box) {
+  try {
+    const props = doc.getImageProperties(image);
+    const scale = Math.max(box.w / props.width, box.h / props.height);
+    const w = props.width * scale;
+    const h = props.height * scale;
+    doc.saveGraphicsState();
+    doc.rect(box.x, box.y, box.w, box.h, null);
+    doc.clip();
+    doc.discardPath();
+    doc.addImage(image, props.fileType, box.x + (box.w - w) / 2, box.y + (box.h - h) / 2, w, h);
+    doc.restoreGraphicsState();
+  } catch (error) {
+    console.error("Error adding image to PDF:", error);
+  }
+}
+
+/**
+ * Lays images out in a grid of up to two columns inside a box
+ * @param {jsPDF} doc - The PDF document
+ * @param {Array<string>} images - Base64 data URLs
+ * @param {{x: number, y: number, w: number, h: number}} box - Area available for the grid
+ * @param {number} gap - Space between images
+ */
+function drawImageGrid(doc, images, box, gap) {
+  const columns = images.length > 1 ? 2 : 1;
+  const rows = Math.ceil(images.length / columns);
+  const cellWidth = (box.w - gap * (columns - 1)) / columns;
+  const cellHeight = (box.h - gap * (rows - 1)) / rows;
+
+  images.forEach((image, i) => {
+    drawImage(doc, image, {
+      x: box.x + (i % columns) * (cellWidth + gap),
+      y: box.y + Math.floor(i / columns) * (cellHeight + gap),
+      w: cellWidth,
+      h: cellHeight,
+    });
+  });
+}
+
+/**
+ * Draws a single slide scaled into a frame, so the same layout serves full pages and handout thumbnails.
+ * The slide's layout (see SLIDE_LAYOUTS in utils/deck.js) decides where its images and text go.
+ * @param {jsPDF} doc - The PDF document
+ * @param {Object} slide - Slide with title, subtitle, bullets, keyTerms and layout
+ * @param {Array<string>} images - The slide's images as base64 data URLs
+ * @param {{x: number, y: number, w: number, h: number}} frame - Area of the page to draw into
+ * @param {Object} theme - Resolved theme
+ * @param {{heading: string, body: string}} fonts - Fonts from registerThemeFonts
+ */
+function drawSlide(doc, slide, images, frame, theme, fonts) {
+  const unit = frame.w / SLIDE_PAGE.width;
+  const padding = 32 * unit;
+  const gap = 24 * unit;
+  const layout = getSlideLayout(slide, images.length);
+  const title = slide.title || "Untitled Slide";
+
+  drawBackground(doc, theme, frame);
+
+  if (layout === "full-bleed") {
+    drawCoverImage(doc, images[0], frame);
+
+    // A dark band behind the title keeps it readable on any image
+    const bandHeight = frame.h * 0.35;
+    doc.saveGraphicsState();
+    doc.setGState(new doc.GState({ opacity: 0.6 }));
+    doc.setFillColor(0, 0, 0);
+    doc.rect(frame.x, frame.y + frame.h - bandHeight, frame.w, bandHeight, "F");
+    doc.restoreGraphicsState();
+
+    doc.setFont(fonts.heading, "bold");
+    doc.setFontSize(36 * unit);
+    doc.setTextColor(255, 255, 255);
+    const titleLines = doc.splitTextToSize(title, frame.w - padding * 2).slice(0, 2);
+    const subtitleY = frame.y + frame.h - padding - (slide.subtitle ? 24 * unit : 0);
+    doc.text(titleLines, frame.x + padding, subtitleY - (titleLines.length - 1) * 43 * unit, { lineHeightFactor: 1.2 });
+    if (slide.subtitle) {
+      doc.setFont(fonts.body, "normal");
+      doc.setFontSize(18 * unit);
+      doc.text(doc.splitTextToSize(slide.subtitle, frame.w - padding * 2)[0], frame.x + padding, subtitleY + 28 * unit);
+    }
+    drawLogo(doc, theme, frame, padding, unit);
+    return;
+  }
+
+  if (layout === "image-only") {
+    drawImage(doc, images[0], { x: frame.x + padding, y: frame.y + padding, w: frame.w - padding * 2, h: frame.h - padding * 2 });
+    drawLogo(doc, theme, frame, padding, unit);
+    return;
+  }
+
+  const titleInset = drawLogo(doc, theme, frame, padding, unit) ? 120 * unit : 0;
+
+  // Title
+  doc.setFont(fonts.heading, "bold");
+  doc.setFontSize(30 * unit);
+  doc.setTextColor(...hexToRgb(theme.colors.title));
+  const titleLines = doc.splitTextToSize(title, frame.w - padding * 2 - titleInset * 2).slice(0, 2);
+  doc.text(titleLines, frame.x + frame.w / 2, frame.y + padding + 30 * unit, { align: "center", lineHeightFactor: 1.2 });
+
+  const body = {
+    x: frame.x + padding,
+    y: frame.y + padding + 30 * unit + titleLines.length * 36 * unit + 12 * unit,
+    w: frame.w - padding * 2,
+  };
+  body.h = frame.y + frame.h - padding - body.y;
+
+  // Where the text goes once the images are placed
+  let textBox = body;
+  if (layout === "image-left" || layout === "image-right") {
+    const imageWidth = body.w * 0.4;
+    const imageX = layout === "image-left" ? body.x : body.x + body.w - imageWidth;
+    if (drawImage(doc, images[0], { x: imageX, y: body.y, w: imageWidth, h: body.h })) {
+      textBox = { ...body, x: layout === "image-left" ? body.x + imageWidth + gap : body.x, w: body.w - imageWidth - gap };
+    }
+  } else if (layout === "grid") {
+    const gridWidth = body.w * 0.6;
+    drawImageGrid(doc, images, { x: body.x, y: body.y, w: gridWidth, h: body.h }, 12 * unit);
+    textBox = { ...body, x: body.x + gridWidth + gap, w: body.w - gridWidth - gap };
+  }
+
+  doc.setFont(fonts.body, "normal");
+  doc.setTextColor(...hexToRgb(theme.colors.text));
+  const markerColor = hexToRgb(theme.colors.accent);
+
+  if (layout === "two-column") {
+    const [left, right] = splitBullets(slide.bullets || []);
+    const columnWidth = (body.w - gap) / 2;
+    drawContent(
+      doc,
+      [...getSubtitleLines(slide), ...getBulletLines(left, theme)],
+      { ...body, w: columnWidth },
+      18 * unit,
+      markerColor
+    );
+    drawContent(
+      doc,
+      [...getBulletLines(right, theme, left.length), ...getKeyTermLines(slide)],
+      { ...body, x: body.x + columnWidth + gap, w: columnWidth },
+      18 * unit,
+      markerColor
+    );
+    return;
+  }
+
+  drawContent(doc, getSlideLines(slide, theme), textBox, 18 * unit, markerColor);
+}
+
+/**
+ * Draws the brand logo in the top-right corner of a slide
+ * @param {jsPDF} doc - The PDF document
+ * @param {Object} theme - Resolved theme
+ * @param {{x: number, y: number, w: number, h: number}} frame - Area of the slide
+ * @param {number} padding - Slide padding
+ * @param {number} unit - Scale of the frame relative to a full page
+ * @returns {boolean} - True if a logo was drawn
+ */
+function drawLogo(doc, theme, frame, padding, unit) {
+  if (!theme.logo) return false;
+  try {
+    const props = doc.getImageProperties(theme.logo);
+    const scale = Math.min((120 * unit) / props.width, (40 * unit) / props.height);
+    const w = props.width * scale;
+    doc.addImage(theme.logo, props.fileType, frame.x + frame.w - padding / 2 - w, frame.y + padding / 2, w, props.height * scale);
+    return true;
+  } catch (error) {
+    console.error("Error adding the brand logo to PDF:", error);
+    return false;
+  }
+}
+
+/**
+ * Lays out one slide per landscape page
+ * @param {Array<Object>} slides - Slides to export
+ * @param {Array<string>} images - Base64 data URLs, matched to slides by their imageIndex
+ * @param {Object} theme - Resolved theme
+ * @returns {jsPDF} - The PDF document
+ */
+function buildSlidesPdf(slides, images, theme) {
+  const doc = new jsPDF({ orientation: "landscape", unit: "pt", format: [SLIDE_PAGE.width, SLIDE_PAGE.height] });
+  const fonts = registerThemeFonts(doc, theme);
+
+  slides.forEach((slide, i) => {
+    if (i > 0) doc.addPage();
+    drawSlide(doc, slide, getSlideImages(slide, images), { x: 0, y: 0, w: SLIDE_PAGE.width, h: SLIDE_PAGE.height }, theme, fonts);
+  });
+
+  return doc;
+}
+
+/**
+ * Lays out several slide thumbnails per portrait page, with the speaker notes and full explanation next to each
+ * @param {Array<Object>} slides - Slides to export
+ * @param {Array<string>} images - Base64 data URLs, matched to slides by their imageIndex
+ * @param {Object} theme - Resolved theme, for the slide thumbnails
+ * @returns {jsPDF} - The PDF document
+ */
+function buildHandoutPdf(slides, images, theme) {
+  const doc = new jsPDF({ orientation: "portrait", unit: "pt", format: "a4" });
+  const fonts = registerThemeFonts(doc, theme);
+  const contentWidth = HANDOUT_PAGE.width - HANDOUT_MARGIN * 2;
+  const rowHeight = (HANDOUT_PAGE.height - HANDOUT_MARGIN * 2) / HANDOUT_SLIDES_PER_PAGE;
+  const thumbWidth = contentWidth * 0.5;
+  const thumbHeight = thumbWidth * SLIDE_PAGE.height / SLIDE_PAGE.width;
+  const notesX = HANDOUT_MARGIN + thumbWidth + 16;
+  const notesWidth = HANDOUT_PAGE.width - HANDOUT_MARGIN - notesX;
+
+  slides.forEach((slide, i) => {
+    const position = i % HANDOUT_SLIDES_PER_PAGE;
+    if (i > 0 && position === 0) doc.addPage();
+
+    const rowY = HANDOUT_MARGIN + position * rowHeight;
+
+    doc.setDrawColor(209, 213, 219);
+    drawSlide(doc, slide, getSlideImages(slide, images), { x: HANDOUT_MARGIN, y: rowY, w: thumbWidth, h: thumbHeight }, theme, fonts);
+    doc.rect(HANDOUT_MARGIN, rowY, thumbWidth, thumbHeight, "S");
+
+    doc.setFont("helvetica", "normal");
+    doc.setFontSize(8);
+    doc.setTextColor(107, 114, 128);
+    doc.text(`Slide ${i + 1} of ${slides.length}`, HANDOUT_MARGIN, rowY + thumbHeight + 12);
+
+    doc.setFont("helvetica", "bold");
+    doc.setFontSize(10);
+    doc.setTextColor(17, 24, 39);
+    doc.text("Notes", notesX, rowY + 10);
+
+    doc.setFont("helvetica", "normal");
+    doc.setTextColor(55, 65, 81);
+    drawContent(
+      doc,
+      (getSpeakerNotes(slide) || "No explanation available").split("\n\n").map(text => ({ type: "paragraph", text })),
+      { x: notesX, y: rowY + 16, w: notesWidth, h: rowHeight - 36 },
+      9
+    );
+  });
+
+  return doc;
+}
+
+/**
+ * Builds a PDF from generated slides
+ * @param {Array<Object>} slides - Slides returned by /api/slides
+ * @param {Array<string>} images - Base64 data URLs, matched to slides by their imageIndex
+ * @param {Object} options - Build options
+ * @param {string} options.layout - "slides" for one slide per page, "handout" for thumbnails with notes
+ * @param {Object} options.theme - Resolved theme from utils/theme.js; the default theme if left out
+ * @returns {jsPDF} - The PDF document, not yet saved
+ */
+function buildDeckPdf(slides, images = [], { layout = "slides", theme = resolveTheme(null) } = {}) {
+  const doc = layout === "handout" ? buildHandoutPdf(slides, images, theme) : buildSlidesPdf(slides, images, theme);
+  doc.setProperties({ title: slides[0]?.title || "Image Slide Deck", keywords: collectDeckTags(slides).join(", ") });
+  return doc;
+}
+
+/**
+ * Builds a PDF from generated slides and downloads it
+ * @param {Array<Object>} slides - Slides returned by /api/slides
+ * @param {Array<string>} images - Base64 data URLs, matched to slides by their imageIndex
+ * @param {Object} options - Export options
+ * @param {string} options.layout - "slides" for one slide per page, "handout" for thumbnails with notes
+ * @param {Object} options.theme - Resolved theme from utils/theme.js; the default theme if left out
+ * @param {string} options.fileName - Name of the downloaded file
+ * @returns {Promise<string>} - The file name that was written
+ */
+async function exportDeckToPdf(slides, images = [], { layout = "slides", theme = resolveTheme(null), fileName } = {}) {
+  const name = fileName || (layout === "handout" ? "slide-deck-handout.pdf" : "slide-deck.pdf");
+  buildDeckPdf(slides, images, { layout, theme }).save(name);
+
+  return name;
+}
+
+module.exports = {
+  buildDeckPdf,
+  exportDeckToPdf,
+};
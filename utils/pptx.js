@@ -0,0 +1,334 @@
+const PptxGenJS = require("pptxgenjs");
+const { getSpeakerNotes } = require("./slideContent");
+const { getSlideImages, getSlideLayout, splitBullets, collectDeckTags } = require("./deck");
+const { FONT_FAMILIES, BULLET_STYLES, resolveTheme } = require("./theme");
+
+// 16:9 widescreen layout dimensions in inches
+const SLIDE_WIDTH = 13.333;
+const SLIDE_HEIGHT = 7.5;
+const MARGIN = 0.5;
+const TITLE_HEIGHT = 1.1;
+const IMAGE_AREA_WIDTH = 5.2;
+const GRID_AREA_WIDTH = 7.4;
+const GUTTER = 0.4;
+const LOGO_HEIGHT = 0.6;
+const LOGO_MAX_WIDTH = 1.8;
+
+/**
+ * Converts a theme color to the form pptxgenjs expects
+ * @param {string} hex - Hex color, e.g. "#3b82f6"
+ * @returns {string} - The color without "#", e.g. "3B82F6"
+ */
+function pptxColor(hex) {
+  return hex.slice(1).toUpperCase();
+}
+
+/**
+ * Returns the font PowerPoint should use for a theme's headings or body text.
+ * An uploaded brand font is referred to by name; it shows only where that font is installed.
+ * @param {Object} theme - Resolved theme
+ * @param {string} role - "heading" or "body"
+ * @returns {string} - Font face name
+ */
+function getFontFace(theme, role) {
+  return theme.fonts.custom?.name || FONT_FAMILIES[theme.fonts[role]]?.pptx || FONT_FAMILIES.sans.pptx;
+}
+
+/**
+ * Returns the pptxgenjs bullet option for a theme's bullet style
+ * @param {Object} theme - Resolved theme
+ * @param {number} offset - Position of the first bullet in the text box on the slide, for numbered bullets
+ * @returns {Object} - e.g. { characterCode: "2022" } or { type: "number", numberStartAt: 1 }
+ */
+function getBulletOption(theme, offset = 0) {
+  const marker = BULLET_STYLES[theme.bulletStyle]?.marker;
+  if (!marker) return { type: "number", numberStartAt: offset + 1 };
+  return { characterCode: marker.codePointAt(0).toString(16).toUpperCase().padStart(4, "0") };
+}
+
+/**
+ * Loads an image data URL to read its natural dimensions
+ * @param {string} dataUrl - The image data URL
+ * @returns {Promise<{width: number, height: number}>} - The natural image size in pixels
+ */
+function getImageSize(dataUrl) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve({ width: img.naturalWidth, height: img.naturalHeight });
+    img.onerror = () => reject(new Error("Could not load image for export"));
+    img.src = dataUrl;
+  });
+}
+
+/**
+ * Scales an image to fit inside a box while keeping its aspect ratio, centered in the box
+ * @param {{width: number, height: number}} size - The natural image size
+ * @param {{x: number, y: number, w: number, h: number}} box - The area available on the slide
+ * @returns {{x: number, y: number, w: number, h: number}} - The placement of the image
+ */
+function fitImage(size, box) {
+  const scale = Math.min(box.w / size.width, box.h / size.height);
+  const w = size.width * scale;
+  const h = size.height * scale;
+
+  return {
+    x: box.x + (box.w - w) / 2,
+    y: box.y + (box.h - h) / 2,
+    w,
+    h,
+  };
+}
+
+/**
+ * Converts a slide's subtitle, bullets and key terms into pptxgenjs text runs
+ * @param {Object} slide - Slide with subtitle, bullets and keyTerms
+ * @param {Object} theme - Resolved theme
+ * @param {Object} parts - Which parts to include, so two-column slides can split them between two text boxes
+ * @param {boolean} parts.subtitle - Include the subtitle
+ * @param {Array<string>} parts.bullets - Bullets to include (all of them by default)
+ * @param {number} parts.offset - Position of the first of those bullets on the slide
+ * @param {boolean} parts.keyTerms - Include the key terms
+ * @returns {Array<Object>} - Text runs for slide.addText
+ */
+function buildTextRuns(slide, theme, { subtitle = true, bullets = slide.bullets || [], offset = 0, keyTerms = true } = {}) {
+  const runs = [];
+  const bullet = getBulletOption(theme, offset);
+
+  if (subtitle && slide.subtitle) {
+    runs.push({
+      text: slide.subtitle,
+      options: { italic: true, color: pptxColor(theme.colors.muted), breakLine: true, paraSpaceAfter: 12 },
+    });
+  }
+
+  for (const text of bullets) {
+    runs.push({ text, options: { bullet, breakLine: true, paraSpaceAfter: 8 } });
+  }
+
+  if (keyTerms && slide.keyTerms?.length) {
+    runs.push({
+      text: `Key terms: ${slide.keyTerms.join(", ")}`,
+      options: { fontSize: 12, color: pptxColor(theme.colors.muted), breakLine: true, paraSpaceBefore: 8 },
+    });
+  }
+
+  return runs;
+}
+
+/**
+ * Adds an image scaled to fit inside a box, centered in it
+ * @param {Object} slide - pptxgenjs slide
+ * @param {string} image - Base64 data URL of the image
+ * @param {{x: number, y: number, w: number, h: number}} box - Area available for the image
+ * @returns {Promise<boolean>} - False if the image could not be loaded
+ */
+async function addFittedImage(slide, image, box) {
+  try {
+    slide.addImage({ data: image, ...fitImage(await getImageSize(image), box) });
+    return true;
+  } catch (error) {
+    console.error("Error adding image to slide:", error);
+    return false;
+  }
+}
+
+/**
+ * Adds text runs in a box with the theme's body font, shrinking the text if it overflows
+ * @param {Object} slide - pptxgenjs slide
+ * @param {Array<Object>} runs - Text runs from buildTextRuns
+ * @param {{x: number, y: number, w: number, h: number}} box - Area for the text
+ * @param {Object} theme - Resolved theme
+ */
+function addBodyText(slide, runs, box, theme) {
+  if (runs.length === 0) return;
+  slide.addText(runs, {
+    ...box,
+    fontSize: 16,
+    fontFace: getFontFace(theme, "body"),
+    color: pptxColor(theme.colors.text),
+    valign: "top",
+    fit: "shrink",
+  });
+}
+
+/**
+ * Adds a full-bleed slide: the image covers the slide and the title sits on a dark band at the bottom
+ * @param {Object} pptx - The presentation
+ * @param {Object} slide - pptxgenjs slide
+ * @param {Object} slideData - Slide with title and subtitle
+ * @param {string} image - Base64 data URL of the image
+ * @param {Object} theme - Resolved theme
+ */
+async function addFullBleedSlide(pptx, slide, slideData, image, theme) {
+  try {
+    const size = await getImageSize(image);
+    slide.addImage({
+      data: image,
+      x: 0,
+      y: 0,
+      w: size.width / 96,
+      h: size.height / 96,
+      sizing: { type: "cover", w: SLIDE_WIDTH, h: SLIDE_HEIGHT },
+    });
+  } catch (error) {
+    console.error("Error adding image to slide:", error);
+  }
+
+  const bandHeight = SLIDE_HEIGHT * 0.35;
+  slide.addShape(pptx.ShapeType.rect, {
+    x: 0,
+    y: SLIDE_HEIGHT - bandHeight,
+    w: SLIDE_WIDTH,
+    h: bandHeight,
+    fill: { color: "000000", transparency: 40 },
+    line: { type: "none" },
+  });
+  slide.addText([
+    { text: slideData.title || "Untitled Slide", options: { fontSize: 36, bold: true, fontFace: getFontFace(theme, "heading"), breakLine: true } },
+    ...(slideData.subtitle ? [{ text: slideData.subtitle, options: { fontSize: 18, italic: true, fontFace: getFontFace(theme, "body") } }] : []),
+  ], {
+    x: MARGIN,
+    y: SLIDE_HEIGHT - bandHeight,
+    w: SLIDE_WIDTH - MARGIN * 2,
+    h: bandHeight - MARGIN / 2,
+    color: "FFFFFF",
+    valign: "bottom",
+    fit: "shrink",
+  });
+}
+
+/**
+ * Builds a PowerPoint presentation from generated slides
+ * @param {Array<Object>} slides - Slides returned by /api/slides
+ * @param {Array<string>} images - Base64 data URLs, matched to slides by their imageIndex
+ * @param {Object} theme - Resolved theme from utils/theme.js; the default theme if left out
+ * @returns {Promise<PptxGenJS>} - The presentation, not yet written
+ */
+async function buildDeckPptx(slides, images = [], theme = resolveTheme(null)) {
+  const pptx = new PptxGenJS();
+  pptx.layout = "LAYOUT_WIDE";
+  pptx.title = slides[0]?.title || "Image Slide Deck";
+  // pptxgenjs cannot write the keywords property, so the image tags go in the subject, which file search also reads
+  const tags = collectDeckTags(slides);
+  if (tags.length > 0) pptx.subject = `Keywords: ${tags.join(", ")}`;
+
+  // PowerPoint backgrounds are a single color, so a gradient theme uses its starting color
+  pptx.defineSlideMaster({
+    title: "THEME",
+    background: { color: pptxColor(theme.colors.background) },
+  });
+
+  let logo = null;
+  if (theme.logo) {
+    try {
+      const size = await getImageSize(theme.logo);
+      logo = {
+        data: theme.logo,
+        ...fitImage(size, { x: SLIDE_WIDTH - MARGIN - LOGO_MAX_WIDTH, y: MARGIN / 2, w: LOGO_MAX_WIDTH, h: LOGO_HEIGHT }),
+      };
+    } catch (error) {
+      console.error("Error adding the brand logo:", error);
+    }
+  }
+  const titleInset = logo ? LOGO_MAX_WIDTH : 0;
+
+  for (const slideData of slides) {
+    const slideImages = getSlideImages(slideData, images);
+    const layout = getSlideLayout(slideData, slideImages.length);
+    const slide = pptx.addSlide({ masterName: "THEME" });
+
+    const notes = getSpeakerNotes(slideData);
+    if (notes) {
+      slide.addNotes(notes);
+    }
+
+    if (layout === "full-bleed" || layout === "image-only") {
+      if (layout === "full-bleed") {
+        await addFullBleedSlide(pptx, slide, slideData, slideImages[0], theme);
+      } else {
+        await addFittedImage(slide, slideImages[0], { x: MARGIN, y: MARGIN, w: SLIDE_WIDTH - MARGIN * 2, h: SLIDE_HEIGHT - MARGIN * 2 });
+      }
+      if (logo) slide.addImage(logo);
+      continue;
+    }
+
+    if (logo) {
+      slide.addImage(logo);
+    }
+
+    slide.addText(slideData.title || "Untitled Slide", {
+      x: MARGIN + titleInset,
+      y: MARGIN / 2,
+      w: SLIDE_WIDTH - MARGIN * 2 - titleInset * 2,
+      h: TITLE_HEIGHT,
+      fontSize: 30,
+      fontFace: getFontFace(theme, "heading"),
+      color: pptxColor(theme.colors.title),
+      bold: true,
+      align: "center",
+      valign: "middle",
+    });
+
+    const body = { x: MARGIN, y: MARGIN / 2 + TITLE_HEIGHT + 0.2, w: SLIDE_WIDTH - MARGIN * 2 };
+    body.h = SLIDE_HEIGHT - body.y - MARGIN;
+
+    if (layout === "two-column") {
+      const [left, right] = splitBullets(slideData.bullets || []);
+      const columnWidth = (body.w - GUTTER) / 2;
+      addBodyText(slide, buildTextRuns(slideData, theme, { bullets: left, keyTerms: false }), { ...body, w: columnWidth }, theme);
+      addBodyText(
+        slide,
+        buildTextRuns(slideData, theme, { subtitle: false, bullets: right, offset: left.length }),
+        { ...body, x: body.x + columnWidth + GUTTER, w: columnWidth },
+        theme
+      );
+      continue;
+    }
+
+    // Where the text goes once the images are placed
+    let textBox = body;
+    if (layout === "image-left" || layout === "image-right") {
+      const imageX = layout === "image-left" ? body.x : body.x + body.w - IMAGE_AREA_WIDTH;
+      if (await addFittedImage(slide, slideImages[0], { ...body, x: imageX, w: IMAGE_AREA_WIDTH })) {
+        textBox = { ...body, x: layout === "image-left" ? body.x + IMAGE_AREA_WIDTH + GUTTER : body.x, w: body.w - IMAGE_AREA_WIDTH - GUTTER };
+      }
+    } else if (layout === "grid") {
+      const columns = slideImages.length > 1 ? 2 : 1;
+      const rows = Math.ceil(slideImages.length / columns);
+      const cellWidth = (GRID_AREA_WIDTH - 0.2 * (columns - 1)) / columns;
+      const cellHeight = (body.h - 0.2 * (rows - 1)) / rows;
+      for (let i = 0; i < slideImages.length; i++) {
+        await addFittedImage(slide, slideImages[i], {
+          x: body.x + (i % columns) * (cellWidth + 0.2),
+          y: body.y + Math.floor(i / columns) * (cellHeight + 0.2),
+          w: cellWidth,
+          h: cellHeight,
+        });
+      }
+      textBox = { ...body, x: body.x + GRID_AREA_WIDTH + GUTTER, w: body.w - GRID_AREA_WIDTH - GUTTER };
+    }
+
+    addBodyText(slide, buildTextRuns(slideData, theme), textBox, theme);
+  }
+
+  return pptx;
+}
+
+/**
+ * Builds a PowerPoint presentation from generated slides and downloads it
+ * @param {Array<Object>} slides - Slides returned by /api/slides
+ * @param {Array<string>} images - Base64 data URLs, matched to slides by their imageIndex
+ * @param {Object} options - Export options
+ * @param {Object} options.theme - Resolved theme from utils/theme.js; the default theme if left out
+ * @param {string} options.fileName - Name of the downloaded file
+ * @returns {Promise<string>} - The file name that was written
+ */
+async function exportDeckToPptx(slides, images = [], { theme = resolveTheme(null), fileName = "slide-deck.pptx" } = {}) {
+  const pptx = await buildDeckPptx(slides, images, theme);
+  return pptx.writeFile({ fileName });
+}
+
+module.exports = {
+  buildDeckPptx,
+  exportDeckToPptx,
+};
@@ -0,0 +1,39 @@
+// Keeps the presenter window and the window showing the deck to the audience on the same slide.
+// Both open a BroadcastChannel named after a session id, which the presenter window gets in its URL.
+// Messages:
+//   { type: "hello" }                                      the presenter window asking for the deck
+//   { type: "deck", title, slides, images, theme, index }  the deck, its resolved theme and the current slide,
+//                                                          sent on hello and after edits
+//   { type: "slide", index }                               the deck window moved to another slide
+//   { type: "goto", index }                                the presenter window asks to move to another slide
+
+const CHANNEL_PREFIX = "slide-deck-presenter-";
+
+/**
+ * Creates an id that pairs a deck window with its presenter window
+ * @returns {string} - A random session id
+ */
+function createPresenterSession() {
+  return Math.random().toString(36).slice(2, 10) + Date.now().toString(36);
+}
+
+/**
+ * Opens the channel for a presenter session
+ * @param {string} session - Session id shared by both windows
+ * @param {Function} onMessage - Called with each message the other window sends
+ * @returns {{post: Function, close: Function}} - Sends a message to the other window; closes the channel
+ */
+function openPresenterChannel(session, onMessage) {
+  const channel = new BroadcastChannel(`${CHANNEL_PREFIX}${session}`);
+  channel.onmessage = (event) => onMessage(event.data);
+
+  return {
+    post: (message) => channel.postMessage(message),
+    close: () => channel.close(),
+  };
+}
+
+module.exports = {
+  createPresenterSession,
+  openPresenterChannel,
+};
@@ -0,0 +1,275 @@
+const Anthropic = require('@anthropic-ai/sdk');
+const { extractBase64FromDataUrl } = require('../imageData');
+const {
+  EXPLAIN_PROMPT,
+  DESCRIBE_PROMPT,
+  TAG_PROMPT,
+  SLIDE_FIELDS,
+  buildRepairInstructions,
+  buildInstructionText,
+  NARRATIVE_SYSTEM_PROMPT,
+  buildNarrativePrompt,
+} = require('./prompts');
+const { SLIDE_SCHEMA } = require('./slideOutput');
+const { NARRATIVE_SCHEMA } = require('./narrative');
+
+const FAST_MODEL = "claude-3-haiku-20240307";
+const VISION_MODEL = "claude-3-opus-20240229";
+
+// Initialize Anthropic with API key
+const initAnthropic = () => {
+  const apiKey = process.env.ANTHROPIC_API_KEY;
+  if (!apiKey) {
+    throw new Error("Anthropic API key is not defined");
+  }
+  return new Anthropic({ apiKey });
+};
+
+/**
+ * Builds a Claude image content block from a data URL
+ * @param {string} base64Image - Base64 encoded image
+ * @returns {Object} - The image block
+ */
+function buildImageBlock(base64Image) {
+  // Extract data and MIME type from data URL
+  const { data, mimeType } = extractBase64FromDataUrl(base64Image);
+  
+  if (!data) {
+    throw new Error("Invalid image data");
+  }
+  
+  return {
+    type: "image",
+    source: {
+      type: "base64",
+      media_type: mimeType || "image/jpeg",
+      data: data
+    }
+  };
+}
+
+/**
+ * Quickly describes an image in one sentence (for generated messages and captions)
+ * @param {string} base64Image - Base64 encoded image
+ * @returns {Promise<string>} - Brief description of the image
+ * @throws {Error} - If the description fails
+ */
+async function quickDescribeWithClaude(base64Image) {
+  try {
+    const anthropic = initAnthropic();
+    
+    const response = await anthropic.messages.create({
+      model: FAST_MODEL,
+      max_tokens: 60,
+      messages: [
+        {
+          role: "user",
+          content: [
+            { type: "text", text: DESCRIBE_PROMPT },
+            buildImageBlock(base64Image)
+          ]
+        }
+      ],
+    });
+    
+    return response.content[0].text;
+  } catch (error) {
+    console.error("Error quickly describing image with Claude: ", error);
+    throw new Error("Error describing image with Claude: " + (error.message || "Unknown error"));
+  }
+}
+
+/**
+ * Lists descriptive tags for an image using Claude
+ * @param {string} base64Image - Base64 encoded image
+ * @returns {Promise<string>} - JSON array of tags, parsed by utils/providers/tags.js
+ * @throws {Error} - If tagging fails
+ */
+async function tagWithClaude(base64Image) {
+  try {
+    const anthropic = initAnthropic();
+
+    const response = await anthropic.messages.create({
+      model: FAST_MODEL,
+      max_tokens: 200,
+      messages: [
+        {
+          role: "user",
+          content: [
+            { type: "text", text: TAG_PROMPT },
+            buildImageBlock(base64Image)
+          ]
+        }
+      ],
+    });
+
+    return response.content[0].text;
+  } catch (error) {
+    console.error("Error tagging image with Claude: ", error);
+    throw new Error("Error tagging image with Claude: " + (error.message || "Unknown error"));
+  }
+}
+
+/**
+ * Analyzes an image using Anthropic's Claude model
+ * @param {string} base64Image - Base64 encoded image
+ * @returns {Promise<string>} - Detailed explanation of the image
+ * @throws {Error} - If the analysis fails
+ */
+async function analyzeImageWithClaude(base64Image) {
+  try {
+    // Initialize Anthropic client
+    const anthropic = initAnthropic();
+    
+    // Make request to Claude
+    const response = await anthropic.messages.create({
+      model: VISION_MODEL,
+      max_tokens: 1000,
+      messages: [
+        {
+          role: "user",
+          content: [
+            {
+              type: "text",
+              text: EXPLAIN_PROMPT
+            },
+            buildImageBlock(base64Image)
+          ]
+        }
+      ],
+    });
+    
+    // Return the response content
+    return response.content[0].text;
+  } catch (error) {
+    console.error("Error analyzing image with Claude: ", error);
+    throw new Error("Error analyzing image with Claude: " + (error.message || "Unknown error"));
+  }
+}
+
+/**
+ * Summarizes text into a slide using Claude, forcing a create_slide tool call so the reply follows SLIDE_SCHEMA
+ * @param {string} text - Text to summarize
+ * @param {string} message - Original message associated with the image
+ * @param {string} caption - Original caption associated with the image
+ * @param {Object} feedback - Why the previous answer was rejected, when retrying
+ * @param {string} instruction - Optional change the presenter asked for, e.g. "make it more technical"
+ * @returns {Promise<Object|string>} - The tool input (slide object), or the text reply if Claude answered without the tool
+ * @throws {Error} - If the summary fails
+ */
+async function summarizeWithClaude(text, message = "", caption = "", feedback = null, instruction = "") {
+  try {
+    // Initialize Anthropic client
+    const anthropic = initAnthropic();
+    
+    // Create prompt for summarization with integration instructions
+    const prompt = `Generate a slide from this explanation and pass it to the create_slide tool with these fields:
+${SLIDE_FIELDS}
+    
+    IMPORTANT: You must directly incorporate the original message and caption into the slide content itself.
+    Don't just append them or list them separately - integrate their meaning and context into both the title
+    and bullet points as appropriate.
+    
+    Original Message: ${message}
+    Original Caption: ${caption}
+    
+    Explanation:
+    ${text}${buildInstructionText(instruction)}${buildRepairInstructions(feedback)}`;
+    
+    // Make request to Claude
+    const response = await anthropic.messages.create({
+      model: FAST_MODEL,
+      max_tokens: 700,
+      tools: [
+        {
+          name: "create_slide",
+          description: "Creates a presentation slide",
+          input_schema: SLIDE_SCHEMA
+        }
+      ],
+      tool_choice: { type: "tool", name: "create_slide" },
+      messages: [
+        {
+          role: "user",
+          content: [
+            {
+              type: "text", 
+              text: prompt
+            }
+          ]
+        }
+      ],
+    });
+    
+    // Return the tool input, which the slide validator accepts as-is
+    const toolUse = response.content.find(block => block.type === "tool_use");
+    return toolUse ? toolUse.input : response.content.find(block => block.type === "text")?.text || "";
+  } catch (error) {
+    console.error("Error summarizing with Claude: ", error);
+    throw new Error("Error summarizing with Claude: " + (error.message || "Unknown error"));
+  }
+}
+
+/**
+ * Writes the deck-level narrative using Claude, forcing a create_narrative tool call so the reply follows NARRATIVE_SCHEMA
+ * @param {string} outline - Titles, points and explanation excerpts of the slides, in order
+ * @param {string} topic - Optional deck topic
+ * @param {number} slideCount - Number of slides in the outline
+ * @param {Object} feedback - Why the previous answer was rejected, when retrying
+ * @returns {Promise<Object|string>} - The tool input (narrative object), or the text reply if Claude answered without the tool
+ * @throws {Error} - If the request fails
+ */
+async function narrateWithClaude(outline, topic, slideCount, feedback = null) {
+  try {
+    const anthropic = initAnthropic();
+
+    const response = await anthropic.messages.create({
+      model: FAST_MODEL,
+      max_tokens: 1500,
+      system: NARRATIVE_SYSTEM_PROMPT,
+      tools: [
+        {
+          name: "create_narrative",
+          description: "Adds a title slide, agenda, transitions and conclusion to a presentation",
+          input_schema: NARRATIVE_SCHEMA
+        }
+      ],
+      tool_choice: { type: "tool", name: "create_narrative" },
+      messages: [
+        {
+          role: "user",
+          content: buildNarrativePrompt(outline, topic, slideCount, feedback)
+        }
+      ],
+    });
+
+    const toolUse = response.content.find(block => block.type === "tool_use");
+    return toolUse ? toolUse.input : response.content.find(block => block.type === "text")?.text || "";
+  } catch (error) {
+    console.error("Error writing narrative with Claude: ", error);
+    throw new Error("Error writing narrative with Claude: " + (error.message || "Unknown error"));
+  }
+}
+
+const anthropicProvider = {
+  id: "anthropic",
+  name: "Anthropic Claude",
+  concurrency: 2,
+  // Claude downscales anything longer than 1568 pixels, and rejects images over 5 MB once base64-encoded
+  imageLimits: { maxDimension: 1568, maxBytes: 3.75 * 1024 * 1024, formats: ["image/jpeg", "image/png", "image/webp", "image/gif"] },
+  models: { describe: FAST_MODEL, analyze: VISION_MODEL, summarize: FAST_MODEL, narrate: FAST_MODEL, tag: FAST_MODEL },
+  describe: quickDescribeWithClaude,
+  analyze: analyzeImageWithClaude,
+  summarize: summarizeWithClaude,
+  narrate: narrateWithClaude,
+  tag: tagWithClaude,
+};
+
+module.exports = {
+  anthropicProvider,
+  quickDescribeWithClaude,
+  analyzeImageWithClaude,
+  summarizeWithClaude,
+  narrateWithClaude,
+  tagWithClaude,
+};
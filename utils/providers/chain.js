@@ -0,0 +1,142 @@
+const { getProvider } = require("./index");
+const { withProviderLimit } = require("./limits");
+const { PROMPT_VERSION } = require("./prompts");
+const { getCache } = require("../cache");
+
+const STAGES = ["describe", "analyze", "summarize", "narrate", "tag"];
+
+/**
+ * Parses a comma-separated list of provider ids, as used in environment variables
+ * @param {string} value - e.g. "gemini, openai"
+ * @returns {Array<string>} - Provider ids
+ */
+function parseProviderList(value) {
+  return value.split(",").map(id => id.trim()).filter(Boolean);
+}
+
+/**
+ * Resolves the ordered list of providers to try for each stage.
+ * The selected model always goes first, followed by its fallbacks. Fallbacks come from, in order:
+ *   1. the request: an array for every stage, or { describe, analyze, summarize, narrate, tag } arrays per stage
+ *   2. the server: PROVIDER_FALLBACKS_<STAGE> or PROVIDER_FALLBACKS (comma-separated ids)
+ *   3. the provider's own `fallbacks`
+ * @param {string} model - The selected provider id
+ * @param {Array<string>|Object} requestedFallbacks - Fallbacks sent with the request, if any
+ * @returns {{describe: Array<string>, analyze: Array<string>, summarize: Array<string>, narrate: Array<string>, tag: Array<string>}} - Provider ids per stage
+ * @throws {Error} - If any provider id is not registered
+ */
+function resolveProviderChains(model, requestedFallbacks) {
+  const chains = {};
+
+  for (const stage of STAGES) {
+    const fromRequest = Array.isArray(requestedFallbacks) ? requestedFallbacks : requestedFallbacks?.[stage];
+    const fromServer = process.env[`PROVIDER_FALLBACKS_${stage.toUpperCase()}`] || process.env.PROVIDER_FALLBACKS;
+
+    let fallbacks = getProvider(model)?.fallbacks || [];
+    if (Array.isArray(fromRequest)) {
+      fallbacks = fromRequest;
+    } else if (fromServer) {
+      fallbacks = parseProviderList(fromServer);
+    }
+
+    const chain = [...new Set([model, ...fallbacks])];
+    const unknown = chain.filter(id => !getProvider(id));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown model: ${unknown.join(", ")}`);
+    }
+
+    chains[stage] = chain;
+  }
+
+  return chains;
+}
+
+/**
+ * Runs a stage with each provider in the chain until one succeeds, respecting each provider's concurrency limit
+ * @param {string} stage - Stage name, used in logs and failure records
+ * @param {Array<string>} chain - Provider ids in the order to try them
+ * @param {Function} call - Receives a provider and returns a promise of a non-empty result
+ * @param {Array<Object>} failures - Receives { stage, provider, error } for each provider that failed
+ * @returns {Promise<{result: *, provider: string}>} - The first successful result and the provider that produced it
+ * @throws {Error} - The last provider's error if every provider fails
+ */
+async function runProviderChain(stage, chain, call, failures = []) {
+  let lastError = new Error(`No providers configured for ${stage}`);
+
+  for (const id of chain) {
+    try {
+      const provider = getProvider(id);
+      const result = await withProviderLimit(provider, () => call(provider));
+      if (!result || (typeof result === "string" && !result.trim())) {
+        throw new Error(`${id} returned an empty ${stage} result`);
+      }
+      return { result, provider: id };
+    } catch (error) {
+      console.error(`Error in ${stage} with ${id}:`, error.message);
+      failures.push({ stage, provider: id, error: error.message });
+      lastError = error;
+    }
+  }
+
+  throw lastError;
+}
+
+/**
+ * Builds the cache key for one stage's result from one provider
+ * @param {string} stage - Stage name
+ * @param {Object} provider - The provider that produces the result
+ * @param {string} inputHash - Hash of everything the stage reads (the image, or the explanation and context)
+ * @returns {string} - The cache key
+ */
+function buildCacheKey(stage, provider, inputHash) {
+  return [stage, provider.id, provider.models?.[stage] || "default", `v${PROMPT_VERSION}`, inputHash].join(":");
+}
+
+/**
+ * Runs a stage like runProviderChain, reusing a cached result from any provider in the chain when there is one.
+ * Fresh results are always written back, so bypassing the cache also refreshes it.
+ * @param {string} stage - Stage name
+ * @param {Array<string>} chain - Provider ids in the order to try them
+ * @param {string} inputHash - Hash of everything the stage reads
+ * @param {Function} call - Receives a provider and returns a promise of a non-empty result
+ * @param {Array<Object>} failures - Receives { stage, provider, error } for each provider that failed
+ * @param {Object} options - { bypassCache } to skip cache lookups
+ * @returns {Promise<{result: *, provider: string, cached: boolean}>} - The result, its provider and whether it came from the cache
+ * @throws {Error} - The last provider's error if every provider fails
+ */
+async function runCachedProviderChain(stage, chain, inputHash, call, failures = [], { bypassCache = false } = {}) {
+  const cache = getCache();
+
+  if (cache && !bypassCache) {
+    for (const id of chain) {
+      try {
+        const cached = await cache.store.get(buildCacheKey(stage, getProvider(id), inputHash));
+        if (cached !== undefined) {
+          return { result: cached, provider: id, cached: true };
+        }
+      } catch (error) {
+        // A broken cache should only cost time, never the slide
+        console.error(`Error reading ${stage} cache:`, error.message);
+      }
+    }
+  }
+
+  const outcome = await runProviderChain(stage, chain, call, failures);
+
+  if (cache) {
+    try {
+      await cache.store.set(buildCacheKey(stage, getProvider(outcome.provider), inputHash), outcome.result, cache.ttlSeconds);
+    } catch (error) {
+      console.error(`Error writing ${stage} cache:`, error.message);
+    }
+  }
+
+  return { ...outcome, cached: false };
+}
+
+module.exports = {
+  STAGES,
+  resolveProviderChains,
+  runProviderChain,
+  runCachedProviderChain,
+};
@@ -1,4 +1,16 @@
 const { GoogleGenerativeAI } = require("@google/generative-ai");
+const { extractBase64FromDataUrl } = require("../imageData");
+const {
+  SLIDE_SYSTEM_PROMPT,
+  DESCRIBE_PROMPT,
+  buildSummaryPrompt,
+  NARRATIVE_SYSTEM_PROMPT,
+  buildNarrativePrompt,
+} = require("./prompts");
+const { SLIDE_SCHEMA } = require("./slideOutput");
+const { NARRATIVE_SCHEMA } = require("./narrative");
+
+const MODEL = "gemini-2.0-flash";
 
 // Initialize the Google Generative AI with API key
 const initGoogleAI = () => {
@@ -9,34 +21,11 @@ const initGoogleAI = () => {
   return new GoogleGenerativeAI(apiKey);
 };
 
-/**
- * Extracts the base64 data from a data URL
- * @param {string} dataUrl - The data URL
- * @returns {Object} - The extracted base64 data and MIME type
- */
-function extractBase64FromDataUrl(dataUrl) {
-  if (!dataUrl) return { data: null, mimeType: null };
-  
-  // Handle if it's already just base64 data without a data URL prefix
-  if (!dataUrl.includes(';base64,')) {
-    return { data: dataUrl, mimeType: 'image/jpeg' }; // Assume JPEG if no prefix
-  }
-  
-  const matches = dataUrl.match(/^data:([^;]+);base64,(.+)$/);
-  if (!matches || matches.length !== 3) {
-    throw new Error('Invalid data URL format');
-  }
-  
-  return {
-    mimeType: matches[1],
-    data: matches[2]
-  };
-}
-
 /**
  * Generates descriptive tags for an image using Gemini model
  * @param {string} base64Image - Base64 encoded image
  * @returns {Promise<Array<string>>} - Array of tags that describe the image
+ * @throws {Error} - If tagging fails
  */
 async function generateImageTags(base64Image) {
   try {
@@ -60,7 +49,7 @@ async function generateImageTags(base64Image) {
     
     // Get the Gemini 2.0 Flash model with system instruction
     const model = googleAI.getGenerativeModel({ 
-      model: "gemini-2.0-flash",
+      model: MODEL,
       systemInstruction: systemInstruction,
       generationConfig: {
         temperature: 0.2,
@@ -118,14 +107,15 @@ async function generateImageTags(base64Image) {
     }
   } catch (error) {
     console.error("Error generating image tags with Gemini:", error);
-    return ["Error: " + error.message];
+    throw new Error("Error generating image tags with Gemini: " + error.message);
   }
 }
 
 /**
- * Analyzes an image using Google's Gemini model
+ * Analyzes an image using Google's Gemini model, retrying transient network errors
  * @param {string} base64Image - Base64 encoded image
  * @returns {Promise<string>} - Detailed explanation of the image
+ * @throws {Error} - If the analysis fails after all retries
  */
 async function analyzeImageWithGemini(base64Image) {
   const MAX_RETRIES = 2;
@@ -138,7 +128,7 @@ async function analyzeImageWithGemini(base64Image) {
       
       // Get the Gemini 2.0 Flash model with system instruction
       const model = googleAI.getGenerativeModel({ 
-        model: "gemini-2.0-flash",
+        model: MODEL,
         systemInstruction: "You are an expert image analyst that provides detailed and accurate descriptions of images.",
         generationConfig: {
           temperature: 0.4,
@@ -196,15 +186,15 @@ async function analyzeImageWithGemini(base64Image) {
       
       // Provide more specific error message based on error type
       if (error.message.includes("API key")) {
-        return "Error analyzing image with Gemini: Invalid or missing API key. Please check your environment variables.";
+        throw new Error("Error analyzing image with Gemini: Invalid or missing API key. Please check your environment variables.");
       } else if (error.message.includes("permission") || error.message.includes("access")) {
-        return "Error analyzing image with Gemini: Permission denied. Your API key may not have access to this model.";
+        throw new Error("Error analyzing image with Gemini: Permission denied. Your API key may not have access to this model.");
       } else if (error.message.includes("quota") || error.message.includes("limit")) {
-        return "Error analyzing image with Gemini: API quota exceeded. Please try again later.";
+        throw new Error("Error analyzing image with Gemini: API quota exceeded. Please try again later.");
       } else if (error.message.includes("network") || error.message.includes("connect") || error.message.includes("fetch failed")) {
-        return "Error analyzing image with Gemini: Network error. Please check your internet connection or try a different AI model. Error details: " + error.message;
+        throw new Error("Error analyzing image with Gemini: Network error. Please check your internet connection or try a different AI model. Error details: " + error.message);
       } else {
-        return "Error analyzing image with Gemini: " + error.message;
+        throw new Error("Error analyzing image with Gemini: " + error.message);
       }
     }
   }
@@ -216,6 +206,7 @@ async function analyzeImageWithGemini(base64Image) {
  * Quickly analyzes an image to generate a brief description (for captions)
  * @param {string} base64Image - Base64 encoded image
  * @returns {Promise<string>} - Brief description of the image
+ * @throws {Error} - If the description fails
  */
 async function quickAnalyzeImageWithGemini(base64Image) {
   try {
@@ -224,7 +215,7 @@ async function quickAnalyzeImageWithGemini(base64Image) {
     
     // Get the Gemini 2.0 Flash model
     const model = googleAI.getGenerativeModel({ 
-      model: "gemini-2.0-flash",
+      model: MODEL,
       generationConfig: {
         temperature: 0.2,
         topP: 0.8,
@@ -249,7 +240,7 @@ async function quickAnalyzeImageWithGemini(base64Image) {
     
     // Create a prompt with text and image
     const result = await model.generateContent([
-      "Describe this image in a single brief sentence. Keep it under 15 words. No introduction or commentary, just a direct description.",
+      DESCRIBE_PROMPT,
       imagePart,
     ]);
     
@@ -260,65 +251,119 @@ async function quickAnalyzeImageWithGemini(base64Image) {
     return responseText;
   } catch (error) {
     console.error("Error quickly analyzing image with Gemini:", error);
-    return "interesting image";
+    throw new Error("Error describing image with Gemini: " + error.message);
   }
 }
 
 /**
- * Summarizes text into a slide format using Gemini
+ * Converts a JSON Schema into the OpenAPI subset Gemini accepts as a responseSchema
+ * @param {Object} schema - JSON Schema (objects, arrays and strings)
+ * @returns {Object} - Gemini schema
+ */
+function toGeminiSchema(schema) {
+  const converted = { type: schema.type.toUpperCase() };
+  if (schema.description) converted.description = schema.description;
+  if (schema.items) converted.items = toGeminiSchema(schema.items);
+  if (schema.properties) {
+    converted.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([key, value]) => [key, toGeminiSchema(value)])
+    );
+    converted.required = schema.required;
+  }
+  return converted;
+}
+
+/**
+ * Summarizes text into a JSON slide using Gemini's JSON mode
  * @param {string} explanation - Text to summarize
  * @param {string} message - Original message associated with the image
  * @param {string} caption - Original caption for the image
- * @returns {Promise<string>} - Slide summary with title and bullet points
+ * @param {Object} feedback - Why the previous answer was rejected, when retrying
+ * @param {string} instruction - Optional change the presenter asked for, e.g. "make it more technical"
+ * @returns {Promise<string>} - JSON slide matching SLIDE_SCHEMA
+ * @throws {Error} - If the summary fails
  */
-async function summarizeWithGemini(explanation, message, caption) {
+async function summarizeWithGemini(explanation, message, caption, feedback = null, instruction = "") {
   try {
     // Using the Gemini model to generate a summary
     const googleAI = initGoogleAI();
     
     const model = googleAI.getGenerativeModel({ 
-      model: "gemini-2.0-flash",
-      systemInstruction: "You are an expert at creating engaging presentation slides from image analyses.",
+      model: MODEL,
+      systemInstruction: SLIDE_SYSTEM_PROMPT,
       generationConfig: {
         temperature: 0.4,
         topP: 0.8,
         maxOutputTokens: 800,
+        responseMimeType: "application/json",
+        responseSchema: toGeminiSchema(SLIDE_SCHEMA),
       }
     });
     
-    const prompt = `
-Image Explanation: ${explanation}
-Context: ${message}
-Caption: ${caption}
-
-Create a slide based on this image analysis. Format as follows:
-# Title That Captures Main Theme
-
-Then create 3-5 bullet points or short paragraphs that highlight the key aspects of the image. Be informative, engaging and educational. Include interesting facts or observations where possible.
-
-The content should be comprehensive enough to stand on its own even if someone couldn't see the image.
-`;
+    const prompt = buildSummaryPrompt(explanation, message, caption, feedback, instruction);
     
     const result = await model.generateContent(prompt);
     const response = await result.response;
-    const summary = response.text();
-    
-    // If summary is too short, it might be an error or low-quality response
-    if (summary.length < 50) {
-      console.log("Gemini returned a very short summary, might be low quality:", summary);
-      return `# Analysis of the Image\n\nThis image appears to show ${caption || "interesting content"}.\n\n- The image contains elements that would be explained in more detail with proper AI analysis.\n- Unfortunately, the AI generated a limited response.\n- The image appears to be a ${caption || "visual that requires further analysis"}.\n\nTry selecting a different AI model for better results.`;
-    }
-    
-    return summary;
+    return response.text();
   } catch (error) {
     console.error("Error summarizing with Gemini:", error);
-    return `# Analysis of the Image\n\nThis image appears to show ${caption || "interesting content"}.\n\n- The image contains elements that would be analyzed with a working connection to Gemini.\n- Unfortunately, there was an error connecting to the AI service.\n- Try again or select a different AI model.\n\nError details: ${error.message}`;
+    throw new Error("Error summarizing with Gemini: " + error.message);
+  }
+}
+
+/**
+ * Writes the deck-level narrative using Gemini's JSON mode
+ * @param {string} outline - Titles, points and explanation excerpts of the slides, in order
+ * @param {string} topic - Optional deck topic
+ * @param {number} slideCount - Number of slides in the outline
+ * @param {Object} feedback - Why the previous answer was rejected, when retrying
+ * @returns {Promise<string>} - JSON narrative matching NARRATIVE_SCHEMA
+ * @throws {Error} - If the request fails
+ */
+async function narrateWithGemini(outline, topic, slideCount, feedback = null) {
+  try {
+    const googleAI = initGoogleAI();
+
+    const model = googleAI.getGenerativeModel({
+      model: MODEL,
+      systemInstruction: NARRATIVE_SYSTEM_PROMPT,
+      generationConfig: {
+        temperature: 0.5,
+        maxOutputTokens: 1500,
+        responseMimeType: "application/json",
+        responseSchema: toGeminiSchema(NARRATIVE_SCHEMA),
+      }
+    });
+
+    const result = await model.generateContent(buildNarrativePrompt(outline, topic, slideCount, feedback));
+    const response = await result.response;
+    return response.text();
+  } catch (error) {
+    console.error("Error writing narrative with Gemini:", error);
+    throw new Error("Error writing narrative with Gemini: " + error.message);
   }
 }
 
+const geminiProvider = {
+  id: "gemini",
+  name: "Gemini 2.0 Flash",
+  concurrency: 4,
+  fallbacks: ["openai"],
+  // Gemini keeps up to 3072x3072 pixels; inline images share a 20 MB request limit with the prompt
+  imageLimits: { maxDimension: 3072, maxBytes: 15 * 1024 * 1024, formats: ["image/jpeg", "image/png", "image/webp"] },
+  models: { describe: MODEL, analyze: MODEL, summarize: MODEL, narrate: MODEL, tag: MODEL },
+  describe: quickAnalyzeImageWithGemini,
+  analyze: analyzeImageWithGemini,
+  summarize: summarizeWithGemini,
+  narrate: narrateWithGemini,
+  tag: generateImageTags,
+};
+
 module.exports = {
+  geminiProvider,
   analyzeImageWithGemini,
   summarizeWithGemini,
+  narrateWithGemini,
   generateImageTags,
   quickAnalyzeImageWithGemini
 };
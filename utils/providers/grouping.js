@@ -0,0 +1,112 @@
+const { GROUP_INSTRUCTION } = require("./prompts");
+const { getSlideImageIndexes, isContentSlide } = require("../deck");
+
+// Share of keywords two images must have in common (Jaccard similarity) to be suggested as one slide
+const GROUP_SIMILARITY = 0.5;
+
+// Words that say nothing about what an image shows, left out when keywords come from descriptions
+const STOP_WORDS = new Set([
+  "this", "that", "these", "those", "there", "their", "with", "from", "into", "onto", "over", "under", "about",
+  "image", "images", "picture", "photo", "shows", "showing", "shown", "appears", "visible", "which", "while",
+  "where", "what", "have", "has", "been", "being", "were", "will", "would", "could", "some", "such", "also",
+  "very", "more", "most", "other", "each", "like", "just", "only", "than", "then", "them", "they", "its",
+  "explore", "details", "significance", "interesting", "visual", "caption", "context", "none",
+]);
+
+/**
+ * Picks the content words out of a description
+ * @param {string} text - Caption, explanation or other description
+ * @returns {Array<string>} - Lowercase words of four letters or more, without stop words
+ */
+function extractKeywords(text) {
+  const words = (text || "").toLowerCase().match(/[a-z][a-z-]{3,}/g) || [];
+  return [...new Set(words.filter(word => !STOP_WORDS.has(word)))];
+}
+
+/**
+ * Works out the keywords an image slide is compared by: its tags when the image could be tagged,
+ * otherwise the words of its caption and explanation
+ * @param {Object} slide - An image slide
+ * @param {Array<string>|null} tags - The image's tags, or null if it has none
+ * @returns {Array<string>} - Keywords
+ */
+function getGroupingKeywords(slide, tags) {
+  if (tags?.length) return tags;
+  return extractKeywords(`${slide.originalCaption || ""} ${slide.fullExplanation || ""}`);
+}
+
+/**
+ * Measures how much two keyword lists overlap
+ * @param {Array<string>} a - Keywords
+ * @param {Array<string>} b - Keywords
+ * @returns {number} - Jaccard similarity, from 0 (nothing shared) to 1 (the same keywords)
+ */
+function keywordSimilarity(a, b) {
+  const setA = new Set(a);
+  const shared = b.filter(keyword => setA.has(keyword)).length;
+  const union = setA.size + new Set(b).size - shared;
+  return union === 0 ? 0 : shared / union;
+}
+
+/**
+ * Clusters images whose keywords are similar. Similarity chains, so A~B and B~C put all three in one group.
+ * @param {Array<Array<string>>} keywordLists - Keywords of each image
+ * @param {number} threshold - Similarity two images need to be grouped
+ * @returns {Array<Array<number>>} - Groups of two or more positions in keywordLists, each in order
+ */
+function findSimilarGroups(keywordLists, threshold = GROUP_SIMILARITY) {
+  const parent = keywordLists.map((_, i) => i);
+  const root = (i) => (parent[i] === i ? i : (parent[i] = root(parent[i])));
+
+  for (let i = 0; i < keywordLists.length; i++) {
+    for (let j = i + 1; j < keywordLists.length; j++) {
+      if (keywordSimilarity(keywordLists[i], keywordLists[j]) >= threshold) {
+        parent[root(j)] = root(i);
+      }
+    }
+  }
+
+  const groups = new Map();
+  keywordLists.forEach((_, i) => {
+    const key = root(i);
+    groups.set(key, [...(groups.get(key) || []), i]);
+  });
+  return [...groups.values()].filter(group => group.length > 1);
+}
+
+/**
+ * Lists the slides that may be grouped: image slides that show a single image
+ * @param {Array<Object>} slides - Deck slides
+ * @returns {Array<number>} - Positions of those slides in the deck
+ */
+function findGroupableSlides(slides) {
+  return slides
+    .map((slide, i) => (isContentSlide(slide) && slide.kind !== "custom" && getSlideImageIndexes(slide).length === 1 ? i : -1))
+    .filter(i => i >= 0);
+}
+
+/**
+ * Joins the explanations of grouped slides into the text the combined slide is summarized from
+ * @param {Array<Object>} slides - The slides being grouped, in deck order
+ * @returns {{explanation: string, message: string, caption: string, instruction: string}} - Summary input
+ */
+function buildGroupSummaryInput(slides) {
+  const join = (field) => slides.map(slide => slide[field]).filter(Boolean).join(" / ");
+
+  return {
+    explanation: slides.map((slide, i) => `Image ${i + 1}: ${slide.fullExplanation}`).join("\n\n"),
+    message: join("originalMessage"),
+    caption: join("originalCaption"),
+    instruction: GROUP_INSTRUCTION.replace("{count}", String(slides.length)),
+  };
+}
+
+module.exports = {
+  GROUP_SIMILARITY,
+  extractKeywords,
+  getGroupingKeywords,
+  keywordSimilarity,
+  findSimilarGroups,
+  findGroupableSlides,
+  buildGroupSummaryInput,
+};
@@ -0,0 +1,62 @@
+const { openaiProvider } = require("./openai");
+const { geminiProvider } = require("./gemini");
+const { anthropicProvider } = require("./anthropic");
+const { localProvider } = require("./local");
+const { mockProvider } = require("./mock");
+
+/**
+ * Vision providers available to the slides route and the model dropdown.
+ *
+ * Each provider is a plain object:
+ *   id          - Identifier sent by the UI as `model`
+ *   name        - Display name
+ *   fallbacks   - (optional) provider ids tried next when this one fails, unless the request or server sets a chain
+ *   concurrency - (optional) calls allowed in flight at once, overridden by PROVIDER_CONCURRENCY_<ID>
+ *   imageLimits - (optional) { maxDimension, maxBytes, formats } the provider wants images in; images are rotated,
+ *                 scaled down and re-encoded to fit before each call (../imageNormalize.js). maxDimension is
+ *                 overridden by PROVIDER_MAX_IMAGE_DIMENSION_<ID>. Without it, images are sent as uploaded.
+ *   models      - model name used for each stage ({ describe, analyze, summarize, narrate, tag }), part of the cache key
+ *   describe(base64Image)                               -> Promise<string>         brief one-sentence description
+ *   analyze(base64Image)                                -> Promise<string>         detailed explanation
+ *   summarize(explanation, message, caption, feedback, instruction)
+ *                                                       -> Promise<string|Object>  JSON slide matching SLIDE_SCHEMA
+ *   narrate(outline, topic, slideCount, feedback)       -> Promise<string|Object>  (optional) JSON deck narrative matching NARRATIVE_SCHEMA
+ *   tag(base64Image)                                    -> Promise<string|string[]> (optional) descriptive tags, as a list or JSON text (tags.js)
+ *
+ * summarize should use the provider's JSON or structured-output mode; slideOutput.js validates and repairs
+ * the result, and calls summarize again with `feedback` ({ error, output }) when it cannot be repaired.
+ * `instruction` is a free-text change the presenter asked for when regenerating one slide, or empty.
+ * narrate works the same way for the deck-level title, agenda, transitions and conclusion (narrative.js).
+ *
+ * Provider functions throw on failure so the next provider in the fallback chain can take over.
+ * To add a provider, write a module that exports such an object and list it here.
+ */
+const providers = [
+  openaiProvider,
+  geminiProvider,
+  anthropicProvider,
+  localProvider,
+  mockProvider,
+];
+
+/**
+ * Looks up a provider by id
+ * @param {string} id - Provider id
+ * @returns {Object|undefined} - The provider, or undefined if it is not registered
+ */
+function getProvider(id) {
+  return providers.find(provider => provider.id === id);
+}
+
+/**
+ * Lists the registered providers for display
+ * @returns {Array<{id: string, name: string}>} - Provider ids and display names
+ */
+function listProviders() {
+  return providers.map(({ id, name }) => ({ id, name }));
+}
+
+module.exports = {
+  getProvider,
+  listProviders,
+};
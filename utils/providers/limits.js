@@ -0,0 +1,36 @@
+const { createLimiter, parseLimit } = require("../concurrency");
+
+// Used for providers that do not declare a `concurrency`
+const DEFAULT_PROVIDER_CONCURRENCY = 2;
+
+// One limiter per provider, shared by every request this server instance handles
+const limiters = new Map();
+
+/**
+ * Reads how many calls a provider may have in flight at once.
+ * PROVIDER_CONCURRENCY_<ID> (e.g. PROVIDER_CONCURRENCY_OPENAI=2) overrides the provider's own `concurrency`.
+ * @param {Object} provider - A registered provider
+ * @returns {number} - Maximum concurrent calls
+ */
+function getProviderConcurrency(provider) {
+  const configured = process.env[`PROVIDER_CONCURRENCY_${provider.id.toUpperCase()}`];
+  return parseLimit(configured, provider.concurrency || DEFAULT_PROVIDER_CONCURRENCY);
+}
+
+/**
+ * Runs a provider call once the provider has a free slot
+ * @param {Object} provider - A registered provider
+ * @param {Function} task - Returns a promise for the provider call
+ * @returns {Promise<*>} - The task's result
+ */
+function withProviderLimit(provider, task) {
+  if (!limiters.has(provider.id)) {
+    limiters.set(provider.id, createLimiter(getProviderConcurrency(provider)));
+  }
+  return limiters.get(provider.id)(task);
+}
+
+module.exports = {
+  getProviderConcurrency,
+  withProviderLimit,
+};
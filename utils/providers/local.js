@@ -0,0 +1,184 @@
+const {
+  SLIDE_SYSTEM_PROMPT,
+  EXPLAIN_PROMPT,
+  DESCRIBE_PROMPT,
+  TAG_PROMPT,
+  buildSummaryPrompt,
+  NARRATIVE_SYSTEM_PROMPT,
+  buildNarrativePrompt,
+} = require("./prompts");
+const { SLIDE_SCHEMA } = require("./slideOutput");
+const { NARRATIVE_SCHEMA } = require("./narrative");
+
+// Ollama serves an OpenAI-compatible API under /v1; LM Studio, vLLM and llama.cpp servers work the same way
+const DEFAULT_BASE_URL = "http://localhost:11434/v1";
+const DEFAULT_MODEL = "llava";
+
+/**
+ * Reads the local endpoint settings from the environment
+ * @returns {{baseUrl: string, model: string, apiKey: string}} - Endpoint configuration
+ */
+function getLocalConfig() {
+  return {
+    baseUrl: (process.env.LOCAL_VISION_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, ""),
+    model: process.env.LOCAL_VISION_MODEL || DEFAULT_MODEL,
+    apiKey: process.env.LOCAL_VISION_API_KEY || "",
+  };
+}
+
+/**
+ * Sends a chat completion request to the local endpoint and returns the text of the first choice
+ * @param {Array<Object>} messages - Chat messages in OpenAI format
+ * @param {number} maxTokens - Maximum tokens to generate
+ * @param {Object} responseFormat - Optional OpenAI-style response_format
+ * @returns {Promise<string>} - The response text
+ * @throws {Error} - If the endpoint is unreachable or returns an error
+ */
+async function createLocalCompletion(messages, maxTokens, responseFormat) {
+  const { baseUrl, model, apiKey } = getLocalConfig();
+
+  let response;
+  try {
+    response = await fetch(`${baseUrl}/chat/completions`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+      },
+      body: JSON.stringify({
+        model,
+        messages,
+        max_tokens: maxTokens,
+        stream: false,
+        ...(responseFormat ? { response_format: responseFormat } : {}),
+      }),
+    });
+  } catch (error) {
+    throw new Error(`Could not reach the local model at ${baseUrl}: ${error.message}`);
+  }
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok || data.error) {
+    const reason = data.error?.message || data.error || `HTTP ${response.status}`;
+    throw new Error(`Local model ${model} returned an error: ${reason}`);
+  }
+
+  return data.choices?.[0]?.message?.content || "";
+}
+
+/**
+ * Quickly describes an image in one sentence (for generated messages and captions)
+ * @param {string} base64Image - Base64 encoded image
+ * @returns {Promise<string>} - Brief description of the image
+ * @throws {Error} - If the description fails
+ */
+async function describeWithLocalModel(base64Image) {
+  return createLocalCompletion([
+    {
+      role: "user",
+      content: [
+        { type: "text", text: DESCRIBE_PROMPT },
+        { type: "image_url", image_url: { url: base64Image } },
+      ],
+    },
+  ], 60);
+}
+
+/**
+ * Analyzes an image with the local vision model
+ * @param {string} base64Image - Base64 encoded image
+ * @returns {Promise<string>} - Detailed explanation of the image
+ * @throws {Error} - If the analysis fails
+ */
+async function analyzeWithLocalModel(base64Image) {
+  const explanation = await createLocalCompletion([
+    {
+      role: "user",
+      content: [
+        { type: "text", text: EXPLAIN_PROMPT },
+        { type: "image_url", image_url: { url: base64Image } },
+      ],
+    },
+  ], 1000);
+
+  if (!explanation) {
+    throw new Error("Local model returned an empty explanation");
+  }
+
+  return explanation;
+}
+
+/**
+ * Lists descriptive tags for an image with the local vision model
+ * @param {string} base64Image - Base64 encoded image
+ * @returns {Promise<string>} - JSON array of tags, parsed by utils/providers/tags.js
+ * @throws {Error} - If tagging fails
+ */
+async function tagWithLocalModel(base64Image) {
+  return createLocalCompletion([
+    {
+      role: "user",
+      content: [
+        { type: "text", text: TAG_PROMPT },
+        { type: "image_url", image_url: { url: base64Image } },
+      ],
+    },
+  ], 200);
+}
+
+/**
+ * Summarizes an explanation into a JSON slide with the local model, constrained by the slide schema
+ * @param {string} explanation - Text to summarize
+ * @param {string} message - Message associated with the image
+ * @param {string} caption - Caption for the image
+ * @param {Object} feedback - Why the previous answer was rejected, when retrying
+ * @param {string} instruction - Optional change the presenter asked for, e.g. "make it more technical"
+ * @returns {Promise<string>} - JSON slide matching SLIDE_SCHEMA
+ * @throws {Error} - If the summary fails
+ */
+async function summarizeWithLocalModel(explanation, message, caption, feedback = null, instruction = "") {
+  return createLocalCompletion([
+    { role: "system", content: SLIDE_SYSTEM_PROMPT },
+    { role: "user", content: buildSummaryPrompt(explanation, message, caption, feedback, instruction) },
+  ], 700, { type: "json_schema", json_schema: { name: "slide", strict: true, schema: SLIDE_SCHEMA } });
+}
+
+/**
+ * Writes the deck-level narrative with the local model, constrained by the narrative schema
+ * @param {string} outline - Titles, points and explanation excerpts of the slides, in order
+ * @param {string} topic - Optional deck topic
+ * @param {number} slideCount - Number of slides in the outline
+ * @param {Object} feedback - Why the previous answer was rejected, when retrying
+ * @returns {Promise<string>} - JSON narrative matching NARRATIVE_SCHEMA
+ * @throws {Error} - If the request fails
+ */
+async function narrateWithLocalModel(outline, topic, slideCount, feedback = null) {
+  return createLocalCompletion([
+    { role: "system", content: NARRATIVE_SYSTEM_PROMPT },
+    { role: "user", content: buildNarrativePrompt(outline, topic, slideCount, feedback) },
+  ], 1500, { type: "json_schema", json_schema: { name: "narrative", strict: true, schema: NARRATIVE_SCHEMA } });
+}
+
+const localProvider = {
+  id: "local",
+  name: "Local model (Ollama-compatible)",
+  concurrency: 1,
+  // Small vision models such as LLaVA work on a few hundred pixels, so larger images only slow them down
+  imageLimits: { maxDimension: 1024, maxBytes: 10 * 1024 * 1024, formats: ["image/jpeg", "image/png"] },
+  // Read on each access so a changed LOCAL_VISION_MODEL never reuses cached results from another model
+  get models() {
+    const { model } = getLocalConfig();
+    return { describe: model, analyze: model, summarize: model, narrate: model, tag: model };
+  },
+  describe: describeWithLocalModel,
+  analyze: analyzeWithLocalModel,
+  summarize: summarizeWithLocalModel,
+  narrate: narrateWithLocalModel,
+  tag: tagWithLocalModel,
+};
+
+module.exports = {
+  localProvider,
+  getLocalConfig,
+};
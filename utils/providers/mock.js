@@ -0,0 +1,171 @@
+const { extractBase64FromDataUrl, decodeBase64, sniffMimeType, readImageDimensions } = require("../imageData");
+
+// Words picked by fingerprint so different images read differently while staying deterministic
+const SUBJECTS = ["landscape", "diagram", "portrait", "still life", "street scene", "chart", "interior", "close-up"];
+const MOODS = ["calm", "vivid", "muted", "high-contrast", "warm", "cool", "balanced", "dramatic"];
+
+/**
+ * Computes a 32-bit FNV-1a hash
+ * @param {Uint8Array|string} input - Bytes or text to hash
+ * @returns {string} - The hash as 8 hex characters
+ */
+function fingerprint(input) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < input.length; i++) {
+    hash ^= typeof input === "string" ? input.charCodeAt(i) : input[i];
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, "0");
+}
+
+/**
+ * Reads everything the mock provider knows about an image from its bytes
+ * @param {string} base64Image - Base64 encoded image
+ * @returns {Object} - Format, size, dimensions and derived words
+ * @throws {Error} - If the data is not a recognizable image
+ */
+function inspectImage(base64Image) {
+  const { data } = extractBase64FromDataUrl(base64Image);
+  if (!data) {
+    throw new Error("Invalid image data");
+  }
+
+  let bytes;
+  try {
+    bytes = decodeBase64(data);
+  } catch (error) {
+    throw new Error("Invalid image data: not valid base64");
+  }
+
+  const mimeType = sniffMimeType(bytes);
+  if (!mimeType) {
+    throw new Error("Mock provider could not recognize the image format");
+  }
+
+  const hash = fingerprint(bytes);
+  const seed = parseInt(hash, 16);
+  const dimensions = readImageDimensions(bytes);
+  let orientation = "unknown";
+  if (dimensions) {
+    if (dimensions.width > dimensions.height) orientation = "landscape";
+    else if (dimensions.width < dimensions.height) orientation = "portrait";
+    else orientation = "square";
+  }
+
+  return {
+    hash,
+    format: mimeType.split("/")[1].toUpperCase(),
+    kilobytes: Math.max(1, Math.round(bytes.length / 1024)),
+    dimensions,
+    orientation,
+    subject: SUBJECTS[seed % SUBJECTS.length],
+    mood: MOODS[(seed >>> 8) % MOODS.length],
+  };
+}
+
+/**
+ * Describes an image in one sentence
+ * @param {string} base64Image - Base64 encoded image
+ * @returns {Promise<string>} - Brief description of the image
+ * @throws {Error} - If the description fails
+ */
+async function describeWithMock(base64Image) {
+  const info = inspectImage(base64Image);
+  return `A ${info.mood} ${info.subject} in a ${info.orientation} ${info.format} image. Fingerprint ${info.hash}.`;
+}
+
+/**
+ * Produces a detailed explanation derived from the image bytes
+ * @param {string} base64Image - Base64 encoded image
+ * @returns {Promise<string>} - Detailed explanation of the image
+ * @throws {Error} - If the data is not a recognizable image
+ */
+async function analyzeWithMock(base64Image) {
+  const info = inspectImage(base64Image);
+  const size = info.dimensions
+    ? `${info.dimensions.width} by ${info.dimensions.height} pixels`
+    : "unknown dimensions";
+
+  return [
+    `This ${info.format} image measures ${size} and is about ${info.kilobytes} KB.`,
+    `It has a ${info.orientation} orientation and reads as a ${info.mood} ${info.subject}.`,
+    `Its fingerprint is ${info.hash}; the mock provider derives every detail from the image bytes, so the same image always produces the same analysis.`,
+  ].join(" ");
+}
+
+/**
+ * Builds a JSON slide from the explanation, message and caption
+ * @param {string} explanation - Text to summarize
+ * @param {string} message - Message associated with the image
+ * @param {string} caption - Caption for the image
+ * @param {Object} feedback - Ignored; the mock always returns a valid slide
+ * @param {string} instruction - Optional change the presenter asked for, echoed as the last bullet
+ * @returns {Promise<string>} - JSON slide matching SLIDE_SCHEMA
+ */
+async function summarizeWithMock(explanation, message, caption, feedback = null, instruction = "") {
+  const sentences = explanation.split(/(?<=\.)\s+/).filter(Boolean);
+  const format = explanation.match(/^This (\w+) image/);
+
+  return JSON.stringify({
+    title: `Mock Slide ${fingerprint(`${explanation}\n${message}\n${caption}${instruction ? `\n${instruction}` : ""}`)}`,
+    subtitle: caption || "",
+    bullets: [
+      ...sentences.slice(0, 2),
+      `Caption: ${caption || "none"}`,
+      `Context: ${message || "none"}`,
+      ...(instruction ? [`Instruction: ${instruction}`] : []),
+    ],
+    notes: sentences[sentences.length - 1] || "",
+    keyTerms: ["mock", ...(format ? [format[1]] : [])],
+  });
+}
+
+/**
+ * Builds a deck narrative from the slide titles in the outline
+ * @param {string} outline - Titles, points and explanation excerpts of the slides, in order
+ * @param {string} topic - Optional deck topic
+ * @param {number} slideCount - Number of slides in the outline
+ * @returns {Promise<string>} - JSON narrative matching NARRATIVE_SCHEMA
+ */
+async function narrateWithMock(outline, topic, slideCount) {
+  const titles = [...outline.matchAll(/^Slide \d+: (.+)$/gm)].map(match => match[1]);
+
+  return JSON.stringify({
+    title: topic || `Mock Deck ${fingerprint(outline)}`,
+    subtitle: `${slideCount} slides generated offline`,
+    agenda: titles,
+    transitions: titles.slice(1).map((title, i) => `From ${titles[i]} to ${title}.`),
+    conclusion: {
+      title: "Summary",
+      bullets: titles.map(title => `Covered ${title}`),
+      notes: "Thanks for watching the mock deck.",
+    },
+  });
+}
+
+/**
+ * Derives tags from the image format, orientation and fingerprint
+ * @param {string} base64Image - Base64 encoded image
+ * @returns {Promise<Array<string>>} - Tags that describe the image
+ */
+async function tagWithMock(base64Image) {
+  const info = inspectImage(base64Image);
+  return [info.format.toLowerCase(), info.orientation, info.subject, info.mood];
+}
+
+const mockProvider = {
+  id: "mock",
+  name: "Mock (offline, no API key)",
+  concurrency: 8,
+  models: { describe: "mock", analyze: "mock", summarize: "mock", narrate: "mock", tag: "mock" },
+  describe: describeWithMock,
+  analyze: analyzeWithMock,
+  summarize: summarizeWithMock,
+  narrate: narrateWithMock,
+  tag: tagWithMock,
+};
+
+module.exports = {
+  mockProvider,
+  fingerprint,
+};
@@ -0,0 +1,146 @@
+const { readText, readList, parseJsonLoosely, requestWithRepair } = require("./slideOutput");
+const { isContentSlide } = require("../deck");
+
+// How much of each full explanation the deck pass sees, so long decks stay within the model's context
+const EXPLANATION_EXCERPT_LENGTH = 600;
+const MAX_AGENDA_ITEMS = 8;
+
+/**
+ * JSON Schema for the deck-level narrative. Like SLIDE_SCHEMA, every field is required for OpenAI's strict mode.
+ */
+const NARRATIVE_SCHEMA = {
+  type: "object",
+  properties: {
+    title: { type: "string", description: "Title of the whole deck" },
+    subtitle: { type: "string", description: "One-line subtitle for the title slide" },
+    agenda: {
+      type: "array",
+      items: { type: "string" },
+      description: "3-6 agenda items that group the slides in order",
+    },
+    transitions: {
+      type: "array",
+      items: { type: "string" },
+      description: "One sentence per pair of adjacent slides, leading from each slide into the next",
+    },
+    conclusion: {
+      type: "object",
+      properties: {
+        title: { type: "string", description: "Title of the conclusion slide" },
+        bullets: { type: "array", items: { type: "string" }, description: "3-5 takeaways from the whole deck" },
+        notes: { type: "string", description: "Closing remarks for the presenter" },
+      },
+      required: ["title", "bullets", "notes"],
+      additionalProperties: false,
+    },
+  },
+  required: ["title", "subtitle", "agenda", "transitions", "conclusion"],
+  additionalProperties: false,
+};
+
+/**
+ * Summarizes the content slides for the deck pass: titles, bullets and an excerpt of each full explanation
+ * @param {Array<Object>} slides - Slides from the per-image pass
+ * @returns {{text: string, count: number}} - The outline and how many slides it covers
+ */
+function buildDeckOutline(slides) {
+  const covered = slides.filter(isContentSlide);
+
+  const text = covered.map((slide, i) => {
+    const explanation = (slide.fullExplanation || "").slice(0, EXPLANATION_EXCERPT_LENGTH);
+    return [
+      `Slide ${i + 1}: ${slide.title}`,
+      `Points: ${(slide.bullets || []).join("; ")}`,
+      `Explanation: ${explanation}`,
+    ].join("\n");
+  }).join("\n\n");
+
+  return { text, count: covered.length };
+}
+
+/**
+ * Validates a narrative, padding or trimming the transitions to one per pair of adjacent slides
+ * @param {*} value - Parsed model output
+ * @param {number} slideCount - Number of content slides the narrative covers
+ * @returns {{narrative: Object, errors: Array<string>}} - The normalized narrative, and what is still wrong with it
+ */
+function validateNarrative(value, slideCount) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    return { narrative: null, errors: ["the narrative must be a JSON object"] };
+  }
+
+  const errors = [];
+  const conclusion = value.conclusion && typeof value.conclusion === "object" ? value.conclusion : {};
+  const transitions = readList(value.transitions, "transitions", /\n/, errors).slice(0, Math.max(slideCount - 1, 0));
+  while (transitions.length < slideCount - 1) {
+    transitions.push("");
+  }
+
+  const narrative = {
+    title: readText(value.title, "title", errors),
+    subtitle: readText(value.subtitle, "subtitle", errors),
+    agenda: readList(value.agenda, "agenda", /\n/, errors).slice(0, MAX_AGENDA_ITEMS),
+    transitions,
+    conclusion: {
+      title: readText(conclusion.title, "conclusion.title", errors),
+      bullets: readList(conclusion.bullets, "conclusion.bullets", /\n/, errors),
+      notes: readText(conclusion.notes, "conclusion.notes", errors),
+    },
+  };
+
+  if (!narrative.title) errors.push("title must not be empty");
+  if (narrative.agenda.length === 0) errors.push("agenda must contain at least one item");
+  if (!narrative.conclusion.title) errors.push("conclusion.title must not be empty");
+  if (narrative.conclusion.bullets.length === 0) errors.push("conclusion.bullets must contain at least one point");
+
+  return { narrative, errors };
+}
+
+/**
+ * Turns a provider's narrate output into a validated narrative
+ * @param {Object|string} output - What the provider's narrate function returned
+ * @param {number} slideCount - Number of content slides the narrative covers
+ * @returns {Object} - The narrative: { title, subtitle, agenda, transitions, conclusion }
+ * @throws {Error} - If the output cannot be turned into a valid narrative
+ */
+function parseNarrativeOutput(output, slideCount) {
+  const value = typeof output === "string" ? parseJsonLoosely(output) : output;
+  if (value === undefined) {
+    throw new Error("Invalid narrative: the response is not JSON");
+  }
+
+  const { narrative, errors } = validateNarrative(value, slideCount);
+  if (errors.length > 0) {
+    throw new Error(`Invalid narrative: ${errors.join("; ")}`);
+  }
+
+  return narrative;
+}
+
+/**
+ * Generates the deck-level narrative for a deck outline with one provider
+ * @param {Object} provider - A registered provider with a narrate function
+ * @param {{text: string, count: number}} outline - Outline from buildDeckOutline
+ * @param {string} topic - Optional deck topic from the user
+ * @returns {Promise<Object>} - The narrative: { title, subtitle, agenda, transitions, conclusion }
+ * @throws {Error} - If the provider cannot narrate or never returns a valid narrative
+ */
+async function narrateDeck(provider, outline, topic) {
+  if (!provider.narrate) {
+    throw new Error(`${provider.id} does not support deck narratives`);
+  }
+
+  return requestWithRepair(
+    provider,
+    "narrative",
+    (feedback) => provider.narrate(outline.text, topic, outline.count, feedback),
+    (output) => parseNarrativeOutput(output, outline.count)
+  );
+}
+
+module.exports = {
+  NARRATIVE_SCHEMA,
+  buildDeckOutline,
+  validateNarrative,
+  narrateDeck,
+};
@@ -0,0 +1,200 @@
+const { Configuration, OpenAIApi } = require("openai-edge");
+const { SLIDE_SYSTEM_PROMPT, DESCRIBE_PROMPT, EXPLAIN_PROMPT, TAG_PROMPT, buildSummaryPrompt, NARRATIVE_SYSTEM_PROMPT, buildNarrativePrompt } = require("./prompts");
+const { SLIDE_SCHEMA } = require("./slideOutput");
+const { NARRATIVE_SCHEMA } = require("./narrative");
+
+const VISION_MODEL = "gpt-4o";
+// Structured outputs need gpt-4o-mini or newer
+const SUMMARY_MODEL = "gpt-4o-mini";
+
+// Initialize OpenAI with API key
+const initOpenAI = () => {
+  const apiKey = process.env.OPENAI_API_KEY;
+  if (!apiKey) {
+    throw new Error("OpenAI API key is not defined in environment variables (OPENAI_API_KEY)");
+  }
+  return new OpenAIApi(new Configuration({ apiKey }));
+};
+
+/**
+ * Sends a chat completion request and returns the text of the first choice
+ * @param {Object} request - Chat completion request body
+ * @returns {Promise<string>} - The response text
+ */
+async function createCompletion(request) {
+  const openai = initOpenAI();
+  const response = await openai.createChatCompletion(request);
+  const data = await response.json();
+
+  if (data.error) {
+    throw new Error(data.error.message || "OpenAI API error");
+  }
+
+  return data.choices?.[0]?.message?.content || "";
+}
+
+/**
+ * Quickly describes an image in one sentence (for generated messages and captions)
+ * @param {string} base64Image - Base64 encoded image
+ * @returns {Promise<string>} - Brief description of the image
+ * @throws {Error} - If the description fails
+ */
+async function quickDescribeWithOpenAI(base64Image) {
+  try {
+    const description = await createCompletion({
+      model: VISION_MODEL,
+      messages: [
+        {
+          role: "user",
+          content: [
+            { type: "text", text: DESCRIBE_PROMPT },
+            { type: "image_url", image_url: { url: base64Image } }
+          ]
+        }
+      ],
+      max_tokens: 60
+    });
+
+    return description;
+  } catch (error) {
+    console.error("Error in quickDescribeWithOpenAI:", error);
+    throw new Error("Error describing image with OpenAI: " + error.message);
+  }
+}
+
+/**
+ * Analyzes an image using OpenAI's GPT-4o model
+ * @param {string} base64Image - Base64 encoded image
+ * @returns {Promise<string>} - Detailed explanation of the image
+ * @throws {Error} - If the analysis fails
+ */
+async function explainWithOpenAI(base64Image) {
+  const explanation = await createCompletion({
+    model: VISION_MODEL,
+    messages: [
+      {
+        role: "user",
+        content: [
+          { type: "text", text: EXPLAIN_PROMPT },
+          { type: "image_url", image_url: { url: base64Image } },
+        ],
+      },
+    ],
+    max_tokens: 1000,
+  });
+
+  if (!explanation) {
+    throw new Error("No explanation generated");
+  }
+
+  return explanation;
+}
+
+/**
+ * Lists descriptive tags for an image using OpenAI's GPT-4o model
+ * @param {string} base64Image - Base64 encoded image
+ * @returns {Promise<string>} - JSON array of tags, parsed by utils/providers/tags.js
+ * @throws {Error} - If tagging fails
+ */
+async function tagWithOpenAI(base64Image) {
+  try {
+    return await createCompletion({
+      model: VISION_MODEL,
+      messages: [
+        {
+          role: "user",
+          content: [
+            { type: "text", text: TAG_PROMPT },
+            { type: "image_url", image_url: { url: base64Image } },
+          ],
+        },
+      ],
+      max_tokens: 200,
+    });
+  } catch (error) {
+    console.error("Error tagging image with OpenAI:", error);
+    throw new Error("Error tagging image with OpenAI: " + error.message);
+  }
+}
+
+/**
+ * Summarizes an explanation into a JSON slide using OpenAI structured outputs
+ * @param {string} explanation - Text to summarize
+ * @param {string} message - Message associated with the image
+ * @param {string} caption - Caption for the image
+ * @param {Object} feedback - Why the previous answer was rejected, when retrying
+ * @param {string} instruction - Optional change the presenter asked for, e.g. "make it more technical"
+ * @returns {Promise<string>} - JSON slide matching SLIDE_SCHEMA
+ * @throws {Error} - If the summary fails
+ */
+async function summarizeWithOpenAI(explanation, message, caption, feedback = null, instruction = "") {
+  try {
+    return await createCompletion({
+      model: SUMMARY_MODEL,
+      messages: [
+        { role: "system", content: SLIDE_SYSTEM_PROMPT },
+        { role: "user", content: buildSummaryPrompt(explanation, message, caption, feedback, instruction) }
+      ],
+      max_tokens: 700,
+      response_format: {
+        type: "json_schema",
+        json_schema: { name: "slide", strict: true, schema: SLIDE_SCHEMA },
+      },
+    });
+  } catch (error) {
+    console.error("Error summarizing with OpenAI:", error);
+    throw new Error("Error summarizing with OpenAI: " + error.message);
+  }
+}
+
+/**
+ * Writes the deck-level narrative using OpenAI structured outputs
+ * @param {string} outline - Titles, points and explanation excerpts of the slides, in order
+ * @param {string} topic - Optional deck topic
+ * @param {number} slideCount - Number of slides in the outline
+ * @param {Object} feedback - Why the previous answer was rejected, when retrying
+ * @returns {Promise<string>} - JSON narrative matching NARRATIVE_SCHEMA
+ * @throws {Error} - If the request fails
+ */
+async function narrateWithOpenAI(outline, topic, slideCount, feedback = null) {
+  try {
+    return await createCompletion({
+      model: SUMMARY_MODEL,
+      messages: [
+        { role: "system", content: NARRATIVE_SYSTEM_PROMPT },
+        { role: "user", content: buildNarrativePrompt(outline, topic, slideCount, feedback) }
+      ],
+      max_tokens: 1500,
+      response_format: {
+        type: "json_schema",
+        json_schema: { name: "narrative", strict: true, schema: NARRATIVE_SCHEMA },
+      },
+    });
+  } catch (error) {
+    console.error("Error writing narrative with OpenAI:", error);
+    throw new Error("Error writing narrative with OpenAI: " + error.message);
+  }
+}
+
+const openaiProvider = {
+  id: "openai",
+  name: "OpenAI GPT-4 Vision",
+  concurrency: 4,
+  // GPT-4o scales images to fit 2048x2048 anyway; requests take images up to 20 MB
+  imageLimits: { maxDimension: 2048, maxBytes: 20 * 1024 * 1024, formats: ["image/jpeg", "image/png", "image/webp", "image/gif"] },
+  models: { describe: VISION_MODEL, analyze: VISION_MODEL, summarize: SUMMARY_MODEL, narrate: SUMMARY_MODEL, tag: VISION_MODEL },
+  describe: quickDescribeWithOpenAI,
+  analyze: explainWithOpenAI,
+  summarize: summarizeWithOpenAI,
+  narrate: narrateWithOpenAI,
+  tag: tagWithOpenAI,
+};
+
+module.exports = {
+  openaiProvider,
+  quickDescribeWithOpenAI,
+  explainWithOpenAI,
+  summarizeWithOpenAI,
+  narrateWithOpenAI,
+  tagWithOpenAI,
+};
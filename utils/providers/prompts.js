@@ -0,0 +1,118 @@
+// Prompts shared by the vision providers, so every model is asked for the same slide format
+
+// Part of every cache key: bump it whenever a prompt changes so cached results from the old prompts are not reused
+const PROMPT_VERSION = 2;
+
+const SLIDE_SYSTEM_PROMPT = "You are an expert at creating engaging presentation slides from image analyses.";
+
+const EXPLAIN_PROMPT = "Provide a detailed explanation of what's in this image. Describe the objects, context, and any notable elements.";
+
+const TAG_PROMPT = "List 5 to 10 short tags for this image: the main objects, the setting, and any activity or visible text. Answer with only a JSON array of lowercase strings, such as [\"whiteboard\", \"meeting room\"].";
+
+const DESCRIBE_PROMPT = "Describe this image in a single brief sentence. Keep it under 15 words. No introduction or commentary, just a direct description.";
+
+// Describes the slide fields; the JSON schema in slideOutput.js enforces them where the provider supports it
+const SLIDE_FIELDS = `- "title": a short title that captures the main theme
+- "subtitle": an optional one-line subtitle, or "" for none
+- "bullets": 3-5 bullet points that highlight the key aspects of the image, without bullet characters. Be informative, engaging and educational. Include interesting facts or observations where possible.
+- "notes": speaker notes, two to four sentences the presenter can say
+- "keyTerms": up to five important terms from the slide`;
+
+/**
+ * Explains why the previous answer was rejected, so a retry can fix it
+ * @param {{error: string, output: string}|null} feedback - The validation error and the rejected output
+ * @returns {string} - Text to append to the prompt, empty when there is no feedback
+ */
+function buildRepairInstructions(feedback) {
+  if (!feedback) return "";
+  return `
+
+Your previous answer could not be used (${feedback.error}):
+${feedback.output.slice(0, 2000)}
+
+Answer again with only the corrected JSON object.`;
+}
+
+/**
+ * Passes on a change the presenter asked for when regenerating a slide
+ * @param {string} instruction - Free-text instruction, e.g. "make it more technical"
+ * @returns {string} - Text to add to the prompt, empty when there is no instruction
+ */
+function buildInstructionText(instruction) {
+  if (!instruction) return "";
+  return `
+
+The presenter asked for this change to the slide: ${instruction}
+Follow it as long as the slide stays accurate to the image explanation.`;
+}
+
+/**
+ * Builds the prompt that turns an image explanation into a structured slide
+ * @param {string} explanation - Detailed explanation of the image
+ * @param {string} message - Message associated with the image
+ * @param {string} caption - Caption for the image
+ * @param {{error: string, output: string}|null} feedback - Why the previous answer was rejected, when retrying
+ * @param {string} instruction - Optional change the presenter asked for when regenerating the slide
+ * @returns {string} - The summarization prompt
+ */
+function buildSummaryPrompt(explanation, message, caption, feedback = null, instruction = "") {
+  return `
+Image Explanation: ${explanation}
+Context: ${message}
+Caption: ${caption}
+
+Create a slide based on this image analysis. Respond with a single JSON object and nothing else, with these fields:
+${SLIDE_FIELDS}
+
+The content should be comprehensive enough to stand on its own even if someone couldn't see the image.${buildInstructionText(instruction)}${buildRepairInstructions(feedback)}
+`;
+}
+
+// Passed as the instruction when several similar images are summarized into one slide; {count} is the number of images
+const GROUP_INSTRUCTION = "The explanation covers {count} images of the same subject, such as several shots of one thing or a before/after pair. Write one slide about all of them together, and point out what differs between the images.";
+
+const NARRATIVE_SYSTEM_PROMPT = "You are an expert presentation writer who turns a set of slides into one coherent story.";
+
+/**
+ * Builds the prompt for the deck-level pass that adds a title, agenda, transitions and conclusion
+ * @param {string} outline - Titles, points and explanation excerpts of the slides, in order
+ * @param {string} topic - Optional deck topic from the user
+ * @param {number} slideCount - Number of slides in the outline
+ * @param {{error: string, output: string}|null} feedback - Why the previous answer was rejected, when retrying
+ * @returns {string} - The narrative prompt
+ */
+function buildNarrativePrompt(outline, topic, slideCount, feedback = null) {
+  const topicLine = topic
+    ? `The presenter describes the deck's topic as: ${topic}`
+    : "Infer the deck's topic from the slides.";
+
+  return `
+These ${slideCount} slides will be presented in this order:
+
+${outline}
+
+${topicLine}
+
+Write the narrative that ties them together. Respond with a single JSON object and nothing else, with these fields:
+- "title": a title for the whole deck
+- "subtitle": a one-line subtitle for the title slide
+- "agenda": 3-6 agenda items that group the slides in the order they are presented
+- "transitions": exactly ${Math.max(slideCount - 1, 0)} sentences; sentence N leads from slide N into slide N+1 and is spoken when moving on
+- "conclusion": an object with "title", "bullets" (3-5 takeaways from the whole deck) and "notes" (closing remarks)${buildRepairInstructions(feedback)}
+`;
+}
+
+module.exports = {
+  PROMPT_VERSION,
+  SLIDE_SYSTEM_PROMPT,
+  EXPLAIN_PROMPT,
+  DESCRIBE_PROMPT,
+  TAG_PROMPT,
+  SLIDE_FIELDS,
+  buildRepairInstructions,
+  buildInstructionText,
+  buildSummaryPrompt,
+  GROUP_INSTRUCTION,
+  NARRATIVE_SYSTEM_PROMPT,
+  buildNarrativePrompt,
+};
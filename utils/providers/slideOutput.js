@@ -0,0 +1,216 @@
+const { markdownToSlide } = require("../slideContent");
+
+// Outputs that still fail validation after a repair attempt are requested again this many times
+const MAX_REPAIR_RETRIES = 1;
+
+const MAX_BULLETS = 8;
+const MAX_KEY_TERMS = 8;
+
+/**
+ * JSON Schema for a generated slide, shared by every provider's structured-output mode.
+ * Every field is required so it works with OpenAI's strict mode; an empty subtitle or notes means none.
+ */
+const SLIDE_SCHEMA = {
+  type: "object",
+  properties: {
+    title: { type: "string", description: "Short title that captures the main theme" },
+    subtitle: { type: "string", description: "Optional one-line subtitle, or an empty string" },
+    bullets: {
+      type: "array",
+      items: { type: "string" },
+      description: "3-5 informative bullet points, without bullet characters",
+    },
+    notes: { type: "string", description: "Speaker notes: two to four sentences the presenter can say" },
+    keyTerms: {
+      type: "array",
+      items: { type: "string" },
+      description: "Up to five important terms from the slide",
+    },
+  },
+  required: ["title", "subtitle", "bullets", "notes", "keyTerms"],
+  additionalProperties: false,
+};
+
+/**
+ * Reads an optional text field, accepting a missing or null value as empty
+ * @param {*} value - Raw field value
+ * @param {string} field - Field name for error messages
+ * @param {Array<string>} errors - Receives a message if the value is not text
+ * @returns {string} - The trimmed text
+ */
+function readText(value, field, errors) {
+  if (value === undefined || value === null) return "";
+  if (typeof value !== "string") {
+    errors.push(`${field} must be a string`);
+    return "";
+  }
+  return value.trim();
+}
+
+/**
+ * Reads a list of strings, repairing a single newline- or comma-separated string into a list
+ * @param {*} value - Raw field value
+ * @param {string} field - Field name for error messages
+ * @param {RegExp} separator - Separator used to split a string value
+ * @param {Array<string>} errors - Receives a message if the value is not a list of strings
+ * @returns {Array<string>} - The non-empty, trimmed items
+ */
+function readList(value, field, separator, errors) {
+  if (value === undefined || value === null) return [];
+
+  const items = typeof value === "string" ? value.split(separator) : value;
+  if (!Array.isArray(items) || items.some(item => typeof item !== "string")) {
+    errors.push(`${field} must be an array of strings`);
+    return [];
+  }
+
+  return items
+    .map(item => item.trim().replace(/^([-*•]|\d+\.)\s+/, ""))
+    .filter(Boolean);
+}
+
+/**
+ * Validates a slide object, normalizing whitespace and repairing small format slips
+ * @param {*} value - Parsed model output
+ * @returns {{slide: Object, errors: Array<string>}} - The normalized slide, and what is still wrong with it
+ */
+function validateSlide(value) {
+  const errors = [];
+
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    return { slide: null, errors: ["the slide must be a JSON object"] };
+  }
+
+  const slide = {
+    title: readText(value.title, "title", errors),
+    subtitle: readText(value.subtitle, "subtitle", errors),
+    bullets: readList(value.bullets, "bullets", /\n/, errors),
+    notes: readText(value.notes, "notes", errors),
+    keyTerms: [...new Set(readList(value.keyTerms, "keyTerms", /[,\n]/, errors))].slice(0, MAX_KEY_TERMS),
+  };
+
+  if (!slide.title) {
+    errors.push("title must not be empty");
+  }
+  if (slide.bullets.length === 0) {
+    errors.push("bullets must contain at least one point");
+  }
+  slide.bullets = slide.bullets.slice(0, MAX_BULLETS);
+
+  return { slide, errors };
+}
+
+/**
+ * Finds the JSON object in a model response, tolerating code fences and text around it
+ * @param {string} text - Raw response text
+ * @returns {*} - The parsed value, or undefined if no JSON could be parsed
+ */
+function parseJsonLoosely(text) {
+  const unfenced = text.replace(/^\s*```(?:json)?\s*/i, "").replace(/\s*```\s*$/, "");
+  const candidates = [unfenced];
+
+  const start = unfenced.indexOf("{");
+  const end = unfenced.lastIndexOf("}");
+  if (start !== -1 && end > start) {
+    candidates.push(unfenced.slice(start, end + 1));
+  }
+
+  for (const candidate of candidates) {
+    try {
+      return JSON.parse(candidate);
+    } catch (error) {
+      // Try the next candidate
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Turns a provider's summary output into a validated slide.
+ * Accepts an object (tool or structured output), a JSON string, or, as a repair, a markdown slide.
+ * @param {Object|string} output - What the provider's summarize function returned
+ * @returns {Object} - The slide: { title, subtitle, bullets, notes, keyTerms }
+ * @throws {Error} - If the output cannot be turned into a valid slide
+ */
+function parseSlideOutput(output) {
+  let value = output;
+
+  if (typeof output === "string") {
+    value = parseJsonLoosely(output);
+    if (value === undefined && /^#\s/m.test(output)) {
+      value = markdownToSlide(output);
+    }
+    if (value === undefined) {
+      throw new Error("Invalid slide: the response is not JSON");
+    }
+  }
+
+  const { slide, errors } = validateSlide(value);
+  if (errors.length > 0) {
+    throw new Error(`Invalid slide: ${errors.join("; ")}`);
+  }
+
+  return slide;
+}
+
+/**
+ * Requests structured output from a provider, asking again with the validation error when it cannot be repaired
+ * @param {Object} provider - A registered provider
+ * @param {string} kind - What is being generated, for logs
+ * @param {Function} request - Receives the feedback from the last attempt (null at first) and returns the raw output
+ * @param {Function} parse - Turns raw output into the validated value, throwing if it cannot
+ * @returns {Promise<*>} - The validated value
+ * @throws {Error} - If the provider fails or never returns valid output
+ */
+async function requestWithRepair(provider, kind, request, parse) {
+  let feedback = null;
+  let lastError;
+
+  for (let attempt = 0; attempt <= MAX_REPAIR_RETRIES; attempt++) {
+    const output = await request(feedback);
+
+    try {
+      return parse(output);
+    } catch (error) {
+      console.log(`${provider.id} returned an invalid ${kind} (attempt ${attempt + 1}):`, error.message);
+      lastError = error;
+      feedback = {
+        error: error.message,
+        output: typeof output === "string" ? output : JSON.stringify(output),
+      };
+    }
+  }
+
+  throw lastError;
+}
+
+/**
+ * Summarizes an explanation into a validated slide with one provider
+ * @param {Object} provider - A registered provider
+ * @param {string} explanation - Detailed explanation of the image
+ * @param {string} message - Message associated with the image
+ * @param {string} caption - Caption for the image
+ * @param {string} instruction - Optional change the presenter asked for when regenerating the slide
+ * @returns {Promise<Object>} - The slide: { title, subtitle, bullets, notes, keyTerms }
+ * @throws {Error} - If the provider fails or never returns a valid slide
+ */
+async function summarizeSlide(provider, explanation, message, caption, instruction = "") {
+  return requestWithRepair(
+    provider,
+    "slide",
+    (feedback) => provider.summarize(explanation, message, caption, feedback, instruction),
+    parseSlideOutput
+  );
+}
+
+module.exports = {
+  SLIDE_SCHEMA,
+  readText,
+  readList,
+  parseJsonLoosely,
+  validateSlide,
+  parseSlideOutput,
+  requestWithRepair,
+  summarizeSlide,
+};
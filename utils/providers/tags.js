@@ -0,0 +1,53 @@
+const { parseJsonLoosely } = require("./slideOutput");
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+
+/**
+ * Turns a provider's tag output into a clean list of tags.
+ * Accepts an array, a JSON array or { tags } object as text, or, as a repair, comma- or newline-separated text.
+ * @param {Array<string>|string} output - What the provider's tag function returned
+ * @returns {Array<string>} - Lowercase tags without duplicates, at most MAX_TAGS
+ * @throws {Error} - If the output holds no usable tags
+ */
+function parseTagOutput(output) {
+  let items = output;
+  if (typeof output === "string") {
+    const parsed = parseJsonLoosely(output);
+    if (Array.isArray(parsed)) items = parsed;
+    else if (Array.isArray(parsed?.tags)) items = parsed.tags;
+    else items = output.replace(/[[\]{}"]/g, "").split(/[,\n]/);
+  }
+  if (!Array.isArray(items)) {
+    throw new Error("Invalid tags: expected a list of strings");
+  }
+
+  const tags = items
+    .filter(item => typeof item === "string")
+    .map(item => item.trim().replace(/^([-*•#]|\d+\.)\s*/, "").replace(/\.$/, "").toLowerCase())
+    .filter(tag => tag && tag.length <= MAX_TAG_LENGTH);
+  if (tags.length === 0) {
+    throw new Error("Invalid tags: the response has no tags");
+  }
+  return [...new Set(tags)].slice(0, MAX_TAGS);
+}
+
+/**
+ * Asks a provider for an image's tags
+ * @param {Object} provider - A registered provider with a tag function
+ * @param {string} image - Base64 data URL of the image
+ * @returns {Promise<Array<string>>} - Lowercase tags, without duplicates
+ * @throws {Error} - If the provider cannot tag images or returns no usable tags
+ */
+async function tagImage(provider, image) {
+  if (!provider.tag) {
+    throw new Error(`${provider.id} does not support image tags`);
+  }
+  return parseTagOutput(await provider.tag(image));
+}
+
+module.exports = {
+  MAX_TAGS,
+  parseTagOutput,
+  tagImage,
+};
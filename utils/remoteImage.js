@@ -0,0 +1,208 @@
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const { sniffMimeType } = require("./imageData");
+const { parseLimit } = require("./concurrency");
+
+const DEFAULT_MAX_BYTES = 20 * 1024 * 1024;
+const DEFAULT_TIMEOUT_MS = 10000;
+const MAX_REDIRECTS = 3;
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Addresses a fetched URL may never reach: this machine, private and carrier-grade NAT networks, link-local
+// addresses (including cloud metadata services at 169.254.169.254), multicast and reserved ranges.
+// IPv4-mapped and NAT64 IPv6 addresses are blocked as a whole, since they can wrap any of the IPv4 ranges.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.0.2.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15],
+  ["198.51.100.0", 24], ["203.0.113.0", 24], ["224.0.0.0", 4], ["240.0.0.0", 4],
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, "ipv4"));
+[
+  ["::", 96], ["::ffff:0:0", 96], ["64:ff9b::", 96], ["64:ff9b:1::", 48], ["100::", 64], ["2001:db8::", 32],
+  ["2002::", 16], ["fc00::", 7], ["fe80::", 10], ["fec0::", 10], ["ff00::", 8],
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, "ipv6"));
+
+/**
+ * Reads the limits for fetching remote images from the environment
+ * REMOTE_IMAGE_MAX_BYTES and REMOTE_IMAGE_TIMEOUT_MS override the defaults.
+ * @returns {{maxBytes: number, timeoutMs: number}} - Largest image to download, and time allowed for the
+ *   whole fetch, redirects included
+ */
+function getRemoteImageLimits() {
+  return {
+    maxBytes: parseLimit(process.env.REMOTE_IMAGE_MAX_BYTES, DEFAULT_MAX_BYTES),
+    timeoutMs: parseLimit(process.env.REMOTE_IMAGE_TIMEOUT_MS, DEFAULT_TIMEOUT_MS),
+  };
+}
+
+/**
+ * Checks whether an IP address is in a range fetched URLs may not reach
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} - True if the address is blocked
+ */
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return BLOCKED_ADDRESSES.check(address, family === 4 ? "ipv4" : "ipv6");
+}
+
+/**
+ * Parses an image URL and checks what can be checked before connecting
+ * @param {string} value - URL to fetch
+ * @returns {URL} - The parsed URL
+ * @throws {Error} - If the URL is malformed, not http(s), carries credentials or names a blocked address
+ */
+function parseImageUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw new Error("Invalid image URL");
+  }
+
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    throw new Error("Only http and https image URLs are allowed");
+  }
+  if (url.username || url.password) {
+    throw new Error("Image URLs may not contain a user name or password");
+  }
+
+  // Connections to IP literals skip the DNS lookup, so they are checked here
+  const host = url.hostname.replace(/^\[(.*)\]$/, "$1");
+  if (net.isIP(host) && isBlockedAddress(host)) {
+    throw new Error(`Image URL points to a blocked address: ${host}`);
+  }
+  return url;
+}
+
+/**
+ * DNS lookup for image requests that refuses blocked addresses. The connection uses the address checked here,
+ * so a host name cannot resolve to a public address for the check and a private one for the request.
+ * @param {string} hostname - Host to resolve
+ * @param {Object} options - Lookup options from the HTTP client
+ * @param {Function} callback - Receives the address or addresses, as dns.lookup would
+ */
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked) {
+      return callback(new Error(`Image URL points to a blocked address: ${hostname} resolves to ${blocked.address}`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Sends a GET request for one URL, without following redirects
+ * @param {URL} url - URL to request
+ * @param {AbortSignal} signal - Aborts the request and its body
+ * @returns {Promise<http.IncomingMessage>} - The response, with its body not yet read
+ */
+function requestImage(url, signal) {
+  const client = url.protocol === "https:" ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const request = client.get(url, {
+      // A fresh connection for every request, so each one goes through lookupPublicAddress
+      agent: false,
+      lookup: lookupPublicAddress,
+      signal,
+      headers: { Accept: "image/*", "User-Agent": "image-slide-deck-app" },
+    }, resolve);
+    request.on("error", reject);
+  });
+}
+
+/**
+ * Reads a response body, stopping as soon as it grows past the limit
+ * @param {http.IncomingMessage} response - Response to read
+ * @param {number} maxBytes - Largest body allowed
+ * @returns {Promise<Buffer>} - The body
+ * @throws {Error} - If the body is larger than maxBytes
+ */
+async function readBody(response, maxBytes) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      response.destroy();
+      throw new Error(`The image is larger than ${maxBytes} bytes`);
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Downloads an image from a public http(s) URL, as a guard against using the server to reach internal services.
+ * Every hop of up to MAX_REDIRECTS redirects is checked again; the response must be an image by both its
+ * Content-Type and its bytes, and fit the size and time limits.
+ * @param {string} value - URL of the image
+ * @param {Object} limits - Overrides for getRemoteImageLimits()
+ * @param {number} limits.maxBytes - Largest image to download
+ * @param {number} limits.timeoutMs - Time allowed for the whole fetch
+ * @returns {Promise<string>} - The image as a base64 data URL, typed by its sniffed format
+ * @throws {Error} - If the URL is not allowed or the image cannot be fetched within the limits
+ */
+async function fetchRemoteImage(value, limits = {}) {
+  const { maxBytes, timeoutMs } = { ...getRemoteImageLimits(), ...limits };
+  const signal = AbortSignal.timeout(timeoutMs);
+  let url = parseImageUrl(value);
+
+  try {
+    for (let redirects = 0; ; redirects++) {
+      const response = await requestImage(url, signal);
+
+      if (REDIRECT_STATUSES.includes(response.statusCode)) {
+        response.resume();
+        if (redirects >= MAX_REDIRECTS) {
+          throw new Error(`Too many redirects fetching the image (more than ${MAX_REDIRECTS})`);
+        }
+        if (!response.headers.location) {
+          throw new Error("The image URL redirected without a location");
+        }
+        url = parseImageUrl(new URL(response.headers.location, url).href);
+        continue;
+      }
+
+      if (response.statusCode !== 200) {
+        response.resume();
+        throw new Error(`Fetching the image failed with status ${response.statusCode}`);
+      }
+
+      const contentType = (response.headers["content-type"] || "").split(";")[0].trim().toLowerCase();
+      if (!contentType.startsWith("image/")) {
+        response.destroy();
+        throw new Error(`The URL did not return an image (Content-Type: ${contentType || "none"})`);
+      }
+      if (Number(response.headers["content-length"]) > maxBytes) {
+        response.destroy();
+        throw new Error(`The image is larger than ${maxBytes} bytes`);
+      }
+
+      const bytes = await readBody(response, maxBytes);
+      const mimeType = sniffMimeType(bytes);
+      if (!mimeType) {
+        throw new Error("The URL did not return a recognizable image");
+      }
+      return `data:${mimeType};base64,${bytes.toString("base64")}`;
+    }
+  } catch (error) {
+    if (signal.aborted) {
+      throw new Error(`Fetching the image took longer than ${timeoutMs} ms`);
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  isBlockedAddress,
+  parseImageUrl,
+  fetchRemoteImage,
+};
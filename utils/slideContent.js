@@ -0,0 +1,133 @@
+/**
+ * Extracts the slide title from the first "# " line of a markdown summary
+ * @param {string} summary - Markdown summary produced by a summarizer
+ * @returns {string} - The slide title, or "Untitled Slide" if none was found
+ */
+function extractTitle(summary) {
+  const titleMatch = summary.match(/^#\s*(.+)$/m);
+  return titleMatch ? titleMatch[1].trim() : "Untitled Slide";
+}
+
+/**
+ * Removes the title line from a markdown summary, leaving the slide content
+ * @param {string} summary - Markdown summary produced by a summarizer
+ * @returns {string} - The slide content
+ */
+function extractContent(summary) {
+  return summary
+    .replace(/^#\s*.+$/m, '')
+    .trim();
+}
+
+/**
+ * Splits slide content into renderable lines
+ * Lines starting with "- ", "* " or a number followed by a period are treated as bullets,
+ * everything else is kept as a paragraph.
+ * @param {string} content - Slide content as returned by the summarizers
+ * @returns {Array<{type: string, text: string}>} - Lines tagged as "bullet" or "paragraph"
+ */
+function parseSlideContent(content) {
+  if (!content) return [];
+
+  return content
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => {
+      const trimmed = line.trim();
+
+      if (trimmed.startsWith('- ') || trimmed.startsWith('* ') || /^\d+\./.test(trimmed)) {
+        return { type: 'bullet', text: line.replace(/^[-*]\s+/, '') };
+      }
+
+      return { type: 'paragraph', text: line };
+    });
+}
+
+/**
+ * Converts a markdown slide into the structured slide fields.
+ * "# " is the title, the first "## " line the subtitle, a "Key terms:" line the key terms,
+ * and every other line (bullet or paragraph) becomes a bullet.
+ * @param {string} markdown - Markdown slide, e.g. from a Marp file or a model that ignored JSON mode
+ * @returns {{title: string, subtitle: string, bullets: Array<string>, notes: string, keyTerms: Array<string>}} - Slide fields
+ */
+function markdownToSlide(markdown) {
+  let subtitle = "";
+  let keyTerms = [];
+  const bullets = [];
+
+  for (const line of parseSlideContent(extractContent(markdown))) {
+    const text = line.text.trim();
+    const subtitleMatch = text.match(/^##\s+(.+)$/);
+    const keyTermsMatch = text.match(/^\**Key terms:?\**:?\s*(.+)$/i);
+
+    if (subtitleMatch && !subtitle) {
+      subtitle = subtitleMatch[1].trim();
+    } else if (keyTermsMatch) {
+      keyTerms = keyTermsMatch[1].split(",").map(term => term.trim()).filter(Boolean);
+    } else {
+      bullets.push(text.replace(/^\d+\.\s*/, ""));
+    }
+  }
+
+  return { title: extractTitle(markdown), subtitle, bullets, notes: "", keyTerms };
+}
+
+/**
+ * Converts structured slide fields into markdown, the inverse of markdownToSlide
+ * @param {Object} slide - Slide with title, subtitle, bullets and keyTerms
+ * @returns {string} - Markdown slide
+ */
+function slideToMarkdown(slide) {
+  const lines = [`# ${slide.title || "Untitled Slide"}`];
+
+  if (slide.subtitle) {
+    lines.push("", `## ${slide.subtitle}`);
+  }
+  if (slide.bullets?.length) {
+    lines.push("", ...slide.bullets.map(bullet => `- ${bullet}`));
+  }
+  if (slide.keyTerms?.length) {
+    lines.push("", `Key terms: ${slide.keyTerms.join(", ")}`);
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Combines a slide's transition, speaker notes and full explanation for export formats with a single notes field
+ * @param {Object} slide - Slide with transition, notes and fullExplanation
+ * @returns {string} - Notes text, empty if the slide has none of them
+ */
+function getSpeakerNotes(slide) {
+  return [slide.transition, slide.notes, slide.fullExplanation]
+    .map(text => (text || "").trim())
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+/**
+ * Splits a slide's notes into labelled sections for the presenter view: the transition into the slide,
+ * the speaker notes, the original message and the full explanation
+ * @param {Object} slide - Slide with transition, notes, originalMessage and fullExplanation
+ * @returns {Array<{label: string, text: string}>} - Sections that have text, in the order to read them
+ */
+function getPresenterNotes(slide) {
+  return [
+    { label: "Transition", text: slide?.transition },
+    { label: "Speaker notes", text: slide?.notes },
+    { label: "Message", text: slide?.originalMessage },
+    { label: "Full explanation", text: slide?.fullExplanation },
+  ]
+    .map(section => ({ ...section, text: (section.text || "").trim() }))
+    .filter(section => section.text);
+}
+
+module.exports = {
+  extractTitle,
+  extractContent,
+  parseSlideContent,
+  markdownToSlide,
+  slideToMarkdown,
+  getSpeakerNotes,
+  getPresenterNotes,
+};
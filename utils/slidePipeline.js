@@ -0,0 +1,30 @@
+/**
+ * Runs one processing stage of a slide and records how long it took, including time spent waiting for a
+ * provider slot. Used by /api/slides and /api/slides/regenerate, so both report timing the same way.
+ * @param {Object} stages - Stage durations in ms, keyed by stage name; this stage's duration is added to it
+ * @param {string} stage - Stage name, e.g. "analyze"
+ * @param {Function} task - Async function that does the work
+ * @returns {Promise<*>} - What the task returns
+ */
+async function timeStage(stages, stage, task) {
+  const startedAt = Date.now();
+  try {
+    return await task();
+  } finally {
+    stages[stage] = Date.now() - startedAt;
+  }
+}
+
+/**
+ * Normalizes a user-supplied message, caption or instruction
+ * @param {*} value - Raw value from the request body
+ * @returns {string} - The trimmed text, or an empty string if the value is not a string
+ */
+function cleanInput(value) {
+  return typeof value === "string" ? value.trim() : "";
+}
+
+module.exports = {
+  timeStage,
+  cleanInput,
+};
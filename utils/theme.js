@@ -0,0 +1,372 @@
+// Slide themes: colors, fonts, background and bullet style, optionally overridden by a brand kit.
+// The viewer, the presenter windows and every export render slides from the same resolved theme.
+
+const DEFAULT_THEME_ID = "classic";
+
+// Brand kit uploads are stored inside the deck, so each one is capped
+const MAX_BRAND_ASSET_LENGTH = 5 * 1024 * 1024;
+const MAX_FONT_NAME_LENGTH = 60;
+
+const HEX_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+// Font names end up in CSS and PDF font tables, so they are kept to plain characters
+const FONT_NAME_PATTERN = /^[A-Za-z0-9 _-]+$/;
+// A media type, then a payload of base64 characters only
+const DATA_URL_PATTERN = /^data:([\w.+-]+\/[\w.+-]+);base64,[A-Za-z0-9+/]*={0,2}$/;
+
+/**
+ * Font families a theme can use, with the closest match in each export format.
+ * PDF exports are limited to the fonts built into jsPDF unless a brand kit font is uploaded as TTF.
+ */
+const FONT_FAMILIES = {
+  sans: {
+    name: "Sans serif",
+    css: 'Inter, ui-sans-serif, system-ui, -apple-system, "Segoe UI", Roboto, sans-serif',
+    pptx: "Arial",
+    pdf: "helvetica",
+  },
+  serif: {
+    name: "Serif",
+    css: 'Georgia, Cambria, "Times New Roman", Times, serif',
+    pptx: "Georgia",
+    pdf: "times",
+  },
+  mono: {
+    name: "Monospace",
+    css: 'ui-monospace, SFMono-Regular, Menlo, Consolas, "Courier New", monospace',
+    pptx: "Courier New",
+    pdf: "courier",
+  },
+};
+
+// Markers are limited to characters in the PDF standard fonts' encoding, so they export everywhere
+const BULLET_STYLES = {
+  disc: { name: "Dots", marker: "•" },
+  dash: { name: "Dashes", marker: "–" },
+  chevron: { name: "Chevrons", marker: "›" },
+  arrow: { name: "Arrows", marker: "»" },
+  number: { name: "Numbers", marker: null },
+};
+
+/**
+ * Built-in themes. `background` and `backgroundEnd` form a left-to-right gradient; equal colors give a plain background.
+ */
+const THEMES = [
+  {
+    id: "classic",
+    name: "Classic blue",
+    colors: {
+      background: "#eff6ff",
+      backgroundEnd: "#ffffff",
+      title: "#111827",
+      text: "#374151",
+      muted: "#4b5563",
+      accent: "#3b82f6",
+      termBackground: "#dbeafe",
+      termText: "#1e40af",
+    },
+    fonts: { heading: "sans", body: "sans" },
+    bulletStyle: "disc",
+  },
+  {
+    id: "minimal",
+    name: "Minimal",
+    colors: {
+      background: "#ffffff",
+      backgroundEnd: "#ffffff",
+      title: "#111827",
+      text: "#374151",
+      muted: "#6b7280",
+      accent: "#111827",
+      termBackground: "#f3f4f6",
+      termText: "#374151",
+    },
+    fonts: { heading: "sans", body: "sans" },
+    bulletStyle: "dash",
+  },
+  {
+    id: "dark",
+    name: "Dark",
+    colors: {
+      background: "#111827",
+      backgroundEnd: "#1f2937",
+      title: "#f9fafb",
+      text: "#e5e7eb",
+      muted: "#9ca3af",
+      accent: "#38bdf8",
+      termBackground: "#374151",
+      termText: "#e0f2fe",
+    },
+    fonts: { heading: "sans", body: "sans" },
+    bulletStyle: "chevron",
+  },
+  {
+    id: "editorial",
+    name: "Editorial",
+    colors: {
+      background: "#fffbeb",
+      backgroundEnd: "#ffffff",
+      title: "#78350f",
+      text: "#44403c",
+      muted: "#78716c",
+      accent: "#d97706",
+      termBackground: "#fef3c7",
+      termText: "#92400e",
+    },
+    fonts: { heading: "serif", body: "serif" },
+    bulletStyle: "arrow",
+  },
+  {
+    id: "forest",
+    name: "Forest",
+    colors: {
+      background: "#ecfdf5",
+      backgroundEnd: "#f0fdfa",
+      title: "#064e3b",
+      text: "#1f2937",
+      muted: "#4b5563",
+      accent: "#059669",
+      termBackground: "#d1fae5",
+      termText: "#065f46",
+    },
+    fonts: { heading: "serif", body: "sans" },
+    bulletStyle: "number",
+  },
+];
+
+/**
+ * Looks up a built-in theme
+ * @param {string} id - Theme id
+ * @returns {Object|undefined} - The theme, or undefined if there is none with that id
+ */
+function getTheme(id) {
+  return THEMES.find(theme => theme.id === id);
+}
+
+/**
+ * Mixes two hex colors
+ * @param {string} from - Hex color, e.g. "#3b82f6"
+ * @param {string} to - Hex color to mix in
+ * @param {number} amount - Share of `to`, from 0 to 1
+ * @returns {string} - The mixed hex color
+ */
+function mixColors(from, to, amount) {
+  const a = hexToRgb(from);
+  const b = hexToRgb(to);
+  return "#" + a
+    .map((channel, i) => Math.round(channel + (b[i] - channel) * amount).toString(16).padStart(2, "0"))
+    .join("");
+}
+
+/**
+ * Converts a hex color to its red, green and blue channels
+ * @param {string} hex - Hex color, e.g. "#3b82f6"
+ * @returns {Array<number>} - [red, green, blue], each 0-255
+ */
+function hexToRgb(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+/**
+ * Reads an optional data URL, such as a brand kit asset or a deck image
+ * @param {*} value - Raw value
+ * @param {string} field - Field name for error messages
+ * @param {RegExp} type - Pattern the data URL's media type must match
+ * @param {number} maxLength - Longest data URL allowed, in characters
+ * @returns {string|null} - The data URL, or null if none was given
+ * @throws {Error} - If the value is not a base64 data URL of the right type, or is too large
+ */
+function readDataUrl(value, field, type, maxLength = MAX_BRAND_ASSET_LENGTH) {
+  if (value === undefined || value === null || value === "") return null;
+  if (typeof value !== "string") {
+    throw new Error(`${field} must be a data URL`);
+  }
+  if (value.length > maxLength) {
+    throw new Error(`${field} must be smaller than ${maxLength / 1024 / 1024} MB`);
+  }
+  const match = value.match(DATA_URL_PATTERN);
+  if (!match || !type.test(match[1])) {
+    throw new Error(`${field} must be a base64 data URL`);
+  }
+  return value;
+}
+
+/**
+ * Validates a brand kit: a logo, a palette of hex colors and a font, all optional
+ * @param {*} brandKit - { logo, palette: { primary, secondary, background, text }, font: { name, data } }
+ * @returns {Object|null} - The brand kit with only the fields that were set, or null if it sets none
+ * @throws {Error} - If a field is malformed
+ */
+function readBrandKit(brandKit) {
+  if (brandKit === undefined || brandKit === null) return null;
+  if (typeof brandKit !== "object" || Array.isArray(brandKit)) {
+    throw new Error("theme.brandKit must be an object");
+  }
+
+  const palette = {};
+  for (const key of ["primary", "secondary", "background", "text"]) {
+    const color = brandKit.palette?.[key];
+    if (color === undefined || color === null || color === "") continue;
+    if (typeof color !== "string" || !HEX_COLOR_PATTERN.test(color)) {
+      throw new Error(`theme.brandKit.palette.${key} must be a hex color such as #1a2b3c`);
+    }
+    palette[key] = color.toLowerCase();
+  }
+
+  let font = null;
+  if (brandKit.font) {
+    const name = typeof brandKit.font.name === "string" ? brandKit.font.name.trim().slice(0, MAX_FONT_NAME_LENGTH) : "";
+    if (!name) throw new Error("theme.brandKit.font.name must not be empty");
+    if (!FONT_NAME_PATTERN.test(name)) {
+      throw new Error("theme.brandKit.font.name may only contain letters, digits, spaces, - and _");
+    }
+    font = { name, data: readDataUrl(brandKit.font.data, "theme.brandKit.font.data", /^(font\/|application\/)/) };
+  }
+
+  const logo = readDataUrl(brandKit.logo, "theme.brandKit.logo", /^image\//);
+  const kit = {
+    ...(logo ? { logo } : {}),
+    ...(Object.keys(palette).length > 0 ? { palette } : {}),
+    ...(font ? { font } : {}),
+  };
+  return Object.keys(kit).length > 0 ? kit : null;
+}
+
+/**
+ * Validates the theme a deck is shown with
+ * @param {*} settings - { id, brandKit }, as chosen in the UI and saved with the deck
+ * @returns {{id: string, brandKit: Object|null}} - The theme settings
+ * @throws {Error} - If the theme is unknown or the brand kit is malformed
+ */
+function readThemeSettings(settings) {
+  if (settings === undefined || settings === null) return { id: DEFAULT_THEME_ID, brandKit: null };
+  if (typeof settings !== "object" || Array.isArray(settings)) {
+    throw new Error("theme must be an object");
+  }
+
+  const id = settings.id || DEFAULT_THEME_ID;
+  if (!getTheme(id)) {
+    throw new Error(`theme.id must be one of: ${THEMES.map(theme => theme.id).join(", ")}`);
+  }
+
+  return { id, brandKit: readBrandKit(settings.brandKit) };
+}
+
+/**
+ * Builds the theme slides are rendered with: the chosen built-in theme with the brand kit applied on top.
+ * The brand's primary color is used for bullets and key terms, its secondary color for titles, and its
+ * background and text colors as they are; its font replaces both the heading and body fonts.
+ * @param {Object} settings - { id, brandKit }; unknown or missing settings give the default theme
+ * @returns {Object} - { id, name, colors, fonts: { heading, body, custom }, bulletStyle, logo }
+ */
+function resolveTheme(settings) {
+  const base = getTheme(settings?.id) || getTheme(DEFAULT_THEME_ID);
+  const kit = settings?.brandKit || {};
+  const palette = kit.palette || {};
+  const colors = { ...base.colors };
+
+  if (palette.background) {
+    colors.background = palette.background;
+    colors.backgroundEnd = palette.background;
+  }
+  if (palette.text) {
+    colors.text = palette.text;
+    colors.muted = mixColors(palette.text, colors.background, 0.3);
+  }
+  if (palette.secondary) {
+    colors.title = palette.secondary;
+  }
+  if (palette.primary) {
+    colors.accent = palette.primary;
+    colors.termBackground = mixColors(palette.primary, colors.background, 0.85);
+    colors.termText = mixColors(palette.primary, "#000000", 0.35);
+  }
+
+  return {
+    id: base.id,
+    name: base.name,
+    colors,
+    fonts: { ...base.fonts, custom: kit.font || null },
+    bulletStyle: base.bulletStyle,
+    logo: kit.logo || null,
+  };
+}
+
+/**
+ * Returns the marker shown before a bullet
+ * @param {Object} theme - Resolved theme
+ * @param {number} index - Position of the bullet on the slide
+ * @returns {string} - e.g. "•", or "2." for numbered bullets
+ */
+function getBulletMarker(theme, index) {
+  return BULLET_STYLES[theme.bulletStyle]?.marker ?? `${index + 1}.`;
+}
+
+/**
+ * Returns the CSS font-family for a theme's headings or body text
+ * @param {Object} theme - Resolved theme
+ * @param {string} role - "heading" or "body"
+ * @returns {string} - CSS font-family value
+ */
+function getFontStack(theme, role) {
+  const stack = FONT_FAMILIES[theme.fonts[role]]?.css || FONT_FAMILIES.sans.css;
+  return theme.fonts.custom ? `${JSON.stringify(theme.fonts.custom.name)}, ${stack}` : stack;
+}
+
+/**
+ * Returns the @font-face rule for a brand kit font
+ * @param {Object} theme - Resolved theme
+ * @returns {string} - CSS, or an empty string if the theme uses no uploaded font
+ */
+function getFontFaceCss(theme) {
+  const font = theme.fonts.custom;
+  if (!font?.data) return "";
+  return `@font-face { font-family: ${JSON.stringify(font.name)}; src: url(${JSON.stringify(font.data)}); font-display: swap; }`;
+}
+
+/**
+ * Makes CSS safe to place inside a <style> element, where `</style>` would end it early.
+ * `<` is written as the CSS escape `\3c `, which means the same character inside CSS strings.
+ * @param {string} css - CSS text
+ * @returns {string} - CSS without a literal `<`
+ */
+function escapeStyleText(css) {
+  return css.replace(/</g, "\\3c ");
+}
+
+/**
+ * Returns the CSS custom properties slides are styled with; tailwind.config.js maps its `slide` colors to them
+ * @param {Object} theme - Resolved theme
+ * @returns {Object} - Property names and values, usable as a React style object
+ */
+function getThemeCssVariables(theme) {
+  const { colors } = theme;
+  return {
+    "--slide-background": `linear-gradient(to right, ${colors.background}, ${colors.backgroundEnd})`,
+    "--slide-title": colors.title,
+    "--slide-text": colors.text,
+    "--slide-muted": colors.muted,
+    "--slide-accent": colors.accent,
+    "--slide-term-background": colors.termBackground,
+    "--slide-term-text": colors.termText,
+    "--slide-font-heading": getFontStack(theme, "heading"),
+    "--slide-font-body": getFontStack(theme, "body"),
+  };
+}
+
+module.exports = {
+  DEFAULT_THEME_ID,
+  FONT_FAMILIES,
+  BULLET_STYLES,
+  THEMES,
+  hexToRgb,
+  readDataUrl,
+  readBrandKit,
+  readThemeSettings,
+  resolveTheme,
+  getBulletMarker,
+  getFontStack,
+  getFontFaceCss,
+  escapeStyleText,
+  getThemeCssVariables,
+};